@@ -0,0 +1,156 @@
+import { jest } from '@jest/globals';
+
+let overrides = {};
+const updateGuildSettings = jest.fn(async (guildId, patch) => {
+  overrides[guildId] = { ...(overrides[guildId] || {}), ...patch };
+});
+const getOrCreateGuildPlayer = jest.fn();
+const findSavedPlaylist = jest.fn();
+const buildPlaylistTracks = jest.fn(() => [{ encoded: 'a' }, { encoded: 'b' }]);
+const setLoopMode = jest.fn(() => Promise.resolve());
+
+jest.unstable_mockModule('../utils/guildSettings.js', () => ({
+  getGuildOverrides: jest.fn(guildId => ({ ...(overrides[guildId] || {}) })),
+  updateGuildSettings
+}));
+jest.unstable_mockModule('../utils/playerFactory.js', () => ({ getOrCreateGuildPlayer }));
+jest.unstable_mockModule('../utils/savedPlaylists.js', () => ({ findSavedPlaylist, buildPlaylistTracks }));
+jest.unstable_mockModule('../utils/loopMode.js', () => ({ setLoopMode }));
+const getPlaylistLimit = jest.fn(() => 50);
+jest.unstable_mockModule('../utils/queuePolicy.js', () => ({ getPlaylistLimit }));
+jest.unstable_mockModule('../utils/idleManager.js', () => ({ cancelIdleDisconnect: jest.fn() }));
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const {
+  isAlwaysOn,
+  enableAlwaysOn,
+  disableAlwaysOn,
+  joinAlwaysOnChannel,
+  rejoinAlwaysOnChannels,
+  scheduleAlwaysOnRejoin
+} = await import('../utils/alwaysOn.js');
+
+function makePlayer() {
+  return {
+    guildId: 'g1',
+    voiceChannelId: 'vc',
+    connected: true,
+    queue: { current: null, tracks: [], add: jest.fn() },
+    play: jest.fn(() => Promise.resolve())
+  };
+}
+
+function makeClient(player = null) {
+  const voice = { id: 'vc', isVoiceBased: () => true };
+  const guild = { id: 'g1', channels: { cache: new Map([['vc', voice]]) } };
+  return {
+    user: { id: 'bot' },
+    guilds: { cache: new Map([['g1', guild], ['g2', { id: 'g2' }]]) },
+    lavalink: { getPlayer: jest.fn(() => player) }
+  };
+}
+
+describe('alwaysOn', () => {
+  beforeEach(() => {
+    overrides = {};
+    jest.clearAllMocks();
+  });
+
+  test('enable and disable store the setting per guild', async () => {
+    await enableAlwaysOn('g1', { voiceChannelId: 'vc', textChannelId: 'tc' });
+    expect(isAlwaysOn('g1')).toBe(true);
+    expect(isAlwaysOn('g2')).toBe(false);
+    await disableAlwaysOn('g1');
+    expect(updateGuildSettings).toHaveBeenLastCalledWith('g1', { alwaysOn: null });
+  });
+
+  test('joins the designated channel and plays the playlist on loop', async () => {
+    overrides.g1 = { alwaysOn: { voiceChannelId: 'vc', textChannelId: 'tc', playlist: 'lounge' } };
+    const player = makePlayer();
+    getOrCreateGuildPlayer.mockResolvedValue(player);
+    findSavedPlaylist.mockReturnValue({ playlist: { name: 'lounge', tracks: [] } });
+
+    const client = makeClient();
+    expect(await joinAlwaysOnChannel(client, 'g1')).toBe(player);
+    expect(getOrCreateGuildPlayer.mock.calls[0][1]).toMatchObject({ voiceChannel: { id: 'vc' }, textChannelId: 'tc' });
+    expect(findSavedPlaylist).toHaveBeenCalledWith('g1', null, 'lounge', 'server');
+    expect(player.queue.add).toHaveBeenCalledWith([{ encoded: 'a' }, { encoded: 'b' }]);
+    expect(setLoopMode).toHaveBeenCalledWith(player, 'queue');
+    expect(player.play).toHaveBeenCalled();
+  });
+
+  test('loads at most maxPlaylistSize tracks of the playlist', async () => {
+    overrides.g1 = { alwaysOn: { voiceChannelId: 'vc', textChannelId: 'tc', playlist: 'lounge' } };
+    const player = makePlayer();
+    getOrCreateGuildPlayer.mockResolvedValue(player);
+    findSavedPlaylist.mockReturnValue({ playlist: { name: 'lounge', tracks: [] } });
+    getPlaylistLimit.mockReturnValueOnce(1);
+
+    await joinAlwaysOnChannel(makeClient(), 'g1');
+    expect(player.queue.add).toHaveBeenCalledWith([{ encoded: 'a' }]);
+  });
+
+  test('leaves an active player alone', async () => {
+    overrides.g1 = { alwaysOn: { voiceChannelId: 'vc', textChannelId: 'tc', playlist: 'lounge' } };
+    const player = makePlayer();
+    player.queue.current = { encoded: 'x' };
+
+    expect(await joinAlwaysOnChannel(makeClient(player), 'g1')).toBe(player);
+    expect(getOrCreateGuildPlayer).not.toHaveBeenCalled();
+    expect(player.queue.add).not.toHaveBeenCalled();
+  });
+
+  test('moves a player that is in another channel', async () => {
+    overrides.g1 = { alwaysOn: { voiceChannelId: 'vc', textChannelId: 'tc', playlist: null } };
+    const player = makePlayer();
+    player.voiceChannelId = 'other';
+    player.queue.current = { encoded: 'x' };
+    getOrCreateGuildPlayer.mockResolvedValue(player);
+
+    expect(await joinAlwaysOnChannel(makeClient(player), 'g1')).toBe(player);
+    expect(getOrCreateGuildPlayer.mock.calls[0][1].voiceChannel.id).toBe('vc');
+  });
+
+  test('rejoinAlwaysOnChannels only joins guilds in 24/7 mode', async () => {
+    overrides.g1 = { alwaysOn: { voiceChannelId: 'vc', textChannelId: 'tc', playlist: null } };
+    getOrCreateGuildPlayer.mockResolvedValue(makePlayer());
+
+    expect(await rejoinAlwaysOnChannels(makeClient())).toBe(1);
+    expect(getOrCreateGuildPlayer).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips a channel that no longer exists', async () => {
+    overrides.g1 = { alwaysOn: { voiceChannelId: 'gone', textChannelId: 'tc', playlist: null } };
+    expect(await joinAlwaysOnChannel(makeClient(), 'g1')).toBeNull();
+    expect(getOrCreateGuildPlayer).not.toHaveBeenCalled();
+  });
+
+  test('rejoins after a disconnect, retrying with a delay', async () => {
+    jest.useFakeTimers();
+    overrides.g1 = { alwaysOn: { voiceChannelId: 'vc', textChannelId: 'tc', playlist: null } };
+    const client = { ...makeClient(), lavalinkReady: true };
+    getOrCreateGuildPlayer.mockResolvedValueOnce(null).mockResolvedValueOnce(makePlayer());
+
+    expect(scheduleAlwaysOnRejoin(client, 'g1')).toBe(true);
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(getOrCreateGuildPlayer).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(15000);
+    expect(getOrCreateGuildPlayer).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(300000);
+    expect(getOrCreateGuildPlayer).toHaveBeenCalledTimes(2);
+    jest.useRealTimers();
+  });
+
+  test('does not rejoin outside 24/7 mode or once disabled', async () => {
+    jest.useFakeTimers();
+    const client = { ...makeClient(), lavalinkReady: true };
+    expect(scheduleAlwaysOnRejoin(client, 'g1')).toBe(false);
+
+    overrides.g1 = { alwaysOn: { voiceChannelId: 'vc', textChannelId: 'tc', playlist: null } };
+    scheduleAlwaysOnRejoin(client, 'g1');
+    await disableAlwaysOn('g1');
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(getOrCreateGuildPlayer).not.toHaveBeenCalled();
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,75 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: { debug: jest.fn(), warn: jest.fn() }
+}));
+
+const {
+  resolvePresetName,
+  getActiveFilterLabel,
+  applyFilterPreset,
+  clearFilters,
+  setPlaybackSpeed
+} = await import('../utils/audioFilters.js');
+
+const createPlayer = () => ({
+  guildId: '1',
+  filterManager: {
+    equalizerBands: [],
+    resetFilters: jest.fn(),
+    clearEQ: jest.fn(),
+    setEQ: jest.fn(),
+    setSpeed: jest.fn(),
+    toggleNightcore: jest.fn(),
+    toggleRotation: jest.fn()
+  }
+});
+
+describe('audioFilters', () => {
+  test('resolvePresetName understands levels and casing', () => {
+    expect(resolvePresetName(['bassboost', 'high'])).toBe('bassboost-high');
+    expect(resolvePresetName(['Bassboost', 'medium'])).toBe('bassboost');
+    expect(resolvePresetName(['8D'])).toBe('8d');
+    expect(resolvePresetName(['chipmunk'])).toBeNull();
+  });
+
+  test('applyFilterPreset resets filters before applying the preset', async () => {
+    const player = createPlayer();
+    const label = await applyFilterPreset(player, 'nightcore');
+    expect(player.filterManager.resetFilters).toHaveBeenCalled();
+    expect(player.filterManager.toggleNightcore).toHaveBeenCalled();
+    expect(label).toBe('Nightcore');
+    expect(getActiveFilterLabel(player)).toBe('Nightcore');
+  });
+
+  test('applyFilterPreset uses the bassboost equalizer', async () => {
+    const player = createPlayer();
+    await applyFilterPreset(player, 'bassboost-low');
+    expect(player.filterManager.setEQ).toHaveBeenCalledWith(expect.any(Array));
+  });
+
+  test('applyFilterPreset rejects unknown presets', async () => {
+    await expect(applyFilterPreset(createPlayer(), 'nope')).rejects.toThrow(RangeError);
+  });
+
+  test('clearFilters also clears a modified equalizer', async () => {
+    const player = createPlayer();
+    player.activeFilter = 'bassboost';
+    player.filterManager.equalizerBands = [{ band: 0, gain: 0.2 }];
+    await clearFilters(player);
+    expect(player.filterManager.clearEQ).toHaveBeenCalled();
+    expect(getActiveFilterLabel(player)).toBeNull();
+  });
+
+  test('setPlaybackSpeed replaces timescale presets only', async () => {
+    const player = createPlayer();
+    player.activeFilter = 'nightcore';
+    await setPlaybackSpeed(player, 1.25);
+    expect(player.filterManager.setSpeed).toHaveBeenCalledWith(1.25);
+    expect(player.activeFilter).toBeNull();
+
+    player.activeFilter = '8d';
+    await setPlaybackSpeed(player, 1);
+    expect(player.activeFilter).toBe('8d');
+  });
+});
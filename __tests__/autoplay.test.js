@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: { debug: jest.fn(), info: jest.fn(), warn: jest.fn() }
+}));
+jest.unstable_mockModule('../utils/guildSettings.js', () => ({
+  getGuildConfig: jest.fn(() => ({ defaultSearchPlatform: 'ytmsearch' }))
+}));
+
+const {
+  isAutoplayEnabled,
+  setAutoplay,
+  buildRelatedQueries,
+  pickRelatedTrack,
+  queueRelatedTrack,
+  playRelatedTrack
+} = await import('../utils/autoplay.js');
+
+const track = (identifier, title, extra = {}) => ({
+  info: { identifier, title, author: 'Artist', sourceName: 'youtube', duration: 180000, ...extra }
+});
+
+const createPlayer = (previous = []) => ({
+  guildId: '1',
+  search: jest.fn(),
+  play: jest.fn(),
+  queue: { previous, tracks: [], add: jest.fn() }
+});
+
+describe('autoplay', () => {
+  test('setAutoplay toggles the player flag', () => {
+    const player = createPlayer();
+    expect(isAutoplayEnabled(player)).toBe(false);
+    setAutoplay(player, true);
+    expect(isAutoplayEnabled(player)).toBe(true);
+  });
+
+  test('buildRelatedQueries starts with the YouTube mix', () => {
+    const queries = buildRelatedQueries(track('abc', 'Song'), 'ytmsearch');
+    expect(queries[0].query).toBe('https://music.youtube.com/watch?v=abc&list=RDabc');
+    expect(queries[1]).toEqual({ query: 'Artist Song', source: 'ytmsearch' });
+  });
+
+  test('buildRelatedQueries only searches for other sources', () => {
+    const queries = buildRelatedQueries(track('x', 'Song', { sourceName: 'soundcloud' }), 'ytsearch');
+    expect(queries.every(q => q.source === 'ytsearch')).toBe(true);
+  });
+
+  test('pickRelatedTrack skips played tracks and streams', () => {
+    const last = track('a', 'Song A');
+    const player = createPlayer([track('b', 'Song B')]);
+    const candidates = [
+      track('a', 'Song A'),
+      track('b', 'Song B'),
+      track('s', 'Live', { isStream: true }),
+      track('c', 'Song C')
+    ];
+    expect(pickRelatedTrack(candidates, player, last).info.identifier).toBe('c');
+  });
+
+  test('playRelatedTrack queues and plays the first new track', async () => {
+    const last = track('a', 'Song A');
+    const player = createPlayer([last]);
+    player.search.mockResolvedValueOnce({ tracks: [last, track('d', 'Song D')] });
+    expect(await playRelatedTrack(player, last, { id: 'bot' })).toBe(true);
+    expect(player.queue.add.mock.calls[0][0].info.identifier).toBe('d');
+    expect(player.play).toHaveBeenCalled();
+  });
+
+  test('playRelatedTrack falls back to the next lookup on failure', async () => {
+    const last = track('a', 'Song A');
+    const player = createPlayer([last]);
+    player.search
+      .mockRejectedValueOnce(new Error('no mix'))
+      .mockResolvedValue({ tracks: [] });
+    expect(await playRelatedTrack(player, last, null)).toBe(false);
+    expect(player.search).toHaveBeenCalledTimes(3);
+    expect(player.play).not.toHaveBeenCalled();
+  });
+
+  test('queueRelatedTrack only queues the track', async () => {
+    const last = track('a', 'Song A');
+    const player = createPlayer([last]);
+    player.search.mockResolvedValueOnce({ tracks: [track('d', 'Song D')] });
+    expect((await queueRelatedTrack(player, last, null)).info.identifier).toBe('d');
+    expect(player.queue.add).toHaveBeenCalled();
+    expect(player.play).not.toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,8 @@
 import { jest } from '@jest/globals';
 
 jest.unstable_mockModule('../utils/logger.js', () => ({ default: { info: jest.fn(), debug: jest.fn() } }));
+jest.unstable_mockModule('../utils/nowPlayingManager.js', () => ({ resetPlayerUIOptimized: jest.fn() }));
+jest.unstable_mockModule('../utils/alwaysOn.js', () => ({ isAlwaysOn: jest.fn(guildId => guildId === 'g247') }));
 
 const { default: CleanupManager } = await import('../utils/cleanupManager.js');
 
@@ -15,4 +17,19 @@ describe('CleanupManager', () => {
     expect(mgr.intervals.size).toBe(0);
     jest.useRealTimers();
   });
+
+  test('cleanupDisconnectedPlayers keeps players of 24/7 guilds', () => {
+    const guild = { channels: { cache: new Map() } };
+    const orphan = { guildId: 'g1', voiceChannelId: 'vc', destroy: jest.fn() };
+    const alwaysOn = { guildId: 'g247', voiceChannelId: 'vc', destroy: jest.fn() };
+    const client = {
+      user: { id: 'bot' },
+      guilds: { cache: new Map([['g1', guild], ['g247', guild]]) },
+      lavalink: { players: new Map([['g1', orphan], ['g247', alwaysOn]]) }
+    };
+    new CleanupManager(client).cleanupDisconnectedPlayers();
+    expect(orphan.destroy).toHaveBeenCalled();
+    expect(alwaysOn.destroy).not.toHaveBeenCalled();
+    expect(client.lavalink.players.has('g247')).toBe(true);
+  });
 });
@@ -20,7 +20,13 @@ jest.unstable_mockModule('discord.js', () => {
   };
 });
 
-const { getEmoji, createButtonRowWithEmojis, getDisplayEmoji } = await import('../utils/emojiUtils.js');
+const {
+  getEmoji,
+  createButtonRowWithEmojis,
+  createModeRowWithEmojis,
+  createNowPlayingComponents,
+  getDisplayEmoji
+} = await import('../utils/emojiUtils.js');
 
 describe('emojiUtils', () => {
   test('getEmoji returns custom emoji object', () => {
@@ -40,6 +46,28 @@ describe('emojiUtils', () => {
     expect(buttons.length).toBe(5);
   });
 
+  test('createModeRowWithEmojis shows the loop mode', () => {
+    const player = { loopMode: 'queue', queue: { previous: [], tracks: [] } };
+    const row = createModeRowWithEmojis(player, {});
+    const [loopButton] = row.addComponents.mock.calls[0][0];
+    expect(loopButton.setLabel).toHaveBeenCalledWith('Loop: Queue');
+    expect(loopButton.setStyle).toHaveBeenCalledWith(3);
+  });
+
+  test('createModeRowWithEmojis adds volume buttons', () => {
+    const player = { queue: { previous: [], tracks: [] } };
+    const row = createModeRowWithEmojis(player, {});
+    const buttons = row.addComponents.mock.calls[0][0];
+    expect(buttons).toHaveLength(4);
+    expect(buttons[2].setCustomId).toHaveBeenCalledWith('volumeDown');
+    expect(buttons[3].setLabel).toHaveBeenCalledWith('Vol +');
+  });
+
+  test('createNowPlayingComponents returns both rows', () => {
+    const player = { queue: { previous: [], tracks: [] } };
+    expect(createNowPlayingComponents(player, {})).toHaveLength(2);
+  });
+
   test('getDisplayEmoji formats custom emoji', () => {
     const config = { emojiIds: { ytm: '999' } };
     expect(getDisplayEmoji('ytm', config)).toBe('<:ytm:999>');
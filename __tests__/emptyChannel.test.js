@@ -0,0 +1,109 @@
+import { jest } from '@jest/globals';
+
+let guildConfig = {};
+let alwaysOn = false;
+const performStop = jest.fn(() => Promise.resolve());
+jest.unstable_mockModule('../utils/guildSettings.js', () => ({
+  getGuildConfig: jest.fn(() => guildConfig)
+}));
+jest.unstable_mockModule('../utils/playerControls.js', () => ({ performStop }));
+jest.unstable_mockModule('../utils/alwaysOn.js', () => ({ isAlwaysOn: jest.fn(() => alwaysOn) }));
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn(), error: jest.fn() } }));
+
+const { handleListenerChange, countListeners } = await import('../utils/emptyChannel.js');
+
+function setup() {
+  const members = new Map([['bot', { user: { bot: true } }], ['u1', { user: { bot: false } }]]);
+  const guild = { id: 'g1', channels: { cache: new Map([['vc', { members }]]) } };
+  const player = {
+    guildId: 'g1',
+    voiceChannelId: 'vc',
+    textChannelId: 'tc',
+    playing: true,
+    paused: false,
+    position: 5000,
+    queue: { current: {} },
+    pause: jest.fn(() => { player.paused = true; }),
+    resume: jest.fn(() => { player.paused = false; }),
+    destroy: jest.fn()
+  };
+  const send = jest.fn(() => Promise.resolve());
+  const client = {
+    lavalink: { getPlayer: () => player },
+    channels: { cache: new Map([['tc', { send }]]) }
+  };
+  const leave = () => {
+    members.delete('u1');
+    return handleListenerChange(client, { channelId: 'vc' }, { channelId: null, guild, member: { user: { bot: false } } });
+  };
+  const join = () => {
+    members.set('u1', { user: { bot: false } });
+    return handleListenerChange(client, { channelId: null }, { channelId: 'vc', guild, member: { user: { bot: false } } });
+  };
+  return { player, guild, send, leave, join };
+}
+
+describe('emptyChannel', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    guildConfig = { emptyChannelGracePeriod: 60000 };
+    alwaysOn = false;
+    performStop.mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('countListeners ignores bots', () => {
+    const { player, guild } = setup();
+    expect(countListeners(player, guild)).toBe(1);
+  });
+
+  test('pauses when the channel empties and resumes when someone returns', async () => {
+    const { player, send, leave, join } = setup();
+    await leave();
+    expect(player.pause).toHaveBeenCalled();
+    expect(player._pausedPosition).toBe(5000);
+    expect(send).toHaveBeenCalledWith(expect.stringContaining('leave in 1 minute'));
+
+    await join();
+    expect(player.resume).toHaveBeenCalled();
+    expect(player._pausedPosition).toBeUndefined();
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(player.destroy).not.toHaveBeenCalled();
+  });
+
+  test('stops and leaves after the grace period', async () => {
+    const { player, leave } = setup();
+    await leave();
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(performStop).toHaveBeenCalledWith(player);
+    expect(player.destroy).toHaveBeenCalled();
+  });
+
+  test('does not resume playback that was paused by a user', async () => {
+    const { player, leave, join } = setup();
+    player.paused = true;
+    await leave();
+    expect(player.pause).not.toHaveBeenCalled();
+    await join();
+    expect(player.resume).not.toHaveBeenCalled();
+    expect(player.emptyChannelTimeout).toBeNull();
+  });
+
+  test('a grace period of 0 disables the feature', async () => {
+    guildConfig = { emptyChannelGracePeriod: 0 };
+    const { player, leave } = setup();
+    await leave();
+    expect(player.pause).not.toHaveBeenCalled();
+  });
+
+  test('keeps playing in 24/7 mode', async () => {
+    alwaysOn = true;
+    const { player, leave } = setup();
+    await leave();
+    expect(player.pause).not.toHaveBeenCalled();
+    expect(player.emptyChannelTimeout).toBeUndefined();
+  });
+});
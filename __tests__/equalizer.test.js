@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+
+const overrides = {};
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: { debug: jest.fn(), warn: jest.fn() }
+}));
+jest.unstable_mockModule('../utils/guildSettings.js', () => ({
+  getGuildOverrides: jest.fn(guildId => overrides[guildId] || {}),
+  updateGuildSettings: jest.fn(async (guildId, patch) => {
+    overrides[guildId] = { ...(overrides[guildId] || {}), ...patch };
+  })
+}));
+
+const {
+  getEqualizerGains,
+  nudgeBand,
+  formatEqualizer,
+  applyEqualizer,
+  getEqProfiles,
+  saveEqProfile,
+  deleteEqProfile
+} = await import('../utils/equalizer.js');
+
+const flat = () => Array(15).fill(0);
+
+describe('equalizer', () => {
+  test('getEqualizerGains fills unset bands with 0', () => {
+    const player = { filterManager: { equalizerBands: [{ band: 0, gain: 0.2 }] } };
+    const gains = getEqualizerGains(player);
+    expect(gains).toHaveLength(15);
+    expect(gains[0]).toBe(0.2);
+    expect(gains[14]).toBe(0);
+  });
+
+  test('nudgeBand changes one band and clamps to the Lavalink range', () => {
+    expect(nudgeBand(flat(), 3, 0.05)[3]).toBe(0.05);
+    expect(nudgeBand(flat(), 3, -1)[3]).toBe(-0.25);
+    const gains = flat();
+    nudgeBand(gains, 0, 0.05);
+    expect(gains[0]).toBe(0);
+  });
+
+  test('formatEqualizer marks the selected band', () => {
+    const text = formatEqualizer(nudgeBand(flat(), 1, 0.1), 1);
+    expect(text).toContain('▶  40Hz +0.10 ██');
+  });
+
+  test('applyEqualizer sends all bands and marks the filter active', async () => {
+    const player = {
+      guildId: '1',
+      filterManager: { equalizerBands: [], resetFilters: jest.fn(), clearEQ: jest.fn(), setEQ: jest.fn() }
+    };
+    await applyEqualizer(player, flat(), 'party');
+    expect(player.filterManager.resetFilters).toHaveBeenCalled();
+    expect(player.filterManager.setEQ.mock.calls[0][0]).toHaveLength(15);
+    expect(player.activeFilter).toBe('eq');
+    expect(player.eqProfile).toBe('party');
+  });
+
+  test('profiles are saved and deleted per guild', async () => {
+    await saveEqProfile('g1', 'party', flat());
+    expect(Object.keys(getEqProfiles('g1'))).toEqual(['party']);
+    expect(getEqProfiles('g2')).toEqual({});
+    expect(await deleteEqProfile('g1', 'party')).toBe(true);
+    expect(await deleteEqProfile('g1', 'party')).toBe(false);
+  });
+
+  test('saveEqProfile rejects invalid names', async () => {
+    await expect(saveEqProfile('g1', 'bad name!', flat())).rejects.toThrow(RangeError);
+  });
+});
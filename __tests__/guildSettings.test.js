@@ -0,0 +1,38 @@
+import { jest } from '@jest/globals';
+
+const writeJsonFile = jest.fn(() => Promise.resolve());
+jest.unstable_mockModule('../utils/jsonStore.js', () => ({
+  readJsonFile: jest.fn(() => Promise.resolve({ g1: { prefix: '!', emojiIds: { skip: '1' } } })),
+  writeJsonFile
+}));
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn(), error: jest.fn() } }));
+
+const { getGuildConfig, getGuildOverrides, updateGuildSettings, resetGuildSettings } = await import('../utils/guildSettings.js');
+global.config = { prefix: '.', defaultVolume: 40, emojiIds: { stop: '2' } };
+
+describe('guildSettings', () => {
+  test('falls back to global config for unknown guilds', () => {
+    expect(getGuildConfig('other')).toBe(global.config);
+  });
+
+  test('merges guild overrides and emoji ids', () => {
+    const cfg = getGuildConfig('g1');
+    expect(cfg.prefix).toBe('!');
+    expect(cfg.defaultVolume).toBe(40);
+    expect(cfg.emojiIds).toEqual({ stop: '2', skip: '1' });
+  });
+
+  test('updateGuildSettings sets and removes keys and persists', async () => {
+    await updateGuildSettings('g2', { defaultVolume: 70 });
+    expect(getGuildConfig('g2').defaultVolume).toBe(70);
+    await updateGuildSettings('g2', { defaultVolume: null });
+    expect(getGuildConfig('g2').defaultVolume).toBe(40);
+    expect(getGuildOverrides('g2')).toEqual({});
+    expect(writeJsonFile).toHaveBeenCalledTimes(2);
+  });
+
+  test('resetGuildSettings drops all overrides', async () => {
+    await resetGuildSettings('g1');
+    expect(getGuildConfig('g1').prefix).toBe('.');
+  });
+});
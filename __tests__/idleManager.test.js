@@ -0,0 +1,69 @@
+import { jest } from '@jest/globals';
+
+let guildConfig = {};
+jest.unstable_mockModule('../utils/guildSettings.js', () => ({
+  getGuildConfig: jest.fn(() => guildConfig)
+}));
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn(), error: jest.fn() } }));
+
+const {
+  schedulePauseStop,
+  scheduleIdleDisconnect,
+  cancelIdleTimers
+} = await import('../utils/idleManager.js');
+
+const createPlayer = () => ({ guildId: 'g1', paused: true, playing: false, queue: { current: null } });
+
+describe('idleManager', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    guildConfig = { pauseTimeout: 1000, autoDisconnectDelay: 2000 };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('schedulePauseStop stops only if still paused', async () => {
+    const player = createPlayer();
+    const stop = jest.fn();
+    schedulePauseStop(player, stop);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(stop).toHaveBeenCalledTimes(1);
+
+    player.paused = false;
+    schedulePauseStop(player, stop);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(stop).toHaveBeenCalledTimes(1);
+  });
+
+  test('scheduleIdleDisconnect skips players that started playing again', async () => {
+    const player = createPlayer();
+    const disconnect = jest.fn();
+    scheduleIdleDisconnect(player, disconnect);
+    player.queue.current = {};
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(disconnect).not.toHaveBeenCalled();
+  });
+
+  test('cancelIdleTimers clears pending timers', async () => {
+    const player = createPlayer();
+    const stop = jest.fn();
+    const disconnect = jest.fn();
+    schedulePauseStop(player, stop);
+    scheduleIdleDisconnect(player, disconnect);
+    cancelIdleTimers(player);
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(stop).not.toHaveBeenCalled();
+    expect(disconnect).not.toHaveBeenCalled();
+    expect(player.pauseTimeout).toBeNull();
+  });
+
+  test('a delay of 0 disables the timer', async () => {
+    guildConfig = { autoDisconnectDelay: 0 };
+    const player = createPlayer();
+    const disconnect = jest.fn();
+    scheduleIdleDisconnect(player, disconnect);
+    expect(player.idleDisconnectTimeout).toBeUndefined();
+  });
+});
@@ -0,0 +1,62 @@
+import { getNodeOptions, getNodePenalty, getHealthyNodes, pickNode, countPlayersByNode } from '../utils/lavalinkNodes.js';
+
+function node(id, stats, connected = true) {
+  return { id, connected, sessionId: connected ? `s-${id}` : null, stats };
+}
+
+function manager(nodes, players = []) {
+  return {
+    nodeManager: { nodes: new Map(nodes.map(n => [n.id, n])) },
+    players: new Map(players.map((p, i) => [`g${i}`, p]))
+  };
+}
+
+describe('lavalinkNodes', () => {
+  test('falls back to the single lavalinkHost node', () => {
+    const [only] = getNodeOptions({ lavalinkHost: 'localhost', lavalinkPort: 2333, lavalinkPassword: 'pw' });
+    expect(only).toMatchObject({ id: 'optimized-node', host: 'localhost', port: 2333, authorization: 'pw' });
+  });
+
+  test('builds every configured node and inherits the password', () => {
+    const nodes = getNodeOptions({
+      lavalinkPassword: 'shared',
+      lavalinkNodes: [
+        { id: 'a', host: 'a.example', port: 2333 },
+        { host: 'b.example', port: 443, password: 'own', secure: true }
+      ]
+    });
+    expect(nodes.map(n => n.id)).toEqual(['a', 'node-2']);
+    expect(nodes[0].authorization).toBe('shared');
+    expect(nodes[1]).toMatchObject({ authorization: 'own', secure: true });
+  });
+
+  test('rejects incomplete nodes', () => {
+    expect(() => getNodeOptions({ lavalinkNodes: [{ id: 'x', host: 'h' }], lavalinkPassword: 'pw' })).toThrow('"x"');
+  });
+
+  test('penalty grows with players, cpu and frame loss', () => {
+    const idle = node('idle', { playingPlayers: 0, cpu: { systemLoad: 0 } });
+    const busy = node('busy', { playingPlayers: 5, cpu: { systemLoad: 0.5 } });
+    const lossy = node('lossy', { playingPlayers: 0, cpu: { systemLoad: 0 }, frameStats: { deficit: 300, nulled: 0 } });
+    expect(getNodePenalty(idle)).toBe(0);
+    expect(getNodePenalty(busy)).toBeGreaterThan(5);
+    expect(getNodePenalty(lossy)).toBeGreaterThan(0);
+  });
+
+  test('picks the least loaded connected node and can exclude one', () => {
+    const lavalink = manager([
+      node('busy', { playingPlayers: 10, cpu: { systemLoad: 0.2 } }),
+      node('down', { playingPlayers: 0 }, false),
+      node('calm', { playingPlayers: 1, cpu: { systemLoad: 0.1 } })
+    ]);
+    expect(getHealthyNodes(lavalink).map(n => n.id)).toEqual(['calm', 'busy']);
+    expect(pickNode(lavalink).id).toBe('calm');
+    expect(pickNode(lavalink, 'calm').id).toBe('busy');
+    expect(pickNode(manager([node('down', {}, false)]))).toBeUndefined();
+  });
+
+  test('counts players per node', () => {
+    const lavalink = manager([], [{ node: { id: 'a' } }, { node: { id: 'a' } }, { node: { id: 'b' } }]);
+    expect(countPlayersByNode(lavalink)).toEqual(new Map([['a', 2], ['b', 1]]));
+  });
+});
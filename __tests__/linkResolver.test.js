@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+
+const performReliableSearch = jest.fn();
+jest.unstable_mockModule('../utils/searchService.js', () => ({
+  performReliableSearch,
+  searchInBatches: async (items, search, { onBatch } = {}) => {
+    const results = await Promise.all(items.map(item => search(item).catch(() => null)));
+    onBatch?.(results);
+    return results;
+  }
+}));
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const { parseMusicLink, getLinkService, pickBestMatch, resolveMusicLink, registerLinkResolver, formatUnmatched } =
+  await import('../utils/linkResolver.js');
+
+const track = (title, author, duration, extra = {}) => ({ info: { title, author, duration, ...extra } });
+
+describe('parseMusicLink', () => {
+  test('recognizes Spotify tracks, albums and playlists', () => {
+    expect(parseMusicLink('https://open.spotify.com/track/abc123?si=x')).toMatchObject({ service: 'spotify', type: 'track', id: 'abc123' });
+    expect(parseMusicLink('https://open.spotify.com/intl-de/album/Alb1')).toMatchObject({ service: 'spotify', type: 'album', id: 'Alb1' });
+    expect(parseMusicLink('https://open.spotify.com/playlist/Pl1')).toMatchObject({ type: 'playlist', id: 'Pl1' });
+  });
+
+  test('recognizes Apple Music songs inside album links', () => {
+    expect(parseMusicLink('https://music.apple.com/us/album/some-album/1440?i=1441'))
+      .toMatchObject({ service: 'applemusic', type: 'track', id: '1441', country: 'us' });
+    expect(parseMusicLink('https://music.apple.com/gb/album/some-album/1440'))
+      .toMatchObject({ type: 'album', id: '1440', country: 'gb' });
+    expect(parseMusicLink('https://music.apple.com/us/playlist/mix/pl.u-abc'))
+      .toMatchObject({ type: 'playlist', id: 'pl.u-abc' });
+  });
+
+  test('recognizes Deezer links with a language prefix', () => {
+    expect(parseMusicLink('https://www.deezer.com/en/track/3135556')).toMatchObject({ service: 'deezer', type: 'track', id: '3135556' });
+    expect(parseMusicLink('https://deezer.com/playlist/908622995')).toMatchObject({ type: 'playlist' });
+  });
+
+  test('ignores other links and plain text', () => {
+    expect(parseMusicLink('https://www.youtube.com/watch?v=abc')).toBeNull();
+    expect(parseMusicLink('never gonna give you up')).toBeNull();
+  });
+});
+
+describe('getLinkService', () => {
+  test('recognizes any link of a service', () => {
+    expect(getLinkService('https://open.spotify.com/artist/abc')).toBe('spotify');
+    expect(getLinkService('https://www.deezer.com/en/artist/27')).toBe('deezer');
+    expect(getLinkService('https://www.youtube.com/watch?v=abc')).toBeNull();
+    expect(getLinkService('not a link')).toBeNull();
+  });
+});
+
+describe('pickBestMatch', () => {
+  const entry = { title: 'Harder, Better, Faster, Stronger', author: 'Daft Punk', duration: 224000 };
+
+  test('prefers the closest title and artist within the duration tolerance', () => {
+    const best = track('Harder Better Faster Stronger', 'Daft Punk', 225000);
+    const candidates = [track('Harder Better Faster Stronger (Live)', 'Someone', 224000), best];
+    expect(pickBestMatch(entry, candidates)).toBe(best);
+  });
+
+  test('rejects candidates whose duration is too far off', () => {
+    const extended = track('Harder Better Faster Stronger', 'Daft Punk', 600000);
+    expect(pickBestMatch(entry, [extended])).toBeNull();
+  });
+
+  test('credits any one of several artists', () => {
+    const duet = { title: 'Under Pressure', author: 'Queen, David Bowie', duration: 248000 };
+    const bowie = track('Under Pressure', 'David Bowie', 248000);
+    const cover = track('Under Pressure', 'Cover Band', 248000);
+    expect(pickBestMatch(duet, [cover, bowie])).toBe(bowie);
+  });
+
+  test('never picks streams', () => {
+    expect(pickBestMatch(entry, [track('Harder Better Faster Stronger', 'Daft Punk', 224000, { isStream: true })])).toBeNull();
+  });
+});
+
+describe('resolveMusicLink', () => {
+  beforeEach(() => {
+    performReliableSearch.mockReset();
+    global.config = { maxPlaylistSize: 50 };
+  });
+
+  test('reads entries through LavaSrc when the node has the source', async () => {
+    const player = {
+      node: { info: { sourceManagers: ['youtube', 'spotify'] } },
+      search: jest.fn(async () => ({
+        loadType: 'playlist',
+        playlist: { name: 'Mix' },
+        tracks: [track('Song A', 'Artist', 200000), track('Song B', 'Artist', 180000)]
+      }))
+    };
+    const matchA = track('Song A', 'Artist', 201000);
+    performReliableSearch
+      .mockResolvedValueOnce({ tracks: [matchA] })
+      .mockResolvedValueOnce({ tracks: [track('Song B', 'Artist', 400000)] });
+
+    const link = parseMusicLink('https://open.spotify.com/playlist/abc');
+    const { res, unmatched } = await resolveMusicLink(player, link, { id: 'u1' });
+
+    expect(player.search).toHaveBeenCalledWith({ query: link.url }, { id: 'u1' });
+    expect(performReliableSearch).toHaveBeenCalledWith(player, { query: 'Artist Song A', mode: 'ytmsearch', requester: { id: 'u1' } });
+    expect(res).toEqual({ loadType: 'playlist', playlist: { name: 'Mix' }, tracks: [matchA] });
+    expect(unmatched).toEqual([{ title: 'Song B', author: 'Artist', duration: 180000 }]);
+  });
+
+  test('falls back to the registered resolver and caps at maxPlaylistSize', async () => {
+    global.config.maxPlaylistSize = 1;
+    const resolver = jest.fn(async () => ({
+      name: 'Album',
+      entries: [{ title: 'One', author: 'X', duration: 100000 }, { title: 'Two', author: 'X', duration: 100000 }]
+    }));
+    registerLinkResolver('deezer', resolver);
+    performReliableSearch.mockResolvedValue({ tracks: [track('One', 'X', 100000)] });
+
+    const player = { node: { info: { sourceManagers: ['youtube'] } }, search: jest.fn() };
+    const { res } = await resolveMusicLink(player, parseMusicLink('https://www.deezer.com/album/1'), {});
+
+    expect(player.search).not.toHaveBeenCalled();
+    expect(resolver).toHaveBeenCalledWith(expect.objectContaining({ service: 'deezer', type: 'album', id: '1' }));
+    expect(performReliableSearch).toHaveBeenCalledTimes(1);
+    expect(res.tracks).toHaveLength(1);
+  });
+
+  test('reports the progress of the searches', async () => {
+    registerLinkResolver('deezer', async () => ({
+      name: 'Album',
+      entries: [{ title: 'One', author: 'X', duration: 1000 }, { title: 'Two', author: 'X', duration: 1000 }]
+    }));
+    performReliableSearch.mockResolvedValue({ tracks: [] });
+    const onProgress = jest.fn();
+
+    const player = { node: { info: { sourceManagers: [] } } };
+    await resolveMusicLink(player, parseMusicLink('https://www.deezer.com/album/1'), {}, { onProgress });
+    expect(onProgress).toHaveBeenCalledWith(2, 2);
+  });
+
+  test('counts failed searches as unmatched', async () => {
+    registerLinkResolver('deezer', async () => ({ name: 'T', entries: [{ title: 'One', author: 'X', duration: 1000 }] }));
+    performReliableSearch.mockRejectedValue(new Error('search failed'));
+
+    const player = { node: { info: { sourceManagers: [] } } };
+    const { res, unmatched } = await resolveMusicLink(player, parseMusicLink('https://www.deezer.com/track/1'), {});
+    expect(res.loadType).toBe('track');
+    expect(res.tracks).toEqual([]);
+    expect(unmatched).toHaveLength(1);
+  });
+
+  test('explains that Spotify needs credentials or LavaSrc', async () => {
+    const player = { node: { info: { sourceManagers: [] } } };
+    await expect(resolveMusicLink(player, parseMusicLink('https://open.spotify.com/track/abc'), {}))
+      .rejects.toThrow(RangeError);
+  });
+});
+
+describe('formatUnmatched', () => {
+  test('lists the first entries and counts the rest', () => {
+    const entries = Array.from({ length: 7 }, (_, i) => ({ title: `T${i}`, author: 'A' }));
+    expect(formatUnmatched(entries, 2)).toBe('No match found for 7 tracks: A - T0, A - T1, and 5 more');
+    expect(formatUnmatched([])).toBe('');
+  });
+});
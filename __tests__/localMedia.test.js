@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const {
+  isAudioFile,
+  getAudioAttachment,
+  loadAttachmentTrack,
+  listLocalFiles,
+  searchLocalFiles,
+  loadLocalTrack
+} = await import('../utils/localMedia.js');
+
+let dir;
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(join(os.tmpdir(), 'local-media-'));
+  await fs.mkdir(join(dir, 'Jazz'));
+  await fs.writeFile(join(dir, 'Jazz', 'Blue Train.flac'), '');
+  await fs.writeFile(join(dir, 'intro.mp3'), '');
+  await fs.writeFile(join(dir, 'notes.txt'), '');
+});
+
+afterAll(() => fs.rm(dir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  global.config = { localMediaDir: dir };
+});
+
+function makePlayer(title = 'Unknown title') {
+  return { search: jest.fn(async () => ({ loadType: 'track', tracks: [{ info: { title } }] })) };
+}
+
+describe('attachments', () => {
+  test('picks the first supported audio attachment', () => {
+    const attachments = [{ name: 'cover.png' }, { name: 'Clip.OGG', url: 'https://cdn/clip.ogg' }];
+    const message = { attachments: { find: fn => attachments.find(fn) } };
+    expect(isAudioFile('song.wav')).toBe(true);
+    expect(isAudioFile('song.m4a')).toBe(false);
+    expect(getAudioAttachment(message)).toBe(attachments[1]);
+  });
+
+  test('loads the URL and names the track after the file', async () => {
+    const player = makePlayer();
+    const res = await loadAttachmentTrack(player, { name: 'voice memo.mp3', url: 'https://cdn/memo.mp3' }, { id: 'u1' });
+    expect(player.search).toHaveBeenCalledWith({ query: 'https://cdn/memo.mp3' }, { id: 'u1' });
+    expect(res.tracks[0].info.title).toBe('voice memo');
+  });
+});
+
+describe('local media directory', () => {
+  test('lists audio files recursively', async () => {
+    expect(await listLocalFiles(dir)).toEqual(['intro.mp3', join('Jazz', 'Blue Train.flac')]);
+  });
+
+  test('searches every word in the path', async () => {
+    const [file] = await searchLocalFiles('jazz train');
+    expect(file).toEqual({ name: join('Jazz', 'Blue Train.flac'), path: join(dir, 'Jazz', 'Blue Train.flac') });
+    expect(await searchLocalFiles('rock')).toEqual([]);
+    expect(await searchLocalFiles('', 1)).toHaveLength(1);
+  });
+
+  test('requires a configured directory', async () => {
+    global.config = {};
+    await expect(searchLocalFiles('intro')).rejects.toThrow(RangeError);
+  });
+
+  test('loads files through the local source and keeps real titles', async () => {
+    const player = makePlayer('Blue Train');
+    const file = { name: 'intro.mp3', path: join(dir, 'intro.mp3') };
+    const res = await loadLocalTrack(player, file, {});
+    expect(player.search).toHaveBeenCalledWith({ query: file.path, source: 'local' }, {});
+    expect(res.tracks[0].info.title).toBe('Blue Train');
+  });
+});
@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: { debug: jest.fn(), warn: jest.fn() }
+}));
+
+const {
+  getLoopMode,
+  setLoopMode,
+  cycleLoopMode,
+  formatLoopMode,
+  recordLoopTrack,
+  restartQueueFromHistory
+} = await import('../utils/loopMode.js');
+
+const createPlayer = () => ({
+  guildId: '1',
+  setRepeatMode: jest.fn(),
+  play: jest.fn(),
+  queue: { current: null, tracks: [], previous: [] }
+});
+
+describe('loopMode', () => {
+  test('defaults to off', () => {
+    expect(getLoopMode({})).toBe('off');
+  });
+
+  test('setLoopMode mirrors only track repeat to Lavalink', async () => {
+    const player = createPlayer();
+    await setLoopMode(player, 'track');
+    expect(player.setRepeatMode).toHaveBeenLastCalledWith('track');
+    await setLoopMode(player, 'queue');
+    expect(player.setRepeatMode).toHaveBeenLastCalledWith('off');
+    expect(getLoopMode(player)).toBe('queue');
+  });
+
+  test('setLoopMode rejects unknown modes', async () => {
+    await expect(setLoopMode(createPlayer(), 'all')).rejects.toThrow(RangeError);
+  });
+
+  test('cycleLoopMode goes off → track → queue → off', async () => {
+    const player = createPlayer();
+    expect(await cycleLoopMode(player)).toBe('track');
+    expect(await cycleLoopMode(player)).toBe('queue');
+    expect(await cycleLoopMode(player)).toBe('off');
+  });
+
+  test('formatLoopMode capitalizes the mode', () => {
+    expect(formatLoopMode('queue')).toBe('Queue');
+  });
+
+  test('restartQueueFromHistory replays the history in original order', async () => {
+    const player = createPlayer();
+    player.queue.previous = ['c', 'b', 'a'];
+    expect(await restartQueueFromHistory(player)).toBe(true);
+    expect(player.queue.tracks).toEqual(['a', 'b', 'c']);
+    expect(player.queue.previous).toEqual([]);
+    expect(player.play).toHaveBeenCalled();
+  });
+
+  test('restartQueueFromHistory does nothing without history', async () => {
+    const player = createPlayer();
+    expect(await restartQueueFromHistory(player)).toBe(false);
+    expect(player.play).not.toHaveBeenCalled();
+  });
+
+  test('restartQueueFromHistory refuses to restart twice in a row', async () => {
+    const player = createPlayer();
+    player.queue.previous = ['a'];
+    await restartQueueFromHistory(player);
+    player.queue.previous = ['a'];
+    expect(await restartQueueFromHistory(player)).toBe(false);
+    expect(player.play).toHaveBeenCalledTimes(1);
+  });
+
+  test('queue loop replays every looped track, not just the capped history', async () => {
+    const player = createPlayer();
+    player.queue.previous = ['b', 'a'];
+    player.queue.current = 'c';
+    await setLoopMode(player, 'queue');
+    ['d', 'e', 'f'].forEach(track => recordLoopTrack(player, track));
+    // Lavalink only kept the newest two tracks
+    player.queue.previous = ['f', 'e'];
+
+    expect(await restartQueueFromHistory(player)).toBe(true);
+    expect(player.queue.tracks).toEqual(['a', 'b', 'c', 'd', 'e', 'f']);
+    expect(player.loopTracks).toEqual([]);
+  });
+
+  test('recordLoopTrack ignores tracks outside queue loop', async () => {
+    const player = createPlayer();
+    await setLoopMode(player, 'track');
+    recordLoopTrack(player, 'a');
+    expect(player.loopTracks).toEqual([]);
+  });
+});
@@ -18,6 +18,10 @@ jest.unstable_mockModule('fs/promises', () => ({
   readFile: jest.fn(() => Promise.resolve('{}'))
 }));
 
+jest.unstable_mockModule('../utils/voteSkip.js', () => ({
+  getSkipVoteTally: jest.fn(() => null)
+}));
+
 const mod = await import('../utils/nowPlayingEmbed.js');
 const { generateNowPlayingEmbed, generateStoppedEmbed } = mod;
 global.config = { prefix: '.' };
@@ -37,4 +41,16 @@ describe('nowPlayingEmbed', () => {
     const embed = generateNowPlayingEmbed(player);
     expect(embed.toJSON()).toHaveProperty('description');
   });
+
+  test('generateNowPlayingEmbed shows LIVE instead of a progress bar for streams', () => {
+    const player = {
+      queue: { current: { info: { title: 'Radio', author: 'Station', duration: 9007199254740991, isStream: true } }, tracks: [] },
+      position: 65000,
+      paused: false
+    };
+    const { description } = generateNowPlayingEmbed(player).toJSON();
+    expect(description).toContain('LIVE');
+    expect(description).toContain('01:05');
+    expect(description).not.toContain('🔘');
+  });
 });
@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+
+const overrides = {};
+jest.unstable_mockModule('../utils/guildSettings.js', () => ({
+  getGuildOverrides: jest.fn(guildId => overrides[guildId] || {}),
+  getGuildConfig: jest.fn(guildId => ({ ...global.config, ...(overrides[guildId] || {}) }))
+}));
+
+const {
+  getRequiredLevel,
+  isDJ,
+  hasCommandPermission,
+  getPermissionDeniedMessage
+} = await import('../utils/permissions.js');
+
+const member = ({ guildId = 'g1', roles = [], manageGuild = false } = {}) => ({
+  guild: { id: guildId },
+  roles: { cache: new Set(roles) },
+  permissions: { has: jest.fn(() => manageGuild) }
+});
+
+describe('permissions', () => {
+  beforeEach(() => {
+    global.config = { commandPermissions: { skip: 'dj' } };
+    for (const key of Object.keys(overrides)) delete overrides[key];
+  });
+
+  test('levels merge defaults, config.json and server overrides', () => {
+    overrides.g1 = { commandPermissions: { clear: 'everyone' } };
+    expect(getRequiredLevel('g1', 'disconnect')).toBe('dj');
+    expect(getRequiredLevel('g1', 'skip')).toBe('dj');
+    expect(getRequiredLevel('g1', 'clear')).toBe('everyone');
+    expect(getRequiredLevel('g1', 'play')).toBe('everyone');
+  });
+
+  test('everyone is DJ without a DJ role', () => {
+    expect(isDJ(member())).toBe(true);
+  });
+
+  test('DJ role is required once configured', () => {
+    overrides.g1 = { djRoleId: 'dj' };
+    expect(hasCommandPermission(member(), 'stop')).toBe(false);
+    expect(hasCommandPermission(member({ roles: ['dj'] }), 'stop')).toBe(true);
+    expect(hasCommandPermission(member({ manageGuild: true }), 'stop')).toBe(true);
+    expect(hasCommandPermission(member(), 'play')).toBe(true);
+  });
+
+  test('admin level requires Manage Server', () => {
+    overrides.g1 = { commandPermissions: { volume: 'admin' } };
+    expect(hasCommandPermission(member({ roles: ['dj'] }), 'volume')).toBe(false);
+    expect(hasCommandPermission(member({ manageGuild: true }), 'volume')).toBe(true);
+    expect(getPermissionDeniedMessage('g1', 'volume')).toContain('Manage Server');
+  });
+
+  test('denied message mentions the DJ role', () => {
+    overrides.g1 = { djRoleId: '42' };
+    expect(getPermissionDeniedMessage('g1', 'stop')).toBe('You need the DJ role (<@&42>) to use this.');
+  });
+});
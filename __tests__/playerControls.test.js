@@ -3,8 +3,14 @@ import { jest } from '@jest/globals';
 jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn() } }));
 jest.unstable_mockModule('../utils/nowPlayingEmbed.js', () => ({ generateStoppedEmbed: jest.fn(() => ({})) }));
 jest.unstable_mockModule('../utils/safeDiscord.js', () => ({ safeEdit: jest.fn(() => Promise.resolve()) }));
+const queueRelatedTrack = jest.fn();
+jest.unstable_mockModule('../utils/autoplay.js', () => ({
+  setAutoplay: jest.fn((player, enabled) => { player.autoplay = enabled; }),
+  isAutoplayEnabled: jest.fn(player => player.autoplay === true),
+  queueRelatedTrack
+}));
 
-const { togglePlayPause, performSkip, performStop } = await import('../utils/playerControls.js');
+const { togglePlayPause, performSkip, performStop, stepVolume } = await import('../utils/playerControls.js');
 global.config = { defaultVolume: 50 };
 
 describe('playerControls', () => {
@@ -22,6 +28,21 @@ describe('playerControls', () => {
     expect(skip).toHaveBeenCalled();
   });
 
+  test('performSkip on the last track queues a related track with autoplay', async () => {
+    const skip = jest.fn();
+    const current = { info: { title: 'A' }, requester: { id: 'u1' } };
+    const player = { guildId: '1', autoplay: true, queue: { current, tracks: [] }, skip };
+    queueRelatedTrack.mockResolvedValueOnce({ info: { title: 'B' } });
+    expect(await performSkip(player)).toBe(true);
+    expect(queueRelatedTrack).toHaveBeenCalledWith(player, current, { id: 'u1' });
+    expect(skip).toHaveBeenCalled();
+
+    queueRelatedTrack.mockResolvedValueOnce(null);
+    skip.mockClear();
+    expect(await performSkip(player)).toBe(false);
+    expect(skip).not.toHaveBeenCalled();
+  });
+
   test('performStop clears queue and edits message', async () => {
     const stopPlaying = jest.fn();
     const setVolume = jest.fn();
@@ -39,4 +60,34 @@ describe('playerControls', () => {
     expect(stopPlaying).toHaveBeenCalled();
     expect(player.queue.tracks.length).toBe(0);
   });
+
+  test('togglePlayPause schedules an auto-stop when pausing', async () => {
+    jest.useFakeTimers();
+    global.config = { defaultVolume: 50, pauseTimeout: 1000 };
+    const stopPlaying = jest.fn();
+    const player = {
+      guildId: '1',
+      paused: false,
+      position: 42,
+      queue: { current: {}, tracks: [], previous: [] },
+      pause: jest.fn(() => { player.paused = true; }),
+      stopPlaying,
+      setVolume: jest.fn()
+    };
+    await togglePlayPause(player);
+    expect(player._pausedPosition).toBe(42);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(stopPlaying).toHaveBeenCalled();
+    jest.useRealTimers();
+    global.config = { defaultVolume: 50 };
+  });
+
+  test('stepVolume steps by volumeStep and clamps to 0-100', async () => {
+    global.config = { defaultVolume: 50, volumeStep: 10 };
+    const player = { guildId: '1', customVolume: 95, setVolume: jest.fn() };
+    expect(await stepVolume(player, 1)).toBe(100);
+    expect(await stepVolume(player, -1)).toBe(90);
+    expect(player.customVolume).toBe(90);
+    global.config = { defaultVolume: 50 };
+  });
 });
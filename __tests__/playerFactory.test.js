@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/guildSettings.js', () => ({
+  getGuildConfig: jest.fn(() => ({ defaultVolume: 40 }))
+}));
+jest.unstable_mockModule('../utils/playerControls.js', () => ({
+  getTargetVolume: jest.fn(player => player.customVolume ?? 40)
+}));
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const { getOrCreatePlayer, getOrCreateGuildPlayer } = await import('../utils/playerFactory.js');
+
+function createPlayer(overrides = {}) {
+  const player = {
+    guildId: 'g1',
+    voiceChannelId: 'vc1',
+    volume: 40,
+    connected: false,
+    playing: false,
+    paused: false,
+    connect: jest.fn(async () => { player.connected = true; }),
+    setVolume: jest.fn(async v => { player.volume = v; }),
+    destroy: jest.fn(),
+    ...overrides
+  };
+  return player;
+}
+
+// Mocked Lavalink manager with one healthy node
+function createClient(existing = null) {
+  const node = { id: 'n1', connected: true, sessionId: 's1', stats: null };
+  return {
+    config: {},
+    lavalink: {
+      nodeManager: { nodes: new Map([['n1', node]]) },
+      players: new Map(existing ? [['g1', existing]] : []),
+      getPlayer: jest.fn(() => existing),
+      createPlayer: jest.fn(async options => createPlayer({ ...options }))
+    }
+  };
+}
+
+const message = { guild: { id: 'g1' }, channel: { id: 'text1' } };
+
+describe('playerFactory', () => {
+  test('creates and connects a player on the least loaded node', async () => {
+    const client = createClient();
+    const player = await getOrCreatePlayer(client, message, { id: 'vc1' });
+    expect(client.lavalink.createPlayer).toHaveBeenCalledWith(expect.objectContaining({
+      guildId: 'g1', voiceChannelId: 'vc1', textChannelId: 'text1', node: 'n1', volume: 40
+    }));
+    expect(player.connect).toHaveBeenCalled();
+    expect(player.textChannelId).toBe('text1');
+  });
+
+  test('reuses the existing player and follows the text channel', async () => {
+    const existing = createPlayer({ connected: true, textChannelId: 'old' });
+    const client = createClient(existing);
+    const player = await getOrCreatePlayer(client, message, { id: 'vc1' });
+    expect(player).toBe(existing);
+    expect(client.lavalink.createPlayer).not.toHaveBeenCalled();
+    expect(player.textChannelId).toBe('text1');
+  });
+
+  test('moves a playing player to the caller\'s voice channel', async () => {
+    const existing = createPlayer({ connected: true, playing: true });
+    const client = createClient(existing);
+    const player = await getOrCreatePlayer(client, message, { id: 'vc2' });
+    expect(player).toBe(existing);
+    expect(player.voiceChannelId).toBe('vc2');
+    expect(existing.connect).toHaveBeenCalled();
+  });
+
+  test('creates a player without a command message', async () => {
+    const client = createClient();
+    const player = await getOrCreateGuildPlayer(client, { guild: { id: 'g1' }, voiceChannel: { id: 'vc2' }, textChannelId: 'text2' });
+    expect(player).toMatchObject({ voiceChannelId: 'vc2', textChannelId: 'text2', connected: true });
+  });
+
+  test('returns null when the player cannot be created', async () => {
+    const client = createClient();
+    client.lavalink.createPlayer.mockRejectedValue(new Error('no nodes'));
+    expect(await getOrCreatePlayer(client, message, { id: 'vc1' })).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+import {
+  parsePosition,
+  parseRange,
+  removeRange,
+  moveTrack,
+  swapTracks,
+  removeDuplicates,
+  getMergedQueue,
+  moveToUpcoming,
+  removeFromQueue
+} from '../utils/queueEditor.js';
+
+const track = (identifier) => ({ info: { identifier, sourceName: 'youtube', title: identifier } });
+const ids = (tracks) => tracks.map(t => t.info.identifier);
+
+describe('queueEditor', () => {
+  test('parsePosition converts 1-based input to an index', () => {
+    expect(parsePosition('1', 3)).toBe(0);
+    expect(parsePosition(3, 3)).toBe(2);
+    expect(parsePosition('0', 3)).toBeNull();
+    expect(parsePosition('4', 3)).toBeNull();
+    expect(parsePosition('x', 3)).toBeNull();
+  });
+
+  test('parseRange accepts single numbers and ranges in either order', () => {
+    expect(parseRange('2', 5)).toEqual({ start: 1, end: 1 });
+    expect(parseRange('2-4', 5)).toEqual({ start: 1, end: 3 });
+    expect(parseRange('4-2', 5)).toEqual({ start: 1, end: 3 });
+    expect(parseRange('2-9', 5)).toBeNull();
+    expect(parseRange('a-b', 5)).toBeNull();
+  });
+
+  test('removeRange removes inclusive ranges', () => {
+    const tracks = ['a', 'b', 'c', 'd'].map(track);
+    expect(ids(removeRange(tracks, 1, 2))).toEqual(['b', 'c']);
+    expect(ids(tracks)).toEqual(['a', 'd']);
+  });
+
+  test('moveTrack and swapTracks reorder in place', () => {
+    const tracks = ['a', 'b', 'c', 'd'].map(track);
+    moveTrack(tracks, 3, 0);
+    expect(ids(tracks)).toEqual(['d', 'a', 'b', 'c']);
+    swapTracks(tracks, 0, 3);
+    expect(ids(tracks)).toEqual(['c', 'a', 'b', 'd']);
+  });
+
+  test('removeDuplicates keeps the first occurrence and drops the current track', () => {
+    const tracks = ['a', 'b', 'a', 'c', 'b', 'x'].map(track);
+    expect(removeDuplicates(tracks, track('x'))).toBe(3);
+    expect(ids(tracks)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('getMergedQueue lists history oldest first, then current and upcoming', () => {
+    const player = { queue: { previous: ['b', 'a'].map(track), current: track('c'), tracks: ['d'].map(track) } };
+    expect(ids(getMergedQueue(player))).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('moveToUpcoming moves history and upcoming tracks but not the current one', () => {
+    const player = { queue: { previous: ['a'].map(track), current: track('c'), tracks: ['d', 'e'].map(track) } };
+    expect(moveToUpcoming(player, player.queue.tracks[1], 'top')).toBe(true);
+    expect(ids(player.queue.tracks)).toEqual(['e', 'd']);
+    expect(moveToUpcoming(player, player.queue.previous[0], 'bottom')).toBe(true);
+    expect(ids(player.queue.tracks)).toEqual(['e', 'd', 'a']);
+    expect(player.queue.previous).toEqual([]);
+    expect(moveToUpcoming(player, player.queue.current, 'top')).toBe(false);
+  });
+
+  test('removeFromQueue ignores tracks that are not queued', () => {
+    const player = { queue: { previous: [], current: track('c'), tracks: ['d'].map(track) } };
+    expect(removeFromQueue(player, track('d'))).toBe(false);
+    expect(removeFromQueue(player, player.queue.tracks[0])).toBe(true);
+    expect(player.queue.tracks).toEqual([]);
+  });
+});
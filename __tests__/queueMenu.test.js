@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+
+let allowed = true;
+let dj = false;
+jest.unstable_mockModule('../utils/permissions.js', () => ({
+  hasCommandPermission: jest.fn(() => allowed),
+  getPermissionDeniedMessage: jest.fn(() => 'denied'),
+  isDJ: jest.fn(() => dj)
+}));
+
+const { handleQueueMenuInteraction, getSelectedTrack } = await import('../utils/queueMenu.js');
+
+const track = (id, requester = 'u1') => ({ info: { identifier: id, title: id }, requester: { id: requester } });
+
+function createState() {
+  const player = {
+    queue: { previous: [track('a')], current: track('b'), tracks: [track('c'), track('d', 'u2')] },
+    play: jest.fn()
+  };
+  return { player, selected: new Map() };
+}
+
+const interaction = (customId, values, userId = 'u1') =>
+  ({ customId, values, guildId: 'g1', user: { id: userId }, member: { id: userId } });
+
+describe('queueMenu', () => {
+  beforeEach(() => {
+    allowed = true;
+    dj = false;
+  });
+
+  test('select stores the track at the merged index', async () => {
+    const state = createState();
+    expect(await handleQueueMenuInteraction(interaction('queueSelect', ['3']), state)).toBeNull();
+    expect(getSelectedTrack(state, 'u1').info.identifier).toBe('d');
+  });
+
+  test('every user acts on their own selection', async () => {
+    const state = createState();
+    await handleQueueMenuInteraction(interaction('queueSelect', ['3']), state);
+    await handleQueueMenuInteraction(interaction('queueSelect', ['2'], 'u2'), state);
+    expect(await handleQueueMenuInteraction(interaction('queueMoveBottom', undefined, 'u2'), state)).toBeNull();
+    expect(state.player.queue.tracks.map(t => t.info.identifier)).toEqual(['d', 'c']);
+    expect(getSelectedTrack(state, 'u1').info.identifier).toBe('d');
+    expect(await handleQueueMenuInteraction(interaction('queueRemove', undefined, 'u3'), state)).toBe('Select a track first.');
+  });
+
+  test('move to top follows the selected track after the queue changed', async () => {
+    const state = createState();
+    await handleQueueMenuInteraction(interaction('queueSelect', ['3']), state);
+    state.player.queue.tracks.shift();
+    expect(await handleQueueMenuInteraction(interaction('queueMoveTop'), state)).toBeNull();
+    expect(state.player.queue.tracks[0].info.identifier).toBe('d');
+    expect(getSelectedTrack(state, 'u1')).toBeNull();
+  });
+
+  test('play now jumps to the selected track', async () => {
+    const state = createState();
+    await handleQueueMenuInteraction(interaction('queueSelect', ['0']), state);
+    await handleQueueMenuInteraction(interaction('queuePlayNow'), state);
+    expect(state.player.queue.current.info.identifier).toBe('a');
+    expect(state.player.play).toHaveBeenCalled();
+  });
+
+  test('non-DJs can only remove their own tracks', async () => {
+    const state = createState();
+    await handleQueueMenuInteraction(interaction('queueSelect', ['3']), state);
+    expect(await handleQueueMenuInteraction(interaction('queueRemove'), state))
+      .toBe('You can only remove tracks you requested.');
+    await handleQueueMenuInteraction(interaction('queueSelect', ['2']), state);
+    expect(await handleQueueMenuInteraction(interaction('queueRemove'), state)).toBeNull();
+    expect(state.player.queue.tracks.map(t => t.info.identifier)).toEqual(['d']);
+  });
+
+  test('actions are checked against the matching command permission', async () => {
+    allowed = false;
+    const state = createState();
+    await handleQueueMenuInteraction(interaction('queueSelect', ['2']), state);
+    expect(await handleQueueMenuInteraction(interaction('queueMoveBottom'), state)).toBe('denied');
+  });
+
+  test('stale or current selections are rejected', async () => {
+    const state = createState();
+    state.selected.set('u1', track('gone'));
+    expect(await handleQueueMenuInteraction(interaction('queueRemove'), state))
+      .toBe('That track is no longer in the queue.');
+    state.selected.set('u1', state.player.queue.current);
+    expect(await handleQueueMenuInteraction(interaction('queueRemove'), state))
+      .toBe('That track is already playing.');
+  });
+});
@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals';
+
+let guildConfig = {};
+jest.unstable_mockModule('../utils/guildSettings.js', () => ({
+  getGuildConfig: jest.fn(() => guildConfig)
+}));
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn() } }));
+
+const { admitTracks, acquireSearchSlot } = await import('../utils/queuePolicy.js');
+
+const track = (id, { duration = 180000, requester = 'u1', isStream = false } = {}) =>
+  ({ info: { identifier: id, duration, isStream }, requester: { id: requester } });
+const member = (id = 'u1', { manageGuild = false, roles = [] } = {}) =>
+  ({ id, permissions: { has: () => manageGuild }, roles: { cache: new Set(roles) } });
+const player = (tracks = []) => ({ guildId: 'g1', queue: { tracks } });
+
+describe('queuePolicy', () => {
+  beforeEach(() => {
+    guildConfig = {};
+  });
+
+  test('admits everything without limits', () => {
+    const result = admitTracks(player(), [track('a'), track('b')], member());
+    expect(result.tracks).toHaveLength(2);
+    expect(result.notices).toEqual([]);
+  });
+
+  test('maxQueueSize truncates and explains', () => {
+    guildConfig = { maxQueueSize: 3 };
+    const result = admitTracks(player([track('x'), track('y')]), [track('a'), track('b')], member());
+    expect(result.tracks.map(t => t.info.identifier)).toEqual(['a']);
+    expect(result.queueFull).toBe(1);
+    expect(result.notices[0]).toMatch(/queue is full \(3 tracks\)/);
+  });
+
+  test('maxTracksPerUser counts only the member\'s queued tracks', () => {
+    guildConfig = { maxTracksPerUser: 2 };
+    const queued = [track('x', { requester: 'u1' }), track('y', { requester: 'u2' })];
+    const result = admitTracks(player(queued), [track('a'), track('b')], member('u1'));
+    expect(result.tracks).toHaveLength(1);
+    expect(result.overQuota).toBe(1);
+  });
+
+  test('server managers and DJ role holders are exempt from the quota', () => {
+    guildConfig = { maxTracksPerUser: 1, djRoleId: 'dj' };
+    expect(admitTracks(player(), [track('a'), track('b')], member('u1', { manageGuild: true })).tracks).toHaveLength(2);
+    expect(admitTracks(player(), [track('a'), track('b')], member('u1', { roles: ['dj'] })).tracks).toHaveLength(2);
+  });
+
+  test('maxPlaylistSize caps one load and explains', () => {
+    guildConfig = { maxPlaylistSize: 2 };
+    const result = admitTracks(player([track('x')]), [track('a'), track('b'), track('c')], member());
+    expect(result.tracks.map(t => t.info.identifier)).toEqual(['a', 'b']);
+    expect(result.playlistFull).toBe(1);
+    expect(result.notices[0]).toBe('1 track was skipped because at most 2 tracks can be loaded at once.');
+  });
+
+  test('maxTrackDuration skips long tracks but not streams', () => {
+    guildConfig = { maxTrackDuration: 600000 };
+    const result = admitTracks(player(), [
+      track('long', { duration: 700000 }),
+      track('live', { duration: 9e15, isStream: true }),
+      track('ok')
+    ], member());
+    expect(result.tracks.map(t => t.info.identifier)).toEqual(['live', 'ok']);
+    expect(result.notices[0]).toBe('1 track is longer than 10:00 and was skipped.');
+  });
+
+  test('acquireSearchSlot enforces maxConcurrentSearches per guild', () => {
+    guildConfig = { maxConcurrentSearches: 2 };
+    const first = acquireSearchSlot('g1');
+    const second = acquireSearchSlot('g1');
+    expect(acquireSearchSlot('g1')).toBeNull();
+    expect(acquireSearchSlot('g2')).not.toBeNull();
+    first();
+    first();
+    const third = acquireSearchSlot('g1');
+    expect(third).not.toBeNull();
+    expect(acquireSearchSlot('g1')).toBeNull();
+    second();
+    third();
+  });
+});
@@ -0,0 +1,31 @@
+import { buildQueueExport, buildM3u, parseQueueImport } from '../utils/queueTransfer.js';
+
+const track = (title, uri) => ({ info: { title, author: 'Artist', uri, duration: 61000, sourceName: 'youtube' } });
+
+describe('queueTransfer', () => {
+  test('buildQueueExport lists history, current and upcoming in order', () => {
+    const current = track('b', 'https://x/b');
+    const player = { queue: { previous: [track('a', 'https://x/a')], current, tracks: [track('c', 'https://x/c')] } };
+    const data = buildQueueExport(player);
+    expect(data.tracks.map(t => t.title)).toEqual(['a', 'b', 'c']);
+    expect(data.tracks[1].current).toBe(true);
+  });
+
+  test('buildM3u writes EXTINF lines and skips tracks without a URL', () => {
+    const m3u = buildM3u([{ title: 'a', author: 'Artist', uri: 'https://x/a', duration: 61000 }, { title: 'b' }]);
+    expect(m3u).toBe('#EXTM3U\n#EXTINF:61,Artist - a\nhttps://x/a\n');
+  });
+
+  test('parseQueueImport reads JSON exports, M3U and text files', () => {
+    const json = JSON.stringify({ tracks: [{ uri: 'https://x/a' }, { author: 'Artist', title: 'b' }] });
+    expect(parseQueueImport('queue.json', json)).toEqual(['https://x/a', 'Artist b']);
+    expect(parseQueueImport('queue.m3u', buildM3u([{ title: 'a', uri: 'https://x/a' }]))).toEqual(['https://x/a']);
+    expect(parseQueueImport('list.TXT', 'song one\r\n\r\n# note\nsong two')).toEqual(['song one', 'song two']);
+  });
+
+  test('parseQueueImport rejects unknown formats and foreign JSON', () => {
+    expect(() => parseQueueImport('track.mp3', '')).toThrow(RangeError);
+    expect(() => parseQueueImport('data.json', '{"a":1}')).toThrow('not a queue export');
+    expect(() => parseQueueImport('data.json', '{')).toThrow('not valid JSON');
+  });
+});
@@ -0,0 +1,50 @@
+import { jest } from '@jest/globals';
+
+let overrides = {};
+const updateGuildSettings = jest.fn(async (guildId, patch) => {
+  overrides = { ...overrides, ...patch };
+});
+jest.unstable_mockModule('../utils/guildSettings.js', () => ({
+  getGuildConfig: jest.fn(() => ({ ...global.config, ...overrides })),
+  updateGuildSettings
+}));
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const { getRadioStations, findRadioStation, addRadioStation, removeRadioStation } = await import('../utils/radioStations.js');
+
+beforeEach(() => {
+  overrides = {};
+  updateGuildSettings.mockClear();
+  global.config = { radioStations: { Jazz: 'https://radio.example/jazz' } };
+});
+
+describe('radioStations', () => {
+  test('uses the config.json stations until the server edits them', () => {
+    expect(getRadioStations('g1')).toEqual({ Jazz: 'https://radio.example/jazz' });
+    expect(findRadioStation('g1', 'jazz')).toEqual({ name: 'Jazz', url: 'https://radio.example/jazz' });
+    expect(findRadioStation('g1', 'rock')).toBeNull();
+  });
+
+  test('adds stations to a copy of the list and replaces names case-insensitively', async () => {
+    await addRadioStation('g1', 'Rock', 'https://radio.example/rock');
+    await addRadioStation('g1', 'JAZZ', 'https://radio.example/jazz2');
+    expect(getRadioStations('g1')).toEqual({ Rock: 'https://radio.example/rock', JAZZ: 'https://radio.example/jazz2' });
+  });
+
+  test('rejects URLs that are not http(s)', async () => {
+    await expect(addRadioStation('g1', 'Bad', 'ftp://x')).rejects.toThrow(RangeError);
+    expect(updateGuildSettings).not.toHaveBeenCalled();
+  });
+
+  test('rejects the names of the radio subcommands', async () => {
+    await expect(addRadioStation('g1', 'Remove', 'https://radio.example/x')).rejects.toThrow('cannot be used');
+    expect(updateGuildSettings).not.toHaveBeenCalled();
+  });
+
+  test('removing the last station keeps an empty list instead of the defaults', async () => {
+    expect(await removeRadioStation('g1', 'jazz')).toBe(true);
+    expect(updateGuildSettings).toHaveBeenCalledWith('g1', { radioStations: {} });
+    expect(getRadioStations('g1')).toEqual({});
+    expect(await removeRadioStation('g1', 'jazz')).toBe(false);
+  });
+});
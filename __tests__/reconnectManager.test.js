@@ -1,20 +1,39 @@
 import { jest } from '@jest/globals';
 
+const snapshotPlayer = jest.fn(player => (player.queue.current ? { guildId: player.guildId, position: 42000 } : null));
+const restorePlayerSession = jest.fn();
+const sendOrUpdateNowPlayingUI = jest.fn(() => Promise.resolve());
+const rejoinAlwaysOnChannels = jest.fn(() => Promise.resolve(0));
+
 jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.unstable_mockModule('../utils/sessionPersistence.js', () => ({ snapshotPlayer, restorePlayerSession }));
+jest.unstable_mockModule('../utils/nowPlayingManager.js', () => ({ sendOrUpdateNowPlayingUI }));
+jest.unstable_mockModule('../utils/alwaysOn.js', () => ({ rejoinAlwaysOnChannels }));
 
 const { default: LavalinkReconnectManager } = await import('../utils/reconnectManager.js');
 
+function makeClient(players = new Map()) {
+  return {
+    config: {},
+    lavalink: {
+      nodeManager: { nodes: new Map() },
+      on: jest.fn(),
+      players,
+      getPlayer: jest.fn(guildId => players.get(guildId))
+    },
+    guilds: { cache: new Map() },
+    channels: { cache: new Map() }
+  };
+}
+
 describe('LavalinkReconnectManager', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
   test('startHealthMonitoring and stop manage intervals', () => {
     jest.useFakeTimers();
-    const client = {
-      lavalink: {
-        nodeManager: { nodes: new Map() },
-        on: jest.fn(),
-        players: new Map()
-      },
-      guilds: { cache: new Map() }
-    };
+    const client = makeClient();
     const mgr = new LavalinkReconnectManager(client);
     mgr.startHealthMonitoring();
     expect(mgr.healthCheckInterval).toBeTruthy();
@@ -24,4 +43,104 @@ describe('LavalinkReconnectManager', () => {
     expect(mgr.quickHealthCheckInterval).toBeNull();
     jest.useRealTimers();
   });
+
+  test('snapshots playing players before cleanup', () => {
+    const players = new Map([
+      ['g1', { guildId: 'g1', queue: { current: { encoded: 'x' } } }],
+      ['g2', { guildId: 'g2', queue: { current: null } }]
+    ]);
+    const mgr = new LavalinkReconnectManager(makeClient(players));
+    mgr._snapshotPlayers();
+    expect([...mgr.pendingSessions.keys()]).toEqual(['g1']);
+    expect(mgr.pendingSessionsAt).toBeGreaterThan(0);
+  });
+
+  test('resumes saved sessions after the reconnect and updates the UI', async () => {
+    const channel = { send: jest.fn(() => Promise.resolve()) };
+    const client = makeClient();
+    client.channels.cache.set('tc', channel);
+    const player = { guildId: 'g1', textChannelId: 'tc' };
+    restorePlayerSession.mockResolvedValue(player);
+
+    const mgr = new LavalinkReconnectManager(client);
+    mgr.pendingSessions.set('g1', { guildId: 'g1', position: 42000 });
+    mgr.pendingSessionsAt = Date.now();
+    mgr.restoreAfterReconnect = true;
+
+    await mgr._restoreAfterReconnect({ id: 'n1', sessionId: 's1' });
+    expect(restorePlayerSession).toHaveBeenCalledWith(client, { guildId: 'g1', position: 42000 });
+    expect(sendOrUpdateNowPlayingUI).toHaveBeenCalledWith(player, channel);
+    expect(rejoinAlwaysOnChannels).toHaveBeenCalled();
+    expect(mgr.pendingSessions.size).toBe(0);
+  });
+
+  test('does not overwrite music started while the node was down', async () => {
+    const players = new Map([['g1', { guildId: 'g1', queue: { current: { encoded: 'new' } } }]]);
+    const mgr = new LavalinkReconnectManager(makeClient(players));
+    mgr.pendingSessions.set('g1', { guildId: 'g1', position: 0 });
+    mgr.pendingSessionsAt = Date.now();
+
+    expect(await mgr._restoreSessions()).toBe(0);
+    expect(restorePlayerSession).not.toHaveBeenCalled();
+  });
+
+  test('respects resumeSessions: false', async () => {
+    const client = makeClient();
+    client.config.resumeSessions = false;
+    const mgr = new LavalinkReconnectManager(client);
+    mgr.pendingSessions.set('g1', { guildId: 'g1', position: 0 });
+    mgr.pendingSessionsAt = Date.now();
+
+    expect(await mgr._restoreSessions()).toBe(0);
+    expect(restorePlayerSession).not.toHaveBeenCalled();
+    expect(mgr.pendingSessions.size).toBe(0);
+  });
+
+  test('moves players of a failed node to a healthy node', async () => {
+    const healthy = { id: 'b', connected: true, sessionId: 's', stats: { playingPlayers: 0 } };
+    const down = { id: 'a', connected: false, sessionId: null };
+    const moving = {
+      guildId: 'g1',
+      node: down,
+      paused: false,
+      playing: false,
+      queue: { current: { encoded: 'x' } },
+      changeNode: jest.fn(async target => { moving.node = target; })
+    };
+    const other = { guildId: 'g2', node: healthy, queue: { current: null }, changeNode: jest.fn() };
+    const client = makeClient(new Map([['g1', moving], ['g2', other]]));
+    client.lavalink.nodeManager.nodes = new Map([['a', down], ['b', healthy]]);
+
+    const mgr = new LavalinkReconnectManager(client);
+    expect(await mgr._migratePlayers(down)).toBe(1);
+    expect(moving.changeNode).toHaveBeenCalledWith(healthy);
+    expect(moving.playing).toBe(true);
+    expect(other.changeNode).not.toHaveBeenCalled();
+  });
+
+  test('snapshots and cleans up only players of the failed node', () => {
+    const players = new Map([
+      ['g1', { guildId: 'g1', node: { id: 'a' }, queue: { current: { encoded: 'x' } } }],
+      ['g2', { guildId: 'g2', node: { id: 'b' }, queue: { current: { encoded: 'y' } } }]
+    ]);
+    const mgr = new LavalinkReconnectManager(makeClient(players));
+    mgr._snapshotPlayers({ id: 'a' });
+    expect([...mgr.pendingSessions.keys()]).toEqual(['g1']);
+  });
+
+  test('handles failures of different nodes independently', async () => {
+    jest.useFakeTimers();
+    const mgr = new LavalinkReconnectManager(makeClient());
+    const cleanup = jest.spyOn(mgr, '_intelligentCleanup').mockResolvedValue();
+    jest.spyOn(mgr, '_scheduleReconnect').mockImplementation(() => {});
+
+    await mgr._handleLavalinkDown({ id: 'a' }, 'test');
+    await mgr._handleLavalinkDown({ id: 'a' }, 'duplicate');
+    await mgr._handleLavalinkDown({ id: 'b' }, 'test');
+    expect(cleanup.mock.calls.map(([, node]) => node.id)).toEqual(['a', 'b']);
+
+    jest.advanceTimersByTime(2000);
+    expect(mgr.cleaningUpNodes.size).toBe(0);
+    jest.useRealTimers();
+  });
 });
@@ -0,0 +1,22 @@
+import { compactRequester, formatRequester, isRequestedBy } from '../utils/requester.js';
+
+describe('requester', () => {
+  test('compactRequester keeps only id and name', () => {
+    const user = { id: '1', username: 'name', globalName: 'Display', avatar: 'x', client: {} };
+    expect(compactRequester(user)).toEqual({ id: '1', username: 'Display' });
+  });
+
+  test('compactRequester unwraps guild members and stored requesters', () => {
+    expect(compactRequester({ id: '2', user: { id: '2', username: 'member' } })).toEqual({ id: '2', username: 'member' });
+    expect(compactRequester({ id: '3', username: 'stored' })).toEqual({ id: '3', username: 'stored' });
+    expect(compactRequester(undefined)).toBeNull();
+  });
+
+  test('formatRequester and isRequestedBy read the track requester', () => {
+    const track = { requester: { id: '5', username: 'x' } };
+    expect(formatRequester(track)).toBe('<@5>');
+    expect(formatRequester({})).toBeNull();
+    expect(isRequestedBy(track, '5')).toBe(true);
+    expect(isRequestedBy(track, '6')).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+import { jest } from '@jest/globals';
+
+const writeJsonFile = jest.fn(() => Promise.resolve());
+jest.unstable_mockModule('../utils/jsonStore.js', () => ({
+  readJsonFile: jest.fn(() => Promise.resolve({})),
+  writeJsonFile
+}));
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn(), error: jest.fn() } }));
+jest.unstable_mockModule('../utils/sessionPersistence.js', () => ({
+  serializeTrack: jest.fn(t => ({ encoded: t.encoded, info: t.info, requester: t.requester })),
+  deserializeTrack: jest.fn((client, data) => (data.encoded === 'bad' ? null : { ...data, rebuilt: true }))
+}));
+
+const {
+  validatePlaylistName,
+  listSavedPlaylists,
+  findSavedPlaylist,
+  savePlaylist,
+  appendToPlaylist,
+  deleteSavedPlaylist,
+  renameSavedPlaylist,
+  buildPlaylistTracks
+} = await import('../utils/savedPlaylists.js');
+
+const track = (encoded) => ({ encoded, info: { title: encoded } });
+
+describe('savedPlaylists', () => {
+  test('validatePlaylistName rejects spaces and long names', () => {
+    expect(() => validatePlaylistName('chill_mix-2')).not.toThrow();
+    expect(() => validatePlaylistName('two words')).toThrow(RangeError);
+    expect(() => validatePlaylistName('x'.repeat(33))).toThrow(RangeError);
+  });
+
+  test('savePlaylist stores encoded tracks and skips tracks without one', async () => {
+    const saved = await savePlaylist({
+      scope: 'user', ownerKey: 'u1', ownerId: 'u1', name: 'Mine', tracks: [track('a'), {}, track('b')]
+    });
+    expect(saved.tracks.map(t => t.encoded)).toEqual(['a', 'b']);
+    expect(writeJsonFile).toHaveBeenCalled();
+  });
+
+  test('personal playlists take precedence over server playlists', async () => {
+    await savePlaylist({ scope: 'server', ownerKey: 'g1', ownerId: 'u2', name: 'mine', tracks: [track('s')] });
+    expect(findSavedPlaylist('g1', 'u1', 'MINE').scope).toBe('user');
+    expect(findSavedPlaylist('g1', 'u2', 'mine').scope).toBe('server');
+    expect(listSavedPlaylists('g1', 'u1').server).toHaveLength(1);
+  });
+
+  test('appendToPlaylist, renameSavedPlaylist and deleteSavedPlaylist edit the entry', async () => {
+    const entry = findSavedPlaylist('g1', 'u1', 'mine', 'user');
+    expect(await appendToPlaylist(entry, [track('c')])).toBe(3);
+    await renameSavedPlaylist(entry, 'Renamed');
+    expect(findSavedPlaylist('g1', 'u1', 'mine', 'user')).toBeNull();
+    const renamed = findSavedPlaylist('g1', 'u1', 'renamed');
+    expect(renamed.playlist.tracks).toHaveLength(3);
+    await deleteSavedPlaylist(renamed);
+    expect(listSavedPlaylists('g1', 'u1').user).toEqual([]);
+  });
+
+  test('buildPlaylistTracks sets the loader as requester and drops broken tracks', () => {
+    const playlist = { tracks: [{ encoded: 'a' }, { encoded: 'bad' }] };
+    const tracks = buildPlaylistTracks({}, playlist, { id: 'u9', username: 'loader' });
+    expect(tracks).toHaveLength(1);
+    expect(tracks[0].requester).toEqual({ id: 'u9', username: 'loader' });
+  });
+});
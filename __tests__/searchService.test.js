@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/guildSettings.js', () => ({
+  getGuildConfig: jest.fn(() => ({ prefix: '.', defaultSearchPlatform: 'ytsearch' }))
+}));
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const { SearchCache, searchCache, resolveSearchMode, performReliableSearch, searchInBatches } = await import('../utils/searchService.js');
+
+const result = (...titles) => ({
+  loadType: 'search',
+  tracks: titles.map(title => ({ encoded: title, info: { title }, requester: null }))
+});
+
+// Mocked Lavalink manager: buildTrack copies a track for a new requester
+function createPlayer(search) {
+  return {
+    guildId: 'g1',
+    search: jest.fn(search),
+    LavalinkManager: {
+      utils: { buildTrack: jest.fn((track, requester) => ({ ...track, requester })) }
+    }
+  };
+}
+
+describe('SearchCache', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('evicts the least recently used entry', () => {
+    const cache = new SearchCache(() => ({ ttl: 60000, maxSize: 2 }));
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('c')).toBe(3);
+    expect(cache.size).toBe(2);
+  });
+
+  test('expires entries after the ttl', () => {
+    jest.useFakeTimers();
+    const cache = new SearchCache(() => ({ ttl: 1000, maxSize: 10 }));
+    cache.set('a', 1);
+    jest.advanceTimersByTime(1001);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.size).toBe(0);
+  });
+});
+
+describe('resolveSearchMode', () => {
+  const message = content => ({ guild: { id: 'g1' }, content });
+
+  test('uses the server default for plain searches', () => {
+    expect(resolveSearchMode(message('.play song'), 'song')).toEqual({ mode: 'ytsearch', forceMode: false, isUrl: false });
+  });
+
+  test('forces the platform of playm/searchyt', () => {
+    expect(resolveSearchMode(message('.playm song'), 'song').mode).toBe('ytmsearch');
+    expect(resolveSearchMode(message('.searchyt song'), 'song')).toMatchObject({ mode: 'ytsearch', forceMode: true });
+  });
+
+  test('resolves URLs directly', () => {
+    expect(resolveSearchMode(message('.play x'), 'https://open.spotify.com/artist/1')).toEqual({ mode: 'ytsearch', forceMode: true, isUrl: true });
+  });
+});
+
+describe('performReliableSearch', () => {
+  const alice = { id: 'alice' };
+  const bob = { id: 'bob' };
+
+  beforeEach(() => {
+    global.config = { cacheTTL: 300, maxCacheSize: 10 };
+    searchCache.clear();
+  });
+
+  test('searches with the platform prefix and caches the result', async () => {
+    const player = createPlayer(async () => result('Song'));
+    const res = await performReliableSearch(player, { query: 'song', mode: 'ytsearch', requester: alice });
+    expect(player.search).toHaveBeenCalledWith({ query: 'ytsearch:song', source: 'ytsearch' }, alice);
+    expect(res.tracks[0].info.title).toBe('Song');
+    expect(searchCache.size).toBe(1);
+  });
+
+  test('serves cached results as fresh tracks for the new requester', async () => {
+    const player = createPlayer(async () => result('Song'));
+    const first = await performReliableSearch(player, { query: 'song', mode: 'ytsearch', requester: alice });
+    const second = await performReliableSearch(player, { query: 'song', mode: 'ytsearch', requester: bob });
+    expect(player.search).toHaveBeenCalledTimes(1);
+    expect(second.tracks[0]).not.toBe(first.tracks[0]);
+    expect(second.tracks[0].requester).toBe(bob);
+  });
+
+  test('does not cache when caching is disabled', async () => {
+    global.config.cacheSearchResults = false;
+    const player = createPlayer(async () => result('Song'));
+    await performReliableSearch(player, { query: 'song', mode: 'ytsearch', requester: alice });
+    await performReliableSearch(player, { query: 'song', mode: 'ytsearch', requester: alice });
+    expect(player.search).toHaveBeenCalledTimes(2);
+  });
+
+  test('falls back to the other platform once', async () => {
+    const player = createPlayer(async ({ source }) => {
+      if (source === 'ytsearch') throw new Error('search failed');
+      return result('Fallback');
+    });
+    const res = await performReliableSearch(player, { query: 'song', mode: 'ytsearch', requester: alice });
+    expect(player.search).toHaveBeenLastCalledWith({ query: 'ytmsearch:song', source: 'ytmsearch' }, alice);
+    expect(res.tracks[0].info.title).toBe('Fallback');
+  });
+
+  test('does not fall back when the platform is forced', async () => {
+    const player = createPlayer(async () => { throw new Error('search failed'); });
+    await expect(performReliableSearch(player, { query: 'song', mode: 'ytmsearch', forceMode: true, requester: alice }))
+      .rejects.toThrow('search failed');
+    expect(player.search).toHaveBeenCalledTimes(1);
+  });
+
+  test('passes URLs through unchanged', async () => {
+    const player = createPlayer(async () => result('Linked'));
+    await performReliableSearch(player, { query: 'https://youtu.be/x', mode: 'ytsearch', forceMode: true, requester: alice });
+    expect(player.search).toHaveBeenCalledWith({ query: 'https://youtu.be/x', source: 'ytsearch' }, alice);
+  });
+});
+
+describe('searchInBatches', () => {
+  test('runs a limited number of searches at once and keeps the order', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const search = async n => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5 - n));
+      running--;
+      if (n === 2) throw new Error('failed');
+      return n * 10;
+    };
+    const batches = [];
+    const results = await searchInBatches([0, 1, 2, 3, 4], search, { batchSize: 2, onBatch: b => batches.push(b) });
+    expect(results).toEqual([0, 10, null, 30, 40]);
+    expect(batches).toEqual([[0, 10], [null, 30], [40]]);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('stops before the next batch when asked to', async () => {
+    const search = jest.fn(async n => n);
+    const results = await searchInBatches([1, 2, 3, 4], search, { batchSize: 2, shouldStop: () => search.mock.calls.length >= 2 });
+    expect(results).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+
+const writeJsonFile = jest.fn(() => Promise.resolve());
+const readJsonFile = jest.fn(() => Promise.resolve(null));
+jest.unstable_mockModule('../utils/jsonStore.js', () => ({ readJsonFile, writeJsonFile }));
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.unstable_mockModule('../utils/playerControls.js', () => ({ getTargetVolume: jest.fn(() => 40) }));
+
+const {
+  default: SessionPersistenceManager,
+  serializeTrack,
+  snapshotPlayer,
+  restorePlayerSession
+} = await import('../utils/sessionPersistence.js');
+const { restartQueueFromHistory } = await import('../utils/loopMode.js');
+
+const track = (id) => ({
+  encoded: `enc-${id}`,
+  info: { identifier: id, title: `Song ${id}`, duration: 200000, isSeekable: true },
+  requester: { id: 'u1', username: 'tester', extra: 'dropped' }
+});
+
+function createPlayer() {
+  return {
+    guildId: 'g1',
+    voiceChannelId: 'vc',
+    textChannelId: 'tc',
+    position: 12345.6,
+    paused: false,
+    customVolume: 70,
+    queue: { current: track('a'), tracks: [track('b')], previous: [track('z')] }
+  };
+}
+
+describe('sessionPersistence', () => {
+  test('serializeTrack keeps a compact requester', () => {
+    expect(serializeTrack(track('a')).requester).toEqual({ id: 'u1', username: 'tester' });
+  });
+
+  test('snapshotPlayer returns null without a current track', () => {
+    const player = createPlayer();
+    player.queue.current = null;
+    expect(snapshotPlayer(player)).toBeNull();
+  });
+
+  test('snapshotPlayer uses the paused position when paused', () => {
+    const player = { ...createPlayer(), paused: true, _pausedPosition: 5000 };
+    const snap = snapshotPlayer(player);
+    expect(snap.position).toBe(5000);
+    expect(snap.tracks).toHaveLength(1);
+    expect(snap.previous[0].encoded).toBe('enc-z');
+    expect(snap.volume).toBe(70);
+  });
+
+  test('restorePlayerSession rebuilds the queue and resumes at the position', async () => {
+    const play = jest.fn();
+    const player = { queue: {}, connected: false, connect: jest.fn(), play };
+    const client = {
+      guilds: { cache: new Map([['g1', { channels: { cache: new Map([['vc', {}]]) } }]]) },
+      lavalink: {
+        getPlayer: () => null,
+        nodeManager: { nodes: new Map() },
+        createPlayer: jest.fn(() => Promise.resolve(player)),
+        utils: { buildTrack: (data) => ({ ...data }) }
+      }
+    };
+    const snap = snapshotPlayer(createPlayer());
+    const restored = await restorePlayerSession(client, snap);
+    expect(restored).toBe(player);
+    expect(player.connect).toHaveBeenCalled();
+    expect(player.queue.tracks[0].encoded).toBe('enc-b');
+    expect(play).toHaveBeenCalledWith(expect.objectContaining({ position: 12345, paused: false }));
+  });
+
+  test('restorePlayerSession keeps the full queue loop list', async () => {
+    const source = {
+      ...createPlayer(),
+      loopMode: 'queue',
+      // Older than the capped history in queue.previous
+      loopTracks: [track('x'), track('y'), track('z'), track('a')]
+    };
+    const snap = JSON.parse(JSON.stringify(snapshotPlayer(source)));
+    const player = {
+      guildId: 'g1',
+      queue: {},
+      connected: true,
+      setRepeatMode: jest.fn(),
+      play: jest.fn(async options => { if (options?.clientTrack) player.queue.current = options.clientTrack; })
+    };
+    const client = {
+      guilds: { cache: new Map([['g1', { channels: { cache: new Map([['vc', {}]]) } }]]) },
+      lavalink: { getPlayer: () => player, utils: { buildTrack: (data) => ({ ...data }) } }
+    };
+    await restorePlayerSession(client, snap);
+    expect(player.loopMode).toBe('queue');
+    expect(player.loopTracks[3]).toBe(player.queue.current);
+
+    player.queue.tracks = [];
+    expect(await restartQueueFromHistory(player)).toBe(true);
+    expect(player.queue.tracks.map(t => t.encoded)).toEqual(['enc-x', 'enc-y', 'enc-z', 'enc-a']);
+  });
+
+  test('restorePlayerSession skips guilds without the voice channel', async () => {
+    const client = { guilds: { cache: new Map() }, lavalink: {} };
+    await expect(restorePlayerSession(client, snapshotPlayer(createPlayer()))).resolves.toBeNull();
+  });
+
+  test('saveSessions writes only players with a current track', async () => {
+    const idle = createPlayer();
+    idle.queue.current = null;
+    const client = { config: {}, lavalink: { players: new Map([['g1', createPlayer()], ['g2', idle]]) } };
+    const mgr = new SessionPersistenceManager(client);
+    await expect(mgr.saveSessions()).resolves.toBe(1);
+    expect(writeJsonFile.mock.calls[0][1].sessions).toHaveLength(1);
+  });
+});
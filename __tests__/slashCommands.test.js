@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { info: jest.fn(), error: jest.fn() } }));
+
+const { buildSlashCommandData, getSlashArgs, createInteractionMessage } = await import('../utils/slashCommands.js');
+
+describe('slashCommands', () => {
+  test('buildSlashCommandData skips commands without slashOptions', () => {
+    expect(buildSlashCommandData({ name: 'help', description: 'Help' })).toEqual([]);
+  });
+
+  test('buildSlashCommandData registers aliases with the same options', () => {
+    const data = buildSlashCommandData({
+      name: 'play',
+      description: 'Plays a song',
+      slashOptions: [{ name: 'query', description: 'Song', type: 'string', required: true }],
+      slashAliases: ['playm']
+    });
+    expect(data.map(d => d.name)).toEqual(['play', 'playm']);
+    expect(data[1].options[0]).toMatchObject({ name: 'query', type: 3, required: true });
+  });
+
+  test('getSlashArgs splits values in declared order', () => {
+    const values = { query: 'never gonna', channel: '42' };
+    const interaction = { options: { get: name => (values[name] ? { value: values[name] } : null) } };
+    const command = {
+      slashOptions: [
+        { name: 'channel', type: 'channel' },
+        { name: 'missing' },
+        { name: 'query' }
+      ]
+    };
+    expect(getSlashArgs(interaction, command)).toEqual(['<#42>', 'never', 'gonna']);
+  });
+
+  test('createInteractionMessage edits the deferred reply first, then follows up', async () => {
+    const interaction = {
+      editReply: jest.fn(() => Promise.resolve('edited')),
+      followUp: jest.fn(() => Promise.resolve('followed')),
+      user: { id: 'u' }
+    };
+    const msg = createInteractionMessage(interaction, '.play song');
+    expect(msg.replied).toBe(false);
+    await expect(msg.reply('first')).resolves.toBe('edited');
+    await expect(msg.reply({ content: 'second' })).resolves.toBe('followed');
+    expect(interaction.editReply).toHaveBeenCalledWith({ content: 'first' });
+    expect(msg.replied).toBe(true);
+    expect(msg.author).toBe(interaction.user);
+  });
+
+  test('createInteractionMessage exposes attachment options as message attachments', () => {
+    const file = { id: 'a1', name: 'queue.json' };
+    const interaction = { options: { data: [{ name: 'file', attachment: file }] }, user: { id: 'u' } };
+    const msg = createInteractionMessage(interaction, '.import');
+    expect(msg.attachments.first()).toBe(file);
+    expect(getSlashArgs(interaction, { slashOptions: [{ name: 'file', type: 'attachment' }] })).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+
+const guildConfig = {};
+jest.unstable_mockModule('../utils/guildSettings.js', () => ({
+  getGuildConfig: jest.fn(() => guildConfig)
+}));
+
+const {
+  DEFAULT_TRACK_FILTERS,
+  getTrackFilters,
+  getFilterReason,
+  filterTracks,
+  formatFilterNotice,
+  applyTrackFilterSetting
+} = await import('../utils/trackFilters.js');
+const { processSearchResults, isTrackPlayable } = await import('../utils/searchResults.js');
+
+const track = (title, info = {}) => ({ info: { title, author: 'Artist', duration: 200000, sourceName: 'youtube', ...info } });
+
+beforeEach(() => {
+  global.config = { maxPlaylistSize: 50 };
+  delete guildConfig.trackFilters;
+});
+
+describe('getFilterReason', () => {
+  test('defaults to streams and 3s to 2h', () => {
+    expect(getFilterReason(track('Song'))).toBeNull();
+    expect(getFilterReason(track('Live', { isStream: true }))).toBeNull();
+    expect(getFilterReason(track('Live', { isStream: true }), { ...DEFAULT_TRACK_FILTERS, allowStreams: false })).toBe('livestream');
+    expect(getFilterReason(track('Short', { duration: 2000 }))).toBe('shorter than 0:03');
+    expect(getFilterReason(track('Long', { duration: 7200001 }))).toBe('longer than 2:00:00');
+    expect(isTrackPlayable(null)).toBe(false);
+  });
+
+  test('applies keywords, channels, explicit content and sources', () => {
+    const rules = {
+      ...DEFAULT_TRACK_FILTERS,
+      blockedKeywords: ['nightcore'],
+      blockedAuthors: ['Spam Channel'],
+      allowExplicit: false,
+      allowedSources: ['youtube']
+    };
+    expect(getFilterReason(track('Song (Nightcore)'), rules)).toBe('blocked keyword "nightcore"');
+    expect(getFilterReason(track('Song', { author: 'spam channel' }), rules)).toBe('blocked channel "Spam Channel"');
+    expect(getFilterReason(track('Song (Explicit)'), rules)).toBe('explicit');
+    expect(getFilterReason(track('Song', { sourceName: 'soundcloud' }), rules)).toBe('source soundcloud not allowed');
+    expect(getFilterReason(track('Song'), rules)).toBeNull();
+  });
+
+  test('streams ignore the duration range', () => {
+    expect(getFilterReason(track('Radio', { isStream: true, duration: 9007199254740991 }))).toBeNull();
+  });
+});
+
+describe('getTrackFilters', () => {
+  test('layers guild rules over config.json over the defaults', () => {
+    global.config.trackFilters = { maxDuration: 600000, allowExplicit: false };
+    guildConfig.trackFilters = { allowExplicit: true };
+    expect(getTrackFilters('g1')).toMatchObject({ minDuration: 3000, maxDuration: 600000, allowExplicit: true });
+  });
+});
+
+describe('filterTracks and formatFilterNotice', () => {
+  test('lists filtered tracks with their reason', () => {
+    const rules = { ...DEFAULT_TRACK_FILTERS, allowStreams: false };
+    const { tracks, filtered } = filterTracks([track('A'), track('B', { isStream: true })], rules);
+    expect(tracks).toHaveLength(1);
+    expect(formatFilterNotice(filtered)).toBe('Filtered 1 track: **B** (livestream)');
+    expect(formatFilterNotice([])).toBe('');
+  });
+});
+
+describe('applyTrackFilterSetting', () => {
+  const rules = { ...DEFAULT_TRACK_FILTERS, blockedKeywords: ['remix'] };
+
+  test('changes toggles and durations', () => {
+    expect(applyTrackFilterSetting({}, 'streams', ['on'], rules)).toEqual({ allowStreams: true });
+    expect(applyTrackFilterSetting({ allowStreams: true }, 'maxduration', ['600'], rules))
+      .toEqual({ allowStreams: true, maxDuration: 600000 });
+  });
+
+  test('edits lists starting from the effective rules', () => {
+    expect(applyTrackFilterSetting({}, 'keyword', ['add', 'sped', 'up'], rules)).toEqual({ blockedKeywords: ['remix', 'sped up'] });
+    expect(applyTrackFilterSetting({}, 'keyword', ['remove', 'REMIX'], rules)).toEqual({ blockedKeywords: [] });
+    expect(applyTrackFilterSetting({}, 'sources', ['youtube,soundcloud'], rules)).toEqual({ allowedSources: ['youtube', 'soundcloud'] });
+    expect(applyTrackFilterSetting({ allowStreams: true }, 'reset', [], rules)).toBeNull();
+  });
+
+  test('rejects invalid values with the expected arguments', () => {
+    expect(() => applyTrackFilterSetting({}, 'streams', ['maybe'], rules)).toThrow('<on|off>');
+    expect(() => applyTrackFilterSetting({}, 'minduration', ['-1'], rules)).toThrow(RangeError);
+    expect(() => applyTrackFilterSetting({}, 'author', ['add'], rules)).toThrow(RangeError);
+  });
+});
+
+describe('processSearchResults', () => {
+  test('reports filtered playlist tracks in the confirmation', async () => {
+    guildConfig.trackFilters = { blockedKeywords: ['live'] };
+    const res = { loadType: 'playlist', playlist: { name: 'Mix' }, tracks: [track('Song'), track('Song (Live)')] };
+    const { tracks, confirmation, notice } = await processSearchResults(res, { guildId: 'g1' });
+    expect(tracks).toHaveLength(1);
+    expect(notice).toBe('Filtered 1 track: **Song (Live)** (blocked keyword "live")');
+    expect(confirmation).toContain(notice);
+  });
+
+  test('explains why a single track was not added', async () => {
+    guildConfig.trackFilters = { allowStreams: false };
+    const { tracks, notice } = await processSearchResults({ loadType: 'track', tracks: [track('Radio', { isStream: true })] }, { guildId: 'g1' });
+    expect(tracks).toEqual([]);
+    expect(notice).toBe('Filtered 1 track: **Radio** (livestream)');
+  });
+});
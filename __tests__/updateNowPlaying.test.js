@@ -6,7 +6,7 @@ jest.unstable_mockModule('../utils/nowPlayingEmbed.js', () => ({
   generateStoppedEmbed: jest.fn(() => ({ stopped: true }))
 }));
 jest.unstable_mockModule('../utils/safeDiscord.js', () => ({ safeEdit: jest.fn(() => Promise.resolve()) }));
-jest.unstable_mockModule('../utils/emojiUtils.js', () => ({ createButtonRowWithEmojis: jest.fn(() => 'row') }));
+jest.unstable_mockModule('../utils/emojiUtils.js', () => ({ createNowPlayingComponents: jest.fn(() => ['row', 'modeRow']) }));
 
 const { updateNowPlaying } = await import('../utils/updateNowPlaying.js');
 const { safeEdit } = await import('../utils/safeDiscord.js');
@@ -37,7 +37,7 @@ describe('updateNowPlaying', () => {
     });
     expect(safeEdit).toHaveBeenCalledWith(msg, {
       embeds: [{ embed: true }],
-      components: ['row']
+      components: ['row', 'modeRow']
     });
   });
 });
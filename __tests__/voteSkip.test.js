@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+
+let guildConfig = {};
+let skipAllowed = true;
+jest.unstable_mockModule('../utils/logger.js', () => ({ default: { debug: jest.fn() } }));
+jest.unstable_mockModule('../utils/guildSettings.js', () => ({
+  getGuildConfig: jest.fn(() => guildConfig)
+}));
+jest.unstable_mockModule('../utils/permissions.js', () => ({
+  hasCommandPermission: jest.fn(() => skipAllowed)
+}));
+
+const {
+  needsSkipVote,
+  registerSkipVote,
+  getSkipVoteTally,
+  resetSkipVotes
+} = await import('../utils/voteSkip.js');
+
+const listeners = ['a', 'b', 'c', 'd'];
+const guild = {
+  id: 'g1',
+  channels: {
+    cache: new Map([['vc', {
+      members: new Map([
+        ...listeners.map(id => [id, { id, user: { bot: false } }]),
+        ['bot', { id: 'bot', user: { bot: true } }]
+      ])
+    }]])
+  }
+};
+const member = (id, { channelId = 'vc', roles = [], manageGuild = false } = {}) => ({
+  id,
+  guild,
+  voice: { channelId },
+  roles: { cache: new Set(roles) },
+  permissions: { has: () => manageGuild }
+});
+
+describe('voteSkip', () => {
+  beforeEach(() => {
+    guildConfig = {};
+    skipAllowed = true;
+  });
+
+  test('members with skip permission skip directly', () => {
+    expect(needsSkipVote(member('a'))).toBe(false);
+  });
+
+  test('members without skip permission vote', () => {
+    skipAllowed = false;
+    expect(needsSkipVote(member('a'))).toBe(true);
+  });
+
+  test('voteSkip makes everyone except DJs and managers vote', () => {
+    guildConfig = { voteSkip: true, djRoleId: 'dj' };
+    expect(needsSkipVote(member('a'))).toBe(true);
+    expect(needsSkipVote(member('a', { roles: ['dj'] }))).toBe(false);
+    expect(needsSkipVote(member('a', { manageGuild: true }))).toBe(false);
+  });
+
+  test('skips once the configured share of listeners voted', () => {
+    const player = { guildId: 'g1', voiceChannelId: 'vc' };
+    expect(registerSkipVote(player, member('a'))).toMatchObject({ votes: 1, required: 2, passed: false });
+    expect(registerSkipVote(player, member('a')).votes).toBe(1);
+    expect(getSkipVoteTally(player)).toEqual({ votes: 1, required: 2 });
+    expect(registerSkipVote(player, member('b')).passed).toBe(true);
+  });
+
+  test('uses the configured ratio', () => {
+    guildConfig = { voteSkipRatio: 1 };
+    const player = { guildId: 'g1', voiceChannelId: 'vc' };
+    expect(registerSkipVote(player, member('a')).required).toBe(4);
+  });
+
+  test('rejects votes from outside the voice channel', () => {
+    const player = { guildId: 'g1', voiceChannelId: 'vc' };
+    expect(registerSkipVote(player, member('a', { channelId: 'other' })).ok).toBe(false);
+  });
+
+  test('resetSkipVotes clears the tally', () => {
+    const player = { guildId: 'g1', voiceChannelId: 'vc' };
+    registerSkipVote(player, member('a'));
+    resetSkipVotes(player);
+    expect(getSkipVoteTally(player)).toBeNull();
+  });
+});
@@ -0,0 +1,44 @@
+// commands/autoplay.js
+// Command to toggle autoplay: when the queue runs out, related tracks are
+// played based on the last track until playback is stopped.
+
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import { isAutoplayEnabled, setAutoplay } from "../../utils/autoplay.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import logger from "../../utils/logger.js";
+
+export default {
+  name: "autoplay",
+  aliases: ["ap"],
+  description: "Keeps playing related tracks when the queue ends. Usage: autoplay [on|off]",
+  slashOptions: [
+    {
+      name: "state",
+      description: "Turn autoplay on or off (toggles if omitted)",
+      type: "string",
+      choices: [
+        { name: "on", value: "on" },
+        { name: "off", value: "off" }
+      ]
+    }
+  ],
+  async execute(client, message, args) {
+    const player = client.lavalink.getPlayer(message.guild.id);
+    if (!player || !player.queue.current) {
+      return message.reply("No music is playing in this server.");
+    }
+
+    const state = args[0]?.toLowerCase();
+    if (state && state !== "on" && state !== "off") {
+      const prefix = getGuildConfig(message.guild.id).prefix;
+      return message.reply(`Usage: \`${prefix}autoplay [on|off]\``);
+    }
+
+    const enabled = setAutoplay(player, state ? state === "on" : !isAutoplayEnabled(player));
+    await sendOrUpdateNowPlayingUI(player, message.channel, true);
+    message.channel.send(enabled
+      ? "Autoplay enabled. Related tracks will play when the queue ends."
+      : "Autoplay disabled.");
+    logger.debug(`[autoplay] Autoplay ${enabled ? "enabled" : "disabled"} in Guild="${message.guild.id}"`);
+  }
+};
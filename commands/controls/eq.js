@@ -0,0 +1,176 @@
+// commands/eq.js
+// Command for the custom 15-band equalizer. Without arguments it shows an
+// interactive editor; save/load/delete/list manage named profiles per server.
+
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  StringSelectMenuBuilder
+} from "discord.js";
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import { getFilterablePlayer, clearFilters } from "../../utils/audioFilters.js";
+import {
+  EQ_BANDS,
+  EQ_STEP,
+  getEqualizerGains,
+  nudgeBand,
+  formatEqualizer,
+  applyEqualizer,
+  getEqProfiles,
+  saveEqProfile,
+  deleteEqProfile
+} from "../../utils/equalizer.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import logger from "../../utils/logger.js";
+
+// Editor stays open this long after the last interaction
+const EDITOR_IDLE_TIME = 120_000;
+
+// Helper: Editor embed with the current gains
+function editorEmbed(player, gains, selected, prefix) {
+  return new EmbedBuilder()
+    .setTitle(player.eqProfile ? `Equalizer – ${player.eqProfile}` : "Equalizer")
+    .setColor("Blue")
+    .setDescription(formatEqualizer(gains, selected))
+    .setFooter({ text: `Select a band and nudge it with − / +  •  ${prefix}eq save <name> to keep this profile` });
+}
+
+// Helper: Band select menu and nudge buttons
+function editorComponents(selected) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId("eqBand")
+    .setPlaceholder("Select a band")
+    .addOptions(EQ_BANDS.map((label, i) => ({ label, value: String(i), default: i === selected })));
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId("eqDown").setLabel("−").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId("eqUp").setLabel("+").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId("eqReset").setLabel("Reset").setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId("eqClose").setLabel("Done").setStyle(ButtonStyle.Success)
+  );
+  return [new ActionRowBuilder().addComponents(menu), buttons];
+}
+
+export default {
+  name: "eq",
+  aliases: ["equalizer"],
+  description: "Custom equalizer. Usage: eq [save|load|delete <name>] | eq list | eq reset",
+  slashOptions: [
+    {
+      name: "action",
+      description: "Profile action (opens the editor if omitted)",
+      type: "string",
+      choices: ["save", "load", "delete", "list", "reset"].map(a => ({ name: a, value: a }))
+    },
+    { name: "name", description: "Profile name", type: "string" }
+  ],
+  async execute(client, message, args) {
+    const guildId = message.guild.id;
+    const prefix = getGuildConfig(guildId).prefix;
+    const action = args[0]?.toLowerCase();
+    const name = args[1];
+
+    // Listing profiles works without a player
+    if (action === "list") {
+      const names = Object.keys(getEqProfiles(guildId));
+      return message.channel.send(names.length
+        ? `Saved EQ profiles: ${names.map(n => `\`${n}\``).join(", ")}`
+        : `No EQ profiles saved yet. Use \`${prefix}eq save <name>\` to create one.`);
+    }
+
+    if (action === "delete") {
+      if (!name) return message.reply(`Usage: \`${prefix}eq delete <name>\``);
+      try {
+        const deleted = await deleteEqProfile(guildId, name);
+        return message.channel.send(deleted ? `EQ profile **${name}** deleted.` : `No EQ profile named **${name}**.`);
+      } catch (err) {
+        logger.error("[eq] Error deleting profile:", err);
+        return message.reply("Failed to delete EQ profile.");
+      }
+    }
+
+    if (action && !["save", "load", "reset"].includes(action)) {
+      return message.reply(`Usage: \`${prefix}eq [save|load|delete <name>]\`, \`${prefix}eq list\` or \`${prefix}eq reset\``);
+    }
+
+    const player = await getFilterablePlayer(client, message, "eq");
+    if (!player) return;
+
+    try {
+      if (action === "save") {
+        if (!name) return message.reply(`Usage: \`${prefix}eq save <name>\``);
+        await saveEqProfile(guildId, name, getEqualizerGains(player));
+        if (player.activeFilter === "eq") player.eqProfile = name;
+        return message.channel.send(`EQ profile **${name}** saved.`);
+      }
+
+      if (action === "load") {
+        if (!name) return message.reply(`Usage: \`${prefix}eq load <name>\``);
+        const gains = getEqProfiles(guildId)[name];
+        if (!gains) return message.reply(`No EQ profile named **${name}**. See \`${prefix}eq list\`.`);
+        await applyEqualizer(player, gains, name);
+        await sendOrUpdateNowPlayingUI(player, message.channel, true);
+        return message.channel.send(`EQ profile **${name}** loaded.`);
+      }
+
+      if (action === "reset") {
+        await clearFilters(player);
+        await sendOrUpdateNowPlayingUI(player, message.channel, true);
+        return message.channel.send("Equalizer reset.");
+      }
+    } catch (err) {
+      logger.error(`[eq] Error during "${action}":`, err);
+      return message.reply(err instanceof RangeError ? err.message : "Error applying equalizer.");
+    }
+
+    // Interactive editor
+    let gains = getEqualizerGains(player);
+    let selected = 0;
+    const editor = await message.channel.send({
+      embeds: [editorEmbed(player, gains, selected, prefix)],
+      components: editorComponents(selected)
+    });
+
+    const collector = editor.createMessageComponentCollector({ idle: EDITOR_IDLE_TIME });
+    collector.on("collect", async interaction => {
+      if (interaction.user.id !== message.author.id) {
+        return interaction.reply({ content: "Only the user who opened the equalizer can change it.", ephemeral: true }).catch(() => {});
+      }
+      await interaction.deferUpdate().catch(() => {});
+
+      try {
+        switch (interaction.customId) {
+          case "eqBand":
+            selected = Number(interaction.values[0]);
+            break;
+          case "eqDown":
+          case "eqUp":
+            gains = nudgeBand(gains, selected, interaction.customId === "eqUp" ? EQ_STEP : -EQ_STEP);
+            await applyEqualizer(player, gains);
+            break;
+          case "eqReset":
+            await clearFilters(player);
+            gains = getEqualizerGains(player);
+            break;
+          case "eqClose":
+            collector.stop("closed");
+            return;
+        }
+        await editor.edit({
+          embeds: [editorEmbed(player, gains, selected, prefix)],
+          components: editorComponents(selected)
+        });
+        sendOrUpdateNowPlayingUI(player, message.channel);
+      } catch (err) {
+        logger.error(`[eq] Error handling ${interaction.customId}:`, err);
+      }
+    });
+
+    collector.on("end", () => {
+      editor.edit({ embeds: [editorEmbed(player, gains, -1, prefix)], components: [] }).catch(() => {});
+      logger.debug(`[eq] Editor closed in Guild="${guildId}"`);
+    });
+  }
+};
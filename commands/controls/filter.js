@@ -0,0 +1,71 @@
+// commands/filter.js
+// Command to apply an audio filter preset (bassboost, nightcore, vaporwave, 8D, ...)
+// or to reset all filters. The preset stays active for the following tracks.
+
+import { EmbedBuilder } from "discord.js";
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import {
+  FILTER_PRESETS,
+  resolvePresetName,
+  getActiveFilterLabel,
+  applyFilterPreset,
+  clearFilters,
+  getFilterablePlayer
+} from "../../utils/audioFilters.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import logger from "../../utils/logger.js";
+
+export default {
+  name: "filter",
+  aliases: ["filters", "fx"],
+  description: "Applies an audio filter preset. Usage: filter <preset|off>",
+  slashOptions: [
+    {
+      name: "preset",
+      description: "Filter preset, or off to reset all filters",
+      type: "string",
+      choices: [
+        ...Object.entries(FILTER_PRESETS).map(([value, preset]) => ({ name: preset.label, value })),
+        { name: "Off", value: "off" }
+      ]
+    }
+  ],
+  async execute(client, message, args) {
+    // Without a preset, list the available ones
+    if (!args[0]) {
+      const prefix = getGuildConfig(message.guild.id).prefix;
+      const player = client.lavalink.getPlayer(message.guild.id);
+      const embed = new EmbedBuilder()
+        .setTitle("Audio Filters")
+        .setColor("Blue")
+        .setDescription(
+          `**Active:** ${(player && getActiveFilterLabel(player)) || "None"}\n\n` +
+          Object.keys(FILTER_PRESETS).map(name => `\`${name}\``).join(", ")
+        )
+        .setFooter({ text: `Usage: ${prefix}filter <preset>  •  ${prefix}filter off to reset` });
+      return message.channel.send({ embeds: [embed] });
+    }
+
+    const player = await getFilterablePlayer(client, message, "filter");
+    if (!player) return;
+
+    try {
+      if (args[0].toLowerCase() === "off") {
+        await clearFilters(player);
+        message.channel.send("All filters were reset.");
+      } else {
+        const name = resolvePresetName(args);
+        if (!name) {
+          return message.reply(`Unknown filter. Available: ${Object.keys(FILTER_PRESETS).join(", ")}, off`);
+        }
+        const label = await applyFilterPreset(player, name);
+        message.channel.send(`Filter **${label}** applied.`);
+      }
+      await sendOrUpdateNowPlayingUI(player, message.channel, true);
+      logger.debug(`[filter] Guild="${message.guild.id}" - Active filter: ${player.activeFilter}`);
+    } catch (error) {
+      logger.error("[filter] Error applying filter:", error);
+      message.channel.send("Error applying filter.");
+    }
+  }
+};
@@ -0,0 +1,49 @@
+// commands/loop.js
+// Command to repeat the current track or the whole queue.
+// Without an argument it cycles through off → track → queue.
+
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import {
+  LOOP_MODES,
+  cycleLoopMode,
+  setLoopMode,
+  formatLoopMode
+} from "../../utils/loopMode.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import logger from "../../utils/logger.js";
+
+export default {
+  name: "loop",
+  aliases: ["repeat"],
+  description: "Loops the current track or the whole queue. Usage: loop [track|queue|off]",
+  slashOptions: [
+    {
+      name: "mode",
+      description: "Loop mode (cycles through the modes if omitted)",
+      type: "string",
+      choices: LOOP_MODES.map(mode => ({ name: mode, value: mode }))
+    }
+  ],
+  async execute(client, message, args) {
+    const player = client.lavalink.getPlayer(message.guild.id);
+    if (!player || !player.queue.current) {
+      return message.reply("No music is playing in this server.");
+    }
+
+    const mode = args[0]?.toLowerCase();
+    if (mode && !LOOP_MODES.includes(mode)) {
+      const prefix = getGuildConfig(message.guild.id).prefix;
+      return message.reply(`Usage: \`${prefix}loop [track|queue|off]\``);
+    }
+
+    try {
+      const newMode = mode ? await setLoopMode(player, mode) : await cycleLoopMode(player);
+      await sendOrUpdateNowPlayingUI(player, message.channel, true);
+      message.channel.send(newMode === "off" ? "Loop disabled." : `Loop mode set to **${formatLoopMode(newMode)}**.`);
+      logger.debug(`[loop] Loop mode set to ${newMode} in Guild="${message.guild.id}"`);
+    } catch (error) {
+      logger.error("[loop] Error while changing loop mode:", error);
+      message.channel.send("Failed to change the loop mode.");
+    }
+  }
+};
@@ -3,16 +3,19 @@
 
 import { togglePlayPause } from "../../utils/playerControls.js";
 import logger from "../../utils/logger.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
 
 export default {
   name: "pause",
   aliases: ["resume"],
   description: "Toggles pause/resume playback.",
+  slashOptions: [],
+  slashAliases: ["resume"],
   async execute(client, message, args) {
     const player = client.lavalink.getPlayer(message.guild.id);
     if (!player) return; // Exit if no active player exists
 
-    const prefix = client.config.prefix;
+    const prefix = getGuildConfig(message.guild.id).prefix;
     const commandUsed = message.content.slice(prefix.length).split(" ")[0].toLowerCase();
 
     if (commandUsed === "pause" && !player.paused) {
@@ -8,6 +8,7 @@ export default {
   name: "previous",
   aliases: ["prev"],
   description: "lays the previous song from history.",
+  slashOptions: [],
   async execute(client, message, args) {
     const player = client.lavalink.getPlayer(message.guild.id);
     if (!player || !player.queue.current) {
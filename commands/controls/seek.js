@@ -7,11 +7,17 @@ import logger from "../../utils/logger.js";
 export default {
   name: "seek",
   description: "Jumps to a specific point in the current track. Usage: .seek 2, .seek 3:20, or .seek 1:00:00",
+  slashOptions: [
+    { name: "time", description: "Target time, e.g. 2, 3:20 or 1:00:00", type: "string", required: true }
+  ],
   async execute(client, message, args) {
     const player = client.lavalink.getPlayer(message.guild.id);
     if (!player || !player.queue.current) {
       return message.reply("No track is currently playing.");
     }
+    if (player.queue.current.info.isStream || player.queue.current.info.isSeekable === false) {
+      return message.reply("Seeking is not possible in livestreams and radio.");
+    }
     if (!args[0]) {
       return message.reply("Please provide a time to seek to (e.g., 2, 3:20, or 1:00:00).");
     }
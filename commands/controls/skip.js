@@ -3,24 +3,42 @@
 
 import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
 import { performSkip } from "../../utils/playerControls.js";
+import { needsSkipVote, registerSkipVote } from "../../utils/voteSkip.js";
+import { isAutoplayEnabled } from "../../utils/autoplay.js";
 import logger from "../../utils/logger.js";
 
 export default {
   name: "skip",
   aliases: ["next"],
-  description: "Skips the current track.",
+  description: "Skips the current track, or votes to skip it without skip rights.",
+  slashOptions: [],
   async execute(client, message) {
     const player = client.lavalink.getPlayer(message.guild.id);
     if (!player) {
       return message.reply("No music is playing in this server.");
     }
     logger.debug(`[skip] Guild="${message.guild.id}" - Current queue length: ${player.queue.tracks.length}`);
-    if (!player.queue.tracks || player.queue.tracks.length === 0) {
+    // With autoplay, the last track is skipped to a related one
+    if (!player.queue.tracks?.length && !isAutoplayEnabled(player)) {
       return message.reply("No more tracks in the queue to skip to.");
     }
+    // Listeners without skip rights vote instead
+    if (needsSkipVote(message.member)) {
+      const vote = registerSkipVote(player, message.member);
+      if (!vote.ok) {
+        return message.reply(vote.reason);
+      }
+      if (!vote.passed) {
+        await sendOrUpdateNowPlayingUI(player, message.channel, true);
+        return message.channel.send(`Skip vote registered (**${vote.votes}/${vote.required}**).`);
+      }
+      message.channel.send("Vote passed, skipping.");
+    }
     try {
       // Call the skip function from playerControls
-      await performSkip(player);
+      if (!await performSkip(player, client.user)) {
+        return message.reply("No related track found to skip to.");
+      }
       // Wait a short time before updating the UI
       await new Promise(resolve => setTimeout(resolve, 500));
       await sendOrUpdateNowPlayingUI(player, message.channel);
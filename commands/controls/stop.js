@@ -8,6 +8,7 @@ import logger from "../../utils/logger.js";
 export default {
   name: "stop",
   description: "Stops playback and clears the queue (requires confirmation).",
+  slashOptions: [],
   async execute(client, message, args) {
     const player = client.lavalink.getPlayer(message.guild.id);
     if (!player) {
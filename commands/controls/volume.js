@@ -1,13 +1,19 @@
 // commands/volume.js
 // Command to set the playback volume (0-100, default: 50).
 // If no argument is provided, it shows the current volume and instructions.
+// "+" and "-" change the volume by the configured volumeStep.
 
 import logger from "../../utils/logger.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import { stepVolume } from "../../utils/playerControls.js";
 
 export default {
   name: "volume",
   aliases: ["vol"],
-  description: "Sets the playback volume (0-100, default: 50). If no value is given, shows the current volume.",
+  description: "Sets the playback volume (0-100, default: 50), or steps it with + / -. If no value is given, shows the current volume.",
+  slashOptions: [
+    { name: "level", description: "Volume between 0 and 100, or + / - to step it", type: "string" }
+  ],
   async execute(client, message, args) {
     const player = client.lavalink.getPlayer(message.guild.id);
     if (!player) {
@@ -15,15 +21,21 @@ export default {
     }
     logger.debug(`[volume] Guild="${message.guild.id}" - Current volume: ${player.volume}`);
     
-    const prefix = client.config.prefix; // Dynamisch ermitteln
+    const prefix = getGuildConfig(message.guild.id).prefix; // Dynamisch ermitteln
     
     // If no argument is provided, show current volume and instructions
     if (!args[0]) {
       return message.channel.send(
-        `Current volume is **${player.volume}%**.\nUsage: \`${prefix}volume <number>\` (0-100)`
+        `Current volume is **${player.volume}%**.\nUsage: \`${prefix}volume <number>\` (0-100) or \`${prefix}volume +\` / \`${prefix}volume -\``
       );
     }
 
+    // Step the volume up or down by volumeStep
+    if (args[0] === "+" || args[0] === "-") {
+      const volume = await stepVolume(player, args[0] === "+" ? 1 : -1);
+      return message.channel.send(`Volume set to **${volume}%**.`);
+    }
+
     // Parse the volume from the command argument
     const volume = parseInt(args[0], 10);
     if (isNaN(volume) || volume < 0 || volume > 100) {
@@ -31,6 +43,7 @@ export default {
     }
     
     await player.setVolume(volume, false);
+    player.customVolume = volume; // Keep this volume for the following tracks
     logger.debug(`[volume] Guild="${message.guild.id}" - New volume: ${volume}`);
     message.channel.send(`Volume set to **${volume}%**.`);
   }
@@ -0,0 +1,86 @@
+// commands/247.js
+// Command to toggle 24/7 mode: the bot stays in the caller's voice channel
+// through queue end and empty channels and rejoins it after restarts.
+// ".247 on <playlist>" also plays a saved server playlist on loop.
+
+import { getAlwaysOn, enableAlwaysOn, disableAlwaysOn, joinAlwaysOnChannel } from "../../utils/alwaysOn.js";
+import { findSavedPlaylist } from "../../utils/savedPlaylists.js";
+import { scheduleIdleDisconnect } from "../../utils/idleManager.js";
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import logger from "../../utils/logger.js";
+
+export default {
+  name: "247",
+  aliases: ["24/7", "alwayson"],
+  description: "Keeps the bot in your voice channel around the clock. Usage: 247 [on [playlist]|off]",
+  slashOptions: [
+    {
+      name: "state",
+      description: "Turn 24/7 mode on or off (toggles if omitted)",
+      type: "string",
+      choices: [
+        { name: "on", value: "on" },
+        { name: "off", value: "off" }
+      ]
+    },
+    { name: "playlist", description: "Saved server playlist to play on loop", type: "string" }
+  ],
+  async execute(client, message, args) {
+    const guildId = message.guild.id;
+    const state = args[0]?.toLowerCase();
+    if (state && state !== "on" && state !== "off") {
+      const prefix = getGuildConfig(guildId).prefix;
+      return message.reply(`Usage: \`${prefix}247 [on [playlist]|off]\``);
+    }
+
+    const current = getAlwaysOn(guildId);
+    const enable = state ? state === "on" : !current;
+
+    if (!enable) {
+      if (!current) return message.reply("24/7 mode is not enabled.");
+      await disableAlwaysOn(guildId);
+
+      // Back to normal: an idle player leaves after autoDisconnectDelay
+      const player = client.lavalink.getPlayer(guildId);
+      if (player && !player.queue.current) {
+        scheduleIdleDisconnect(player, () => player.destroy());
+      }
+      return message.channel.send("24/7 mode disabled. I'll leave when idle again.");
+    }
+
+    if (!client.lavalinkReady) {
+      return message.reply("Lavalink is not ready. Please wait a moment and try again.");
+    }
+    const userVC = message.member.voice.channel;
+    if (!userVC) {
+      return message.reply("Join the voice channel I should stay in first!");
+    }
+
+    let playlist = null;
+    if (args[1]) {
+      const entry = findSavedPlaylist(guildId, null, args[1], "server");
+      if (!entry) return message.reply(`No server playlist named **${args[1]}**. Save one with \`saved save <name> server\`.`);
+      playlist = entry.playlist.name;
+    }
+
+    await enableAlwaysOn(guildId, {
+      voiceChannelId: userVC.id,
+      textChannelId: message.channel.id,
+      playlist
+    });
+
+    const player = await joinAlwaysOnChannel(client, guildId);
+    if (!player) {
+      return message.reply(`24/7 mode enabled, but I couldn't join **${userVC.name}** right now. I'll try again when I restart or reconnect.`);
+    }
+    if (player.queue.current) {
+      await sendOrUpdateNowPlayingUI(player, message.channel);
+    }
+    logger.debug(`[247] Enabled in Guild="${guildId}" for channel ${userVC.id}`);
+    return message.channel.send(
+      `24/7 mode enabled. I'll stay in **${userVC.name}**` +
+      (playlist ? ` and keep **${playlist}** playing on loop.` : ".")
+    );
+  }
+};
@@ -10,6 +10,7 @@ export default {
   name: "disconnect",
   aliases: ["discon"],
   description: "Disconnects from the voice channel (requires confirmation). This will stop playback and clear the queue.",
+  slashOptions: [],
   async execute(client, message, args) {
     // Get the player instance for this guild
     const player = client.lavalink.getPlayer(message.guild.id);
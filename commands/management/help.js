@@ -1,9 +1,11 @@
 import { EmbedBuilder } from "discord.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
 export default {
   name: "help",
   description: "Displays a list of available commands.",
+  slashOptions: [],
   async execute(client, message, args) {
-    const prefix = client.config.prefix || ".";
+    const prefix = getGuildConfig(message.guild.id).prefix || ".";
 
     // Fixed categories order (if desired)
     const categoryOrder = ["playback", "queue", "controls", "management", "Uncategorized"];
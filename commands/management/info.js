@@ -8,6 +8,7 @@ export default {
   name: "info",
   aliases: ["ui"],
   description: "Forcibly refreshes the Now Playing UI in the channel.",
+  slashOptions: [],
   async execute(client, message, args) {
     const player = client.lavalink.getPlayer(message.guild.id);
     if (!player || !player.queue.current) {
@@ -0,0 +1,69 @@
+// commands/nodes.js
+// Command to show the health of every Lavalink node: connection state,
+// players, load and REST latency.
+
+import { EmbedBuilder } from "discord.js";
+import { countPlayersByNode, getNodePenalty } from "../../utils/lavalinkNodes.js";
+import logger from "../../utils/logger.js";
+
+const LATENCY_TIMEOUT = 5000;
+
+// Helper: Round trip of a stats request, null if the node does not answer
+async function measureLatency(node) {
+  if (!node.connected) return null;
+  const start = Date.now();
+  try {
+    await Promise.race([
+      node.fetchStats(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error("Stats timeout")), LATENCY_TIMEOUT))
+    ]);
+    return Date.now() - start;
+  } catch (error) {
+    logger.debug(`[nodes] Latency check failed for ${node.id}: ${error.message}`);
+    return null;
+  }
+}
+
+// Helper: One embed field per node
+function formatNode(node, players, latency) {
+  const stats = node.stats;
+  const lines = [
+    `Status: ${node.connected ? "🟢 Connected" : "🔴 Disconnected"}`,
+    `Players: **${players}** from this bot, ${stats?.playingPlayers ?? 0}/${stats?.players ?? 0} playing on the node`,
+    `Latency: ${latency === null ? "n/a" : `${latency}ms`}`
+  ];
+  if (node.connected && stats?.cpu) {
+    lines.push(
+      `CPU: ${(stats.cpu.lavalinkLoad * 100).toFixed(1)}% Lavalink, ${(stats.cpu.systemLoad * 100).toFixed(1)}% system`,
+      `Memory: ${Math.round((stats.memory?.used || 0) / 1024 / 1024)} MB`,
+      `Load score: ${getNodePenalty(node).toFixed(1)}`
+    );
+  }
+  return { name: node.id, value: lines.join("\n") };
+}
+
+export default {
+  name: "nodes",
+  aliases: ["lavalink"],
+  description: "Shows the health, players and latency of every Lavalink node.",
+  slashOptions: [],
+  async execute(client, message, args) {
+    const nodes = [...client.lavalink.nodeManager.nodes.values()];
+    if (!nodes.length) {
+      return message.reply("No Lavalink nodes are configured.");
+    }
+
+    const players = countPlayersByNode(client.lavalink);
+    const latencies = await Promise.all(nodes.map(measureLatency));
+    const connected = nodes.filter(node => node.connected).length;
+
+    const embed = new EmbedBuilder()
+      .setTitle("Lavalink Nodes")
+      .setColor(connected === nodes.length ? "Green" : connected ? "Orange" : "Red")
+      .addFields(nodes.map((node, i) => formatNode(node, players.get(node.id) || 0, latencies[i])))
+      .setFooter({ text: `${connected}/${nodes.length} nodes connected. New players go to the lowest load score.` });
+
+    logger.debug(`[nodes] Node status requested in Guild="${message.guild.id}"`);
+    return message.channel.send({ embeds: [embed] });
+  }
+};
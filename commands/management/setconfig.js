@@ -1,9 +1,7 @@
 // commands/management/setconfig.js
-// Command to change configuration settings for the bot.
+// Command to change the configuration settings of the current server.
+// Changes are stored per guild; anything not set falls back to config.json.
 
-import fs from "fs/promises";
-import { join, dirname } from "path";
-import { fileURLToPath } from "url";
 import {
   ActionRowBuilder,
   ButtonBuilder,
@@ -13,43 +11,90 @@ import {
 } from "discord.js";
 import logger from "../../utils/logger.js";
 import { getDisplayEmoji } from "../../utils/emojiUtils.js";
+import {
+  getGuildConfig,
+  getGuildOverrides,
+  updateGuildSettings,
+  resetGuildSettings
+} from "../../utils/guildSettings.js";
+import { PERMISSION_LEVELS, getCommandPermissions } from "../../utils/permissions.js";
+import {
+  TRACK_FILTER_SETTINGS,
+  getTrackFilters,
+  describeTrackFilters,
+  applyTrackFilterSetting
+} from "../../utils/trackFilters.js";
+
+// Emoji names that can be overridden per guild
+const EMOJI_NAMES = ["previous", "playpause", "skip", "shuffle", "stop", "loop", "autoplay", "volumeDown", "volumeUp", "yt", "ytm"];
+
+// Helper: Display name and emoji of a search provider
+function getProviderDisplay(provider, config) {
+  return {
+    ytsearch: { name: "YouTube", emoji: getDisplayEmoji("yt", config) },
+    ytmsearch:{ name: "Music",   emoji: getDisplayEmoji("ytm", config) }
+  }[provider] || { name: provider, emoji: "" };
+}
+
+// Helper: Marks whether a value comes from this server or from the global default
+function sourceLabel(overrides, key) {
+  return overrides[key] !== undefined ? "" : " *(default)*";
+}
+
+// Helper: Standard confirmation embed
+function updatedEmbed(description) {
+  return new EmbedBuilder()
+    .setTitle("Configuration Updated")
+    .setDescription(description)
+    .setColor("Green");
+}
 
 export default {
   name: "setconfig",
-  description: "Change configuration: update provider, prefix, or default volume.",
+  description: "Change server configuration: provider, prefix, default volume, channel, emojis, DJ role, permissions, vote-skip or track filters.",
+  slashOptions: [
+    {
+      name: "setting",
+      description: "Setting to change",
+      type: "string",
+      choices: [
+        { name: "provider", value: "provider" },
+        { name: "prefix", value: "prefix" },
+        { name: "defaultvolume", value: "defaultvolume" },
+        { name: "channel", value: "channel" },
+        { name: "emoji", value: "emoji" },
+        { name: "djrole", value: "djrole" },
+        { name: "permission", value: "permission" },
+        { name: "voteskip", value: "voteskip" },
+        { name: "filters", value: "filters" },
+        { name: "reset", value: "reset" }
+      ]
+    },
+    { name: "value", description: "New value for the setting", type: "string" }
+  ],
   async execute(client, message, args) {
     // Ensure user has Administrator permission
     if (!message.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
       return message.reply("Administrator permissions are required to change configuration.");
     }
 
-    // Resolve the path to config.json by going two levels up to project root
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname  = dirname(__filename);
-    const configPath = join(__dirname, "..", "..", "config", "config.json");
-
-    // Load the current configuration from file
-    let config;
-    try {
-      const data = await fs.readFile(configPath, "utf-8");
-      config = JSON.parse(data);
-    } catch (err) {
-      logger.error("Failed to load configuration:", err);
-      return message.reply("Failed to load configuration.");
-    }
+    const guildId   = message.guild.id;
+    const config    = getGuildConfig(guildId);
+    const overrides = getGuildOverrides(guildId);
 
     // Get the dynamic prefix currently in use
-    const prefix = client.config.prefix || ".";
+    const prefix = config.prefix || ".";
 
     // ────────────────────────────────────────────────────────────────────
     // If no subcommand provided, show overview embed
     // ────────────────────────────────────────────────────────────────────
     if (!args[0]) {
-      const currentProvider = config.defaultSearchPlatform || "ytsearch";
-      const providerDisplay = {
-        ytsearch: { name: "YouTube", emoji: getDisplayEmoji("yt", config) },
-        ytmsearch:{ name: "Music",   emoji: getDisplayEmoji("ytm", config) }
-      }[currentProvider] || { name: currentProvider, emoji: "" };
+      const providerDisplay = getProviderDisplay(config.defaultSearchPlatform || "ytsearch", config);
+      const customEmojis = Object.keys(overrides.emojiIds || {});
+      const permissions = getCommandPermissions(guildId);
+      const restricted = Object.keys(permissions)
+        .filter(name => permissions[name] !== "everyone")
+        .map(name => `${name} (${permissions[name]})`);
 
       const overviewEmbed = new EmbedBuilder()
         .setTitle("Configuration Overview")
@@ -58,28 +103,60 @@ export default {
           {
             name: "Search Provider",
             value:
-              `**Current:** ${providerDisplay.emoji} ${providerDisplay.name}\n` +
+              `**Current:** ${providerDisplay.emoji} ${providerDisplay.name}${sourceLabel(overrides, "defaultSearchPlatform")}\n` +
               `*Change with:* \`${prefix}setconfig provider\``
           },
           {
             name: "Command Prefix",
             value:
-              `**Current:** \`${config.prefix}\`\n` +
+              `**Current:** \`${config.prefix}\`${sourceLabel(overrides, "prefix")}\n` +
               `*Change with:* \`${prefix}setconfig prefix <newprefix>\``
           },
           {
             name: "Default Volume",
             value:
-              `**Current:** \`${config.defaultVolume || 50}%\`\n` +
+              `**Current:** \`${config.defaultVolume || 50}%\`${sourceLabel(overrides, "defaultVolume")}\n` +
               `*Change with:* \`${prefix}setconfig defaultvolume <newdefaultvolume>\``
+          },
+          {
+            name: "Command Channel",
+            value:
+              `**Current:** ${config.textChannelId ? `<#${config.textChannelId}>` : "Any channel"}\n` +
+              `*Change with:* \`${prefix}setconfig channel <#channel|off>\``
+          },
+          {
+            name: "Button Emojis",
+            value:
+              `**Custom for this server:** ${customEmojis.length ? customEmojis.join(", ") : "None"}\n` +
+              `*Change with:* \`${prefix}setconfig emoji <name> <emojiId|reset>\``
+          },
+          {
+            name: "DJ Role",
+            value:
+              `**Current:** ${config.djRoleId ? `<@&${config.djRoleId}>` : "None (everyone is DJ)"}\n` +
+              `**Restricted commands:** ${restricted.length ? restricted.join(", ") : "None"}\n` +
+              `*Change with:* \`${prefix}setconfig djrole <@role|off>\`, \`${prefix}setconfig permission <command> <everyone|dj|admin|reset>\``
+          },
+          {
+            name: "Vote-Skip",
+            value:
+              `**Current:** ${config.voteSkip ? "On" : "Only for members without skip permission"}, ` +
+              `${Math.round((config.voteSkipRatio || 0.5) * 100)}% of listeners needed\n` +
+              `*Change with:* \`${prefix}setconfig voteskip <on|off|percentage>\``
+          },
+          {
+            name: "Track Filters",
+            value:
+              `${describeTrackFilters(getTrackFilters(guildId))}\n` +
+              `*Change with:* \`${prefix}setconfig filters <${TRACK_FILTER_SETTINGS.join("|")}> ...\``
           }
         )
-        .setFooter({ text: "Use the above commands to change the respective setting." });
+        .setFooter({ text: `Settings apply to this server only. Use ${prefix}setconfig reset to restore the defaults.` });
       return message.channel.send({ embeds: [overviewEmbed] });
     }
 
     // ────────────────────────────────────────────────────────────────────
-    // Handle subcommands: prefix, defaultvolume, provider
+    // Handle subcommands: prefix, defaultvolume, channel, emoji, djrole, permission, voteskip, filters, reset, provider
     // ────────────────────────────────────────────────────────────────────
     const subCmd = args[0].toLowerCase();
 
@@ -89,20 +166,9 @@ export default {
         return message.reply(`Current prefix is \`${config.prefix}\`. Usage: \`${prefix}setconfig prefix <newprefix>\``);
       }
       const newPrefix = args[1];
-      config.prefix = newPrefix;
       try {
-        await fs.writeFile(configPath, JSON.stringify(config, null, 2));
-        // Update in-memory config so prefix takes effect immediately
-        client.config = config;
-        global.config = config;
-        return message.channel.send({
-          embeds: [
-            new EmbedBuilder()
-              .setTitle("Configuration Updated")
-              .setDescription(`Prefix updated to **${newPrefix}**.`)
-              .setColor("Green")
-          ]
-        });
+        await updateGuildSettings(guildId, { prefix: newPrefix });
+        return message.channel.send({ embeds: [updatedEmbed(`Prefix updated to **${newPrefix}**.`)] });
       } catch (err) {
         logger.error("[setconfig] Error updating prefix:", err);
         return message.reply("Failed to update prefix.");
@@ -117,31 +183,192 @@ export default {
       if (isNaN(newVolume) || newVolume < 0 || newVolume > 100) {
         return message.reply("Please specify a valid default volume between 0 and 100.");
       }
-      config.defaultVolume = newVolume;
       try {
-        await fs.writeFile(configPath, JSON.stringify(config, null, 2));
-        client.config = config;
-        global.config = config;
-        return message.channel.send({
-          embeds: [
-            new EmbedBuilder()
-              .setTitle("Configuration Updated")
-              .setDescription(`Default volume updated to **${newVolume}%**.`)
-              .setColor("Green")
-          ]
-        });
+        await updateGuildSettings(guildId, { defaultVolume: newVolume });
+        return message.channel.send({ embeds: [updatedEmbed(`Default volume updated to **${newVolume}%**.`)] });
       } catch (err) {
         logger.error("[setconfig] Error updating default volume:", err);
         return message.reply("Failed to update default volume.");
       }
 
+    } else if (subCmd === "channel") {
+      // Bind music commands to one text channel (or remove the binding)
+      if (!args[1]) {
+        return message.reply(`Usage: \`${prefix}setconfig channel <#channel|off>\``);
+      }
+      let channelId = null;
+      if (args[1].toLowerCase() !== "off") {
+        channelId = args[1].replace(/[<#>]/g, "");
+        const channel = message.guild.channels.cache.get(channelId);
+        if (!channel || !channel.isTextBased()) {
+          return message.reply("Please mention a valid text channel.");
+        }
+      }
+      try {
+        await updateGuildSettings(guildId, { textChannelId: channelId });
+        return message.channel.send({
+          embeds: [updatedEmbed(channelId
+            ? `Music commands are now bound to <#${channelId}>.`
+            : "Music commands can be used in any channel again.")]
+        });
+      } catch (err) {
+        logger.error("[setconfig] Error updating command channel:", err);
+        return message.reply("Failed to update command channel.");
+      }
+
+    } else if (subCmd === "emoji") {
+      // Override a single button emoji for this server
+      const emojiName = args[1]?.toLowerCase();
+      if (!EMOJI_NAMES.includes(emojiName) || !args[2]) {
+        return message.reply(
+          `Usage: \`${prefix}setconfig emoji <name> <emojiId|reset>\`. Names: ${EMOJI_NAMES.join(", ")}`
+        );
+      }
+      const emojiIds = { ...(overrides.emojiIds || {}) };
+      if (args[2].toLowerCase() === "reset") {
+        delete emojiIds[emojiName];
+      } else {
+        // Accept a raw id as well as a pasted custom emoji like <:name:123>
+        const emojiId = args[2].match(/(\d{15,25})>?$/)?.[1];
+        if (!emojiId) {
+          return message.reply("Please provide a valid custom emoji or emoji ID.");
+        }
+        emojiIds[emojiName] = emojiId;
+      }
+      try {
+        await updateGuildSettings(guildId, { emojiIds: Object.keys(emojiIds).length ? emojiIds : null });
+        return message.channel.send({ embeds: [updatedEmbed(`Emoji **${emojiName}** updated.`)] });
+      } catch (err) {
+        logger.error("[setconfig] Error updating emoji:", err);
+        return message.reply("Failed to update emoji.");
+      }
+
+    } else if (subCmd === "djrole") {
+      // Set the role that may use DJ-only commands and buttons
+      if (!args[1]) {
+        return message.reply(`Usage: \`${prefix}setconfig djrole <@role|off>\``);
+      }
+      let roleId = null;
+      if (args[1].toLowerCase() !== "off") {
+        roleId = args[1].replace(/[<@&>]/g, "");
+        if (!message.guild.roles.cache.has(roleId)) {
+          return message.reply("Please mention a valid role.");
+        }
+      }
+      try {
+        await updateGuildSettings(guildId, { djRoleId: roleId });
+        return message.channel.send({
+          embeds: [updatedEmbed(roleId
+            ? `DJ role set to <@&${roleId}>.`
+            : "DJ role removed. Everyone can use DJ commands again.")]
+        });
+      } catch (err) {
+        logger.error("[setconfig] Error updating DJ role:", err);
+        return message.reply("Failed to update DJ role.");
+      }
+
+    } else if (subCmd === "permission") {
+      // Change who may use a single command
+      const commandName = args[1]?.toLowerCase();
+      const level = args[2]?.toLowerCase();
+      const command = commandName &&
+        (client.commands.get(commandName) || client.commands.find(c => c.aliases?.includes(commandName)));
+      if (!command || (!PERMISSION_LEVELS.includes(level) && level !== "reset")) {
+        return message.reply(
+          `Usage: \`${prefix}setconfig permission <command> <${PERMISSION_LEVELS.join("|")}|reset>\``
+        );
+      }
+      if (command.name === "setconfig") {
+        return message.reply("setconfig always requires Administrator permissions.");
+      }
+      const commandPermissions = { ...(overrides.commandPermissions || {}) };
+      if (level === "reset") {
+        delete commandPermissions[command.name];
+      } else {
+        commandPermissions[command.name] = level;
+      }
+      try {
+        await updateGuildSettings(guildId, {
+          commandPermissions: Object.keys(commandPermissions).length ? commandPermissions : null
+        });
+        const effective = getCommandPermissions(guildId)[command.name] || "everyone";
+        return message.channel.send({ embeds: [updatedEmbed(`Permission for **${command.name}** set to **${effective}**.`)] });
+      } catch (err) {
+        logger.error("[setconfig] Error updating permission:", err);
+        return message.reply("Failed to update permission.");
+      }
+
+    } else if (subCmd === "voteskip") {
+      // Toggle vote-skip for everyone without DJ role, or change the required share of listeners
+      const value = args[1]?.toLowerCase();
+      let patch;
+      if (value === "on" || value === "off") {
+        patch = { voteSkip: value === "on" };
+      } else {
+        const percentage = parseInt(value, 10);
+        if (isNaN(percentage) || percentage < 1 || percentage > 100) {
+          return message.reply(`Usage: \`${prefix}setconfig voteskip <on|off|percentage>\` (percentage 1-100)`);
+        }
+        patch = { voteSkipRatio: percentage / 100 };
+      }
+      try {
+        const newConfig = await updateGuildSettings(guildId, patch);
+        return message.channel.send({
+          embeds: [updatedEmbed(
+            `Vote-skip is **${newConfig.voteSkip ? "on" : "off"}**, ` +
+            `**${Math.round((newConfig.voteSkipRatio || 0.5) * 100)}%** of listeners needed.`
+          )]
+        });
+      } catch (err) {
+        logger.error("[setconfig] Error updating vote-skip:", err);
+        return message.reply("Failed to update vote-skip.");
+      }
+
+    } else if (subCmd === "filters") {
+      // Change which tracks may be queued (streams, duration, keywords, channels, explicit, sources)
+      const rules = getTrackFilters(guildId);
+      const setting = args[1]?.toLowerCase();
+      if (!setting) {
+        const filtersEmbed = new EmbedBuilder()
+          .setTitle("Track Filters")
+          .setDescription(describeTrackFilters(rules))
+          .setColor("Blue")
+          .setFooter({ text: `Change with: ${prefix}setconfig filters <${TRACK_FILTER_SETTINGS.join("|")}> ...` });
+        return message.channel.send({ embeds: [filtersEmbed] });
+      }
+      if (!TRACK_FILTER_SETTINGS.includes(setting)) {
+        return message.reply(`Unknown filter setting. Available: ${TRACK_FILTER_SETTINGS.join(", ")}.`);
+      }
+      let trackFilters;
+      try {
+        trackFilters = applyTrackFilterSetting(overrides.trackFilters || {}, setting, args.slice(2), rules);
+      } catch (err) {
+        if (!(err instanceof RangeError)) throw err;
+        return message.reply(`Usage: \`${prefix}setconfig filters ${setting} ${err.message}\``);
+      }
+      try {
+        await updateGuildSettings(guildId, { trackFilters });
+        return message.channel.send({
+          embeds: [updatedEmbed(`Track filters updated.\n${describeTrackFilters(getTrackFilters(guildId))}`)]
+        });
+      } catch (err) {
+        logger.error("[setconfig] Error updating track filters:", err);
+        return message.reply("Failed to update track filters.");
+      }
+
+    } else if (subCmd === "reset") {
+      // Drop all server specific settings
+      try {
+        await resetGuildSettings(guildId);
+        return message.channel.send({ embeds: [updatedEmbed("All settings for this server were reset to the defaults.")] });
+      } catch (err) {
+        logger.error("[setconfig] Error resetting configuration:", err);
+        return message.reply("Failed to reset configuration.");
+      }
+
     } else if (subCmd === "provider") {
       // Interactive mode for changing the search provider
-      const currentValue = config.defaultSearchPlatform || "ytsearch";
-      const currentDisplay = {
-        ytsearch: { name: "YouTube", emoji: getDisplayEmoji("yt", config) },
-        ytmsearch:{ name: "Music",   emoji: getDisplayEmoji("ytm", config) }
-      }[currentValue] || { name: currentValue, emoji: "" };
+      const currentDisplay = getProviderDisplay(config.defaultSearchPlatform || "ytsearch", config);
 
       // Prompt user to select new provider
       const initialEmbed = new EmbedBuilder()
@@ -155,15 +382,15 @@ export default {
       const row = new ActionRowBuilder().addComponents(
         new ButtonBuilder()
           .setCustomId("setconfigYT")
-          .setEmoji(getDisplayEmoji("yt", config).startsWith("<") ? 
-            { name: "yt", id: config.emojiIds?.yt } : 
+          .setEmoji(getDisplayEmoji("yt", config).startsWith("<") ?
+            { name: "yt", id: config.emojiIds?.yt } :
             getDisplayEmoji("yt", config))
           .setLabel("YouTube")
           .setStyle(ButtonStyle.Secondary),
         new ButtonBuilder()
           .setCustomId("setconfigYTM")
-          .setEmoji(getDisplayEmoji("ytm", config).startsWith("<") ? 
-            { name: "ytm", id: config.emojiIds?.ytm } : 
+          .setEmoji(getDisplayEmoji("ytm", config).startsWith("<") ?
+            { name: "ytm", id: config.emojiIds?.ytm } :
             getDisplayEmoji("ytm", config))
           .setLabel("Music")
           .setStyle(ButtonStyle.Secondary)
@@ -180,36 +407,26 @@ export default {
         if (!interaction.isButton()) return;
         await interaction.deferUpdate();
 
-        const data = await fs.readFile(configPath, "utf-8");
-        const newConfig = JSON.parse(data);
-
+        let provider;
         if (interaction.customId === "setconfigYT") {
-          newConfig.defaultSearchPlatform = "ytsearch";
+          provider = "ytsearch";
         } else if (interaction.customId === "setconfigYTM") {
-          newConfig.defaultSearchPlatform = "ytmsearch";
+          provider = "ytmsearch";
         } else {
           return;
         }
 
         try {
-          // Write updated provider to disk
-          await fs.writeFile(configPath, JSON.stringify(newConfig, null, 2));
-          client.config = newConfig;
-          global.config = newConfig;
-          const updatedDisplay = {
-            ytsearch: { name: "YouTube", emoji: getDisplayEmoji("yt", newConfig) },
-            ytmsearch:{ name: "Music",   emoji: getDisplayEmoji("ytm", newConfig) }
-          }[newConfig.defaultSearchPlatform] || { name: newConfig.defaultSearchPlatform, emoji: "" };
-
-          // Confirmation embed
-          const updatedEmbed = new EmbedBuilder()
-            .setTitle("Configuration Updated")
-            .setDescription(`Search provider updated to ${updatedDisplay.emoji} **${updatedDisplay.name}**.`)
-            .setColor("Green");
-
-          await msg.edit({ embeds: [updatedEmbed], components: [] });
+          // Store updated provider for this guild
+          const newConfig = await updateGuildSettings(guildId, { defaultSearchPlatform: provider });
+          const updatedDisplay = getProviderDisplay(provider, newConfig);
+
+          await msg.edit({
+            embeds: [updatedEmbed(`Search provider updated to ${updatedDisplay.emoji} **${updatedDisplay.name}**.`)],
+            components: []
+          });
           collector.stop();
-          logger.debug(`[setconfig] Updated search provider to ${newConfig.defaultSearchPlatform} in Guild="${message.guild.id}"`);
+          logger.debug(`[setconfig] Updated search provider to ${provider} in Guild="${guildId}"`);
         } catch (err) {
           logger.error("[setconfig] Error updating configuration:", err);
           const errorEmbed = new EmbedBuilder()
@@ -228,13 +445,13 @@ export default {
             .setDescription("No selection made (timed out).")
             .setColor("Grey");
           msg.edit({ embeds: [timeoutEmbed], components: [] }).catch(() => {});
-          logger.debug(`[setconfig] Collector timed out in Guild="${message.guild.id}"`);
+          logger.debug(`[setconfig] Collector timed out in Guild="${guildId}"`);
         }
       });
 
     } else {
       // Unknown subcommand fallback
-      return message.reply("Unknown subcommand. Available options: provider, prefix, defaultvolume.");
+      return message.reply("Unknown subcommand. Available options: provider, prefix, defaultvolume, channel, emoji, djrole, permission, voteskip, filters, reset.");
     }
   }
-};
\ No newline at end of file
+};
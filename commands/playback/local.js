@@ -0,0 +1,102 @@
+// commands/playback/local.js
+// Command to play files from the local media directory (localMediaDir in
+// config.json) through Lavalink's local source. ".local <words>" plays the
+// first file whose name contains all words, ".local list [words]" lists files.
+
+import { EmbedBuilder } from "discord.js";
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import { getOrCreatePlayer } from "../../utils/playerFactory.js";
+import { processSearchResults } from "../../utils/searchResults.js";
+import { admitTracks, acquireSearchSlot } from "../../utils/queuePolicy.js";
+import { searchLocalFiles, loadLocalTrack } from "../../utils/localMedia.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import logger from "../../utils/logger.js";
+
+const LIST_LIMIT = 15;
+
+export default {
+  name: "local",
+  description: "Plays a file from the bot's local media folder. Usage: local <file name> | list [file name]",
+  slashOptions: [
+    { name: "query", description: "Words from the file name, or \"list\" to show files", type: "string", required: true }
+  ],
+  async execute(client, message, args) {
+    const guildId = message.guild.id;
+    const prefix = getGuildConfig(guildId).prefix;
+    if (!args.length) {
+      return message.reply(`Usage: \`${prefix}local <file name>\` or \`${prefix}local list [file name]\``);
+    }
+
+    const listing = args[0].toLowerCase() === "list";
+    const query = (listing ? args.slice(1) : args).join(" ");
+
+    let files;
+    try {
+      files = await searchLocalFiles(query, listing ? LIST_LIMIT : 1);
+    } catch (err) {
+      if (err instanceof RangeError) return message.reply(err.message);
+      logger.error("[local] Error searching local files:", err);
+      return message.reply("Failed to search the local media folder.");
+    }
+
+    if (listing) {
+      const embed = new EmbedBuilder()
+        .setTitle("Local Files")
+        .setColor("Blue")
+        .setDescription(files.length
+          ? files.map(file => `\`${file.name}\``).join("\n")
+          : "No matching files.")
+        .setFooter({ text: `Showing up to ${LIST_LIMIT} files. Use "${prefix}local <file name>" to play one.` });
+      return message.channel.send({ embeds: [embed] });
+    }
+
+    if (!files.length) {
+      return message.reply(`No local file matches **${query}**. Use \`${prefix}local list\` to see the files.`);
+    }
+    if (!client.lavalinkReady) {
+      return message.reply("Lavalink is not ready. Please wait a moment and try again.");
+    }
+    const userVC = message.member.voice.channel;
+    if (!userVC) {
+      return message.reply("You must join a voice channel first!");
+    }
+    const permissions = userVC.permissionsFor(client.user);
+    if (!permissions.has('Connect') || !permissions.has('Speak')) {
+      return message.reply("I don't have permission to join or speak in that voice channel!");
+    }
+
+    const releaseSearch = acquireSearchSlot(guildId);
+    if (!releaseSearch) {
+      return message.reply("Too many searches are running in this server. Please try again in a moment.");
+    }
+
+    const [file] = files;
+    try {
+      const player = await getOrCreatePlayer(client, message, userVC);
+      if (!player) return message.reply("Failed to create music player. Please try again.");
+
+      const res = await loadLocalTrack(player, file, message.author);
+      const { tracks, notice } = await processSearchResults(res, { guildId });
+      if (!tracks.length) {
+        return message.reply(notice || `Lavalink could not load **${file.name}**. Is its local source enabled?`);
+      }
+
+      const admission = admitTracks(player, tracks, message.member);
+      if (!admission.tracks.length) return message.reply(admission.notices.join("\n"));
+      player.queue.add(admission.tracks);
+
+      if (!player.playing && !player.paused) {
+        await player.play();
+        await sendOrUpdateNowPlayingUI(player, message.channel);
+      } else {
+        await message.channel.send(`Added **${tracks[0].info.title}** to the queue.`);
+      }
+      logger.debug(`[local] Queued "${file.name}" in Guild="${guildId}"`);
+    } catch (error) {
+      logger.error("[local] Error playing local file:", error);
+      return message.reply(`Could not play **${file.name}**. Lavalink needs its local source enabled and access to the file.`);
+    } finally {
+      releaseSearch();
+    }
+  }
+};
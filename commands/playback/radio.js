@@ -0,0 +1,132 @@
+// commands/playback/radio.js
+// Command to play internet radio stations by name. Servers keep their own
+// station list: ".radio add <name> <url>" and ".radio remove <name>" need
+// Manage Server, ".radio" lists the stations and ".radio <name>" plays one.
+
+import { EmbedBuilder, PermissionsBitField } from "discord.js";
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import { getOrCreatePlayer } from "../../utils/playerFactory.js";
+import { processSearchResults } from "../../utils/searchResults.js";
+import { performReliableSearch } from "../../utils/searchService.js";
+import { admitTracks, acquireSearchSlot } from "../../utils/queuePolicy.js";
+import {
+  getRadioStations,
+  findRadioStation,
+  addRadioStation,
+  removeRadioStation
+} from "../../utils/radioStations.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import logger from "../../utils/logger.js";
+
+// Helper: Station list embed
+function stationsEmbed(stations, prefix) {
+  const names = Object.keys(stations);
+  return new EmbedBuilder()
+    .setTitle("Radio Stations")
+    .setColor("Blue")
+    .setDescription(names.length
+      ? names.map(name => `\`${name}\``).join(", ")
+      : `No stations yet. Add one with \`${prefix}radio add <name> <url>\`.`)
+    .setFooter({ text: `Use "${prefix}radio <name>" to play a station.` });
+}
+
+export default {
+  name: "radio",
+  description: "Plays an internet radio station. Usage: radio [name] | add <name> <url> | remove <name>",
+  slashOptions: [
+    { name: "station", description: "Station to play, or add/remove to edit the list", type: "string" },
+    { name: "name", description: "Station name for add/remove", type: "string" },
+    { name: "url", description: "Stream URL for add", type: "string" }
+  ],
+  async execute(client, message, args) {
+    const guildId = message.guild.id;
+    const prefix = getGuildConfig(guildId).prefix;
+    const action = args[0]?.toLowerCase();
+
+    if (!action) {
+      return message.channel.send({ embeds: [stationsEmbed(getRadioStations(guildId), prefix)] });
+    }
+
+    if (action === "add" || action === "remove") {
+      if (!message.member.permissions.has(PermissionsBitField.Flags.ManageGuild)) {
+        return message.reply("You need the Manage Server permission to edit the radio stations.");
+      }
+      try {
+        if (action === "add") {
+          // The URL is the last word, everything between is the name
+          const name = args.slice(1, -1).join(" ");
+          if (!name) return message.reply(`Usage: \`${prefix}radio add <name> <url>\``);
+          const station = await addRadioStation(guildId, name, args[args.length - 1]);
+          return message.channel.send(`Saved radio station **${station.name}**.`);
+        }
+        const name = args.slice(1).join(" ");
+        if (!name) return message.reply(`Usage: \`${prefix}radio remove <name>\``);
+        const removed = await removeRadioStation(guildId, name);
+        return message.channel.send(removed ? `Removed radio station **${name}**.` : `There is no station named **${name}**.`);
+      } catch (err) {
+        logger.error("[radio] Error updating stations:", err);
+        return message.reply(err instanceof RangeError ? err.message : "Failed to update the radio stations.");
+      }
+    }
+
+    const station = findRadioStation(guildId, args.join(" "));
+    if (!station) {
+      return message.reply(`There is no station named **${args.join(" ")}**. Use \`${prefix}radio\` to list them.`);
+    }
+    if (!client.lavalinkReady) {
+      return message.reply("Lavalink is not ready. Please wait a moment and try again.");
+    }
+    const userVC = message.member.voice.channel;
+    if (!userVC) {
+      return message.reply("You must join a voice channel first!");
+    }
+    const permissions = userVC.permissionsFor(client.user);
+    if (!permissions.has('Connect') || !permissions.has('Speak')) {
+      return message.reply("I don't have permission to join or speak in that voice channel!");
+    }
+
+    const releaseSearch = acquireSearchSlot(guildId);
+    if (!releaseSearch) {
+      return message.reply("Too many searches are running in this server. Please try again in a moment.");
+    }
+
+    try {
+      const player = await getOrCreatePlayer(client, message, userVC);
+      if (!player) return message.reply("Failed to create music player. Please try again.");
+
+      const res = await performReliableSearch(player, {
+        query: station.url,
+        mode: "ytsearch",
+        forceMode: true,
+        requester: message.author
+      });
+      const { tracks, notice } = await processSearchResults(res, { guildId });
+      if (!tracks.length) {
+        return message.reply(notice || `Could not load **${station.name}**. The stream might be offline.`);
+      }
+
+      // Plain HTTP streams carry no metadata, so show the station name instead
+      const [track] = tracks;
+      if (!track.info.title || track.info.title === "Unknown title") {
+        track.info.title = station.name;
+      }
+
+      const admission = admitTracks(player, tracks, message.member);
+      if (!admission.tracks.length) return message.reply(admission.notices.join("\n"));
+      player.queue.add(admission.tracks);
+
+      if (!player.playing && !player.paused) {
+        await player.play();
+        await sendOrUpdateNowPlayingUI(player, message.channel);
+      } else {
+        await message.channel.send(`Added radio station **${station.name}** to the queue.`);
+      }
+      logger.debug(`[radio] Queued station "${station.name}" in Guild="${guildId}"`);
+    } catch (error) {
+      logger.error("[radio] Error playing station:", error);
+      return message.reply(`Could not play **${station.name}**.`);
+    } finally {
+      releaseSearch();
+    }
+  }
+};
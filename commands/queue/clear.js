@@ -8,6 +8,7 @@ import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
 export default {
   name: "clear",
   description: "Clears the queue and history, leaving the current track playing (requires confirmation).",
+  slashOptions: [],
   async execute(client, message, args) {
     const player = client.lavalink.getPlayer(message.guild.id);
     if (!player || !player.queue.current) {
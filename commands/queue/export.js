@@ -0,0 +1,33 @@
+// commands/export.js
+// Attaches the current queue (history, current track, upcoming) as a JSON
+// export and as an M3U playlist, for ".import" in another server or for
+// use outside the bot.
+
+import { AttachmentBuilder } from "discord.js";
+import { buildQueueExport, buildM3u } from "../../utils/queueTransfer.js";
+import logger from "../../utils/logger.js";
+
+export default {
+  name: "export",
+  description: "Attaches the current queue as JSON and M3U files.",
+  slashOptions: [],
+  async execute(client, message) {
+    const player = client.lavalink.getPlayer(message.guild.id);
+    if (!player || !player.queue.current) {
+      return message.reply("No tracks are currently playing.");
+    }
+
+    const data = buildQueueExport(player);
+    const baseName = `queue-${message.guild.id}-${Date.now()}`;
+    const files = [
+      new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2)), { name: `${baseName}.json` }),
+      new AttachmentBuilder(Buffer.from(buildM3u(data.tracks)), { name: `${baseName}.m3u` })
+    ];
+
+    logger.debug(`[export] Exported ${data.tracks.length} tracks in Guild="${message.guild.id}"`);
+    return message.channel.send({
+      content: `Exported **${data.tracks.length}** tracks. Attach either file to \`import\` to load them again.`,
+      files
+    });
+  }
+};
@@ -0,0 +1,143 @@
+// commands/import.js
+// Enqueues the tracks of an attached ".export" file (JSON or M3U) or a plain
+// text file with one URL or search per line. Every entry is searched again and
+// passes the same filtering as ".play", keeping the order of the file.
+
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import { getOrCreatePlayer } from "../../utils/playerFactory.js";
+import { processSearchResults } from "../../utils/searchResults.js";
+import { resolveSearchMode, performReliableSearch, searchInBatches } from "../../utils/searchService.js";
+import { parseQueueImport, IMPORT_EXTENSIONS } from "../../utils/queueTransfer.js";
+import { admitTracks, acquireSearchSlot, getPlaylistLimit } from "../../utils/queuePolicy.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import logger from "../../utils/logger.js";
+
+// Import files are small text files; anything larger is not an export
+const MAX_FILE_SIZE = 1024 * 1024;
+// Entries searched per import; the rest of a larger file is ignored
+const MAX_IMPORT_ENTRIES = 200;
+// Minimum time between progress message edits
+const PROGRESS_INTERVAL = 5000;
+
+export default {
+  name: "import",
+  description: "Queues the tracks of an attached export, M3U or text file.",
+  // Searching a whole file can take longer than the command timeout
+  longRunning: true,
+  slashOptions: [
+    { name: "file", description: "JSON export, M3U or text file", type: "attachment", required: true }
+  ],
+  async execute(client, message) {
+    if (!client.lavalinkReady) {
+      return message.reply("Lavalink is not ready. Please wait a moment and try again.");
+    }
+    const userVC = message.member.voice.channel;
+    if (!userVC) {
+      return message.reply("You must join a voice channel first!");
+    }
+    const permissions = userVC.permissionsFor(client.user);
+    if (!permissions.has('Connect') || !permissions.has('Speak')) {
+      return message.reply("I don't have permission to join or speak in that voice channel!");
+    }
+
+    const attachment = message.attachments.first();
+    if (!attachment) {
+      return message.reply(`Attach a queue file (${IMPORT_EXTENSIONS.map(e => `.${e}`).join(", ")}) to import it.`);
+    }
+    if (attachment.size > MAX_FILE_SIZE) {
+      return message.reply("That file is too large to be a queue export.");
+    }
+
+    let queries;
+    try {
+      const response = await fetch(attachment.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      queries = parseQueueImport(attachment.name, await response.text());
+    } catch (err) {
+      if (err instanceof RangeError) return message.reply(err.message);
+      logger.error("[import] Failed to read attachment:", err);
+      return message.reply("Failed to read the attached file.");
+    }
+    if (!queries.length) return message.reply("That file contains no tracks.");
+
+    const player = await getOrCreatePlayer(client, message, userVC);
+    if (!player) return message.reply("Failed to create music player. Please try again.");
+
+    const guildConfig = getGuildConfig(message.guild.id);
+    // Searching more entries than the queue can take is wasted work
+    const room = Math.min(
+      getPlaylistLimit(message.guild.id),
+      guildConfig.maxQueueSize ? Math.max(0, guildConfig.maxQueueSize - player.queue.tracks.length) : Infinity
+    );
+    if (!room) return message.reply("The queue is full.");
+
+    const releaseSearch = acquireSearchSlot(message.guild.id);
+    if (!releaseSearch) {
+      return message.reply("Too many searches are running in this server. Please try again in a moment.");
+    }
+    const truncated = Math.max(0, queries.length - MAX_IMPORT_ENTRIES);
+    const entries = queries.slice(0, MAX_IMPORT_ENTRIES);
+    const statusMsg = await message.channel.send(`Importing **${entries.length}** entries...`);
+
+    // Resolve entries in file order, a few at a time; stop once the queue would be full
+    const found = [];
+    let notFound = 0;
+    let searched = 0;
+    let lastProgress = Date.now();
+    try {
+      await searchInBatches(entries, async query => {
+        try {
+          const { mode, forceMode } = resolveSearchMode(message, query);
+          return await performReliableSearch(player, { query, mode, forceMode, requester: message.author });
+        } catch (err) {
+          logger.warn(`[import] Search failed for "${query}": ${err.message}`);
+          return null;
+        }
+      }, {
+        onBatch: results => {
+          for (const res of results) {
+            const tracks = res?.loadType === "playlist" ? res.tracks : res?.tracks?.slice(0, 1) || [];
+            if (!tracks.length) notFound++;
+            found.push(...tracks);
+          }
+          searched += results.length;
+          if (Date.now() - lastProgress >= PROGRESS_INTERVAL) {
+            lastProgress = Date.now();
+            statusMsg.edit(`Importing **${entries.length}** entries... (${searched} searched)`).catch(() => {});
+          }
+        },
+        shouldStop: () => found.length >= room
+      });
+    } finally {
+      releaseSearch();
+    }
+
+    const { tracks: playable, notice: filterNotice } = await processSearchResults(
+      { loadType: "playlist", playlist: { name: attachment.name }, tracks: found },
+      { sort: false, limit: room, guildId: message.guild.id }
+    );
+    await statusMsg.delete().catch(() => {});
+    if (!playable.length) {
+      return message.reply(`None of the tracks in that file could be found or played.${filterNotice ? `\n${filterNotice}` : ""}`);
+    }
+
+    const { tracks, notices } = admitTracks(player, playable, message.member);
+    if (!tracks.length) return message.reply(notices.join("\n"));
+
+    player.queue.add(tracks);
+    if (!player.playing && !player.paused) {
+      await player.play();
+    }
+    await sendOrUpdateNowPlayingUI(player, message.channel);
+
+    const skipped = entries.length - notFound - tracks.length;
+    let reply = `Imported **${tracks.length}** tracks from **${attachment.name}**.`;
+    if (notFound) reply += `\n${notFound} entries could not be found.`;
+    if (skipped > 0) reply += `\n${skipped} entries were unavailable or did not fit into the queue.`;
+    if (truncated) reply += `\nOnly the first ${MAX_IMPORT_ENTRIES} entries were imported, ${truncated} were ignored.`;
+    if (filterNotice) reply += `\n${filterNotice}`;
+    if (notices.length) reply += `\n${notices.join("\n")}`;
+    logger.debug(`[import] Imported ${tracks.length}/${queries.length} entries in Guild="${message.guild.id}"`);
+    return message.channel.send(reply);
+  }
+};
@@ -0,0 +1,35 @@
+// commands/move.js
+// Moves an upcoming track to another position in the queue.
+
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import { parsePosition, moveTrack } from "../../utils/queueEditor.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import logger from "../../utils/logger.js";
+
+export default {
+  name: "move",
+  aliases: ["mv"],
+  description: "Moves a track to another position. Usage: move <from> <to>",
+  slashOptions: [
+    { name: "from", description: "Current track number", type: "integer", required: true, minValue: 1 },
+    { name: "to", description: "New track number", type: "integer", required: true, minValue: 1 }
+  ],
+  async execute(client, message, args) {
+    const player = client.lavalink.getPlayer(message.guild.id);
+    if (!player || !player.queue.current) {
+      return message.reply("No music is playing in this server.");
+    }
+    const tracks = player.queue.tracks;
+    const from = parsePosition(args[0], tracks.length);
+    const to = parsePosition(args[1], tracks.length);
+    if (from === null || to === null) {
+      const prefix = getGuildConfig(message.guild.id).prefix;
+      return message.reply(`Usage: \`${prefix}move <from> <to>\` with numbers between 1 and ${tracks.length}.`);
+    }
+
+    const track = moveTrack(tracks, from, to);
+    await sendOrUpdateNowPlayingUI(player, message.channel);
+    message.channel.send(`Moved **${track.info.title}** to position **${to + 1}**.`);
+    logger.debug(`[move] Moved track ${from + 1} -> ${to + 1} in Guild="${message.guild.id}"`);
+  }
+};
@@ -2,11 +2,17 @@
 // Displays a merged playlist (history, current track, upcoming) in an paginated embed with sequential numbering.
 // You can use ".playlist 16" (or ".list 16") to jump to that track and play it.
 // In Jump Mode the target track is immediately played and the merged playlist remains in chronological order.
-// In Display Mode, the embed is shown with persistent navigation buttons.
+// In Display Mode, the embed is shown with persistent navigation buttons and a track menu
+// (play now, move to top/bottom, remove) for the tracks on the visible page.
 
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from "discord.js";
 import { formatTrackTitle } from "../../utils/formatTrack.js";
 import logger from "../../utils/logger.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import { formatRequester } from "../../utils/requester.js";
+import { getMergedQueue, playMergedIndex } from "../../utils/queueEditor.js";
+import { QUEUE_MENU_IDS, buildQueueMenuRows, handleQueueMenuInteraction, getSelectedTrack } from "../../utils/queueMenu.js";
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
 
 // Helper: Truncate a string if it exceeds maxLength characters.
 function truncateTitle(title, maxLength = 45) {
@@ -15,19 +21,16 @@ function truncateTitle(title, maxLength = 45) {
     : title;
 }
 
-// Helper: Returns the merged playlist as an array of track objects in display order.
-// Display order: all history (oldest first), then current track, then upcoming tracks.
-function getMergedPlaylist(player) {
-  const history = (player.queue.previous || []).slice().reverse();
-  const current = player.queue.current;
-  const upcoming = player.queue.tracks.slice();
-  return [...history, current, ...upcoming];
+// Helper: Requester mention appended to a queue line, empty if unknown.
+function requesterSuffix(track) {
+  const requester = formatRequester(track);
+  return requester ? `\u2002${requester}` : "";
 }
 
 // Helper: Build the merged display lines for the playlist command.
 // All entries are numbered sequentially (1-based). The current track is marked with "Now" before its number.
 function buildPlaylistLines(player) {
-  const merged = getMergedPlaylist(player);
+  const merged = getMergedQueue(player);
   const lines = [];
   merged.forEach((track, i) => {
     const num = (i + 1).toString().padStart(2, "0"); // 1-based numbering
@@ -35,9 +38,9 @@ function buildPlaylistLines(player) {
     const title = truncateTitle(rawTitle, 45);
     if (track === player.queue.current) {
       // For the current track: no extra indentation before the number, "Now" is prefixed.
-      lines.push(`\u2009\u200A\u200A**Now**\u2002\`${num}\`\u2002\`${title}\``);
+      lines.push(`\u2009\u200A\u200A**Now**\u2002\`${num}\`\u2002\`${title}\`${requesterSuffix(track)}`);
     } else {
-      lines.push(`\u2002\`${num}\`\u2002\`${title}\``);
+      lines.push(`\u2002\`${num}\`\u2002\`${title}\`${requesterSuffix(track)}`);
     }
   });
   return lines;
@@ -67,15 +70,55 @@ function buildEmbed(lines, pageNumber, totalPages, prefix) {
     });
 }
 
+// Helper: Navigation row followed by the track menu rows.
+function buildComponents(player, pages, currentPage, pageSize, selected = null) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("prevPage")
+      .setLabel("Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(pages.length === 1 || currentPage === 0),
+    new ButtonBuilder()
+      .setCustomId("refreshPage")
+      .setLabel("Refresh")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId("nextPage")
+      .setLabel("Next")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(pages.length === 1 || currentPage === pages.length - 1)
+  );
+  const menuRows = buildQueueMenuRows(player, {
+    currentPage,
+    pageSize,
+    selected,
+    labelFor: index => (index + 1).toString().padStart(2, "0")
+  });
+  return [row, ...menuRows];
+}
+
 // Persistent interaction handling: Register a global listener if not already registered.
 function registerPlaylistInteractionHandler(client) {
     if (!client.activePlaylistMessagesHandlerRegistered) {
       client.on("interactionCreate", async (interaction) => {
-        if (!interaction.isButton()) return;
+        if (!interaction.isButton() && !interaction.isStringSelectMenu()) return;
         const state = client.activePlaylistMessages.get(interaction.message.id);
         if (!state) return;
         let { pages, currentPage, player, pageSize } = state;
-        if (interaction.customId === "prevPage" && currentPage > 0) {
+        if (QUEUE_MENU_IDS.has(interaction.customId)) {
+          const error = await handleQueueMenuInteraction(interaction, state);
+          if (error) {
+            return interaction.reply({ content: error, ephemeral: true }).catch(() => {});
+          }
+          if (interaction.customId !== "queueSelect") {
+            pages = chunkArray(buildPlaylistLines(player), pageSize);
+            if (currentPage >= pages.length) currentPage = pages.length - 1;
+            sendOrUpdateNowPlayingUI(player, interaction.channel).catch(err =>
+              logger.error("[playlist] Error updating Now Playing UI:", err)
+            );
+          }
+          logger.debug(`Queue menu action ${interaction.customId} handled.`);
+        } else if (interaction.customId === "prevPage" && currentPage > 0) {
           currentPage--;
           logger.debug("Button prevPage pressed, new currentPage: " + currentPage);
         } else if (
@@ -87,7 +130,7 @@ function registerPlaylistInteractionHandler(client) {
         } else if (interaction.customId === "refreshPage") {
           const allLines = buildPlaylistLines(player);
           pages = chunkArray(allLines, pageSize);
-          const merged = getMergedPlaylist(player);
+          const merged = getMergedQueue(player);
           const currentIndex = merged.findIndex(
             (track) => track === player.queue.current
           );
@@ -98,24 +141,11 @@ function registerPlaylistInteractionHandler(client) {
         state.currentPage = currentPage;
         state.pages = pages;
         client.activePlaylistMessages.set(interaction.message.id, state);
-        const newEmbed = buildEmbed(pages[currentPage], currentPage + 1, pages.length, client.config.prefix);
-        const row = new ActionRowBuilder().addComponents(
-          new ButtonBuilder()
-            .setCustomId("prevPage")
-            .setLabel("Previous")
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(currentPage === 0),
-          new ButtonBuilder()
-            .setCustomId("refreshPage")
-            .setLabel("Refresh")
-            .setStyle(ButtonStyle.Primary),
-          new ButtonBuilder()
-            .setCustomId("nextPage")
-            .setLabel("Next")
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(currentPage === pages.length - 1)
-        );
-        await interaction.update({ embeds: [newEmbed], components: [row] });
+        const newEmbed = buildEmbed(pages[currentPage], currentPage + 1, pages.length, getGuildConfig(interaction.guildId).prefix);
+        await interaction.update({
+          embeds: [newEmbed],
+          components: buildComponents(player, pages, currentPage, pageSize, getSelectedTrack(state, interaction.user.id))
+        });
       });
       client.activePlaylistMessagesHandlerRegistered = true;
       logger.debug("Registered persistent playlist interaction handler.");
@@ -127,6 +157,9 @@ export default {
   aliases: ["list"],
   description:
     "Displays the merged playlist with pagination; jump to a song by number.",
+  slashOptions: [
+    { name: "number", description: "Track number to jump to", type: "integer", minValue: 1 }
+  ],
   async execute(client, message, args) {
     const player = client.lavalink.getPlayer(message.guild.id);
     if (!player || !player.queue.current) {
@@ -138,23 +171,13 @@ export default {
       const target = Number(args[0]);
       if (isNaN(target))
         return message.reply("Please provide a valid number as argument.");
-      const merged = getMergedPlaylist(player);
+      const merged = getMergedQueue(player);
       const targetIndex = target - 1; // Convert 1-based number to 0-based index.
       if (targetIndex < 0 || targetIndex >= merged.length) {
         return message.reply("That track does not exist in the playlist.");
       }
-      // Rebuild the queue so that:
-      // newHistory = merged.slice(0, targetIndex)
-      // newCurrent = merged[targetIndex]
-      // newUpcoming = merged.slice(targetIndex + 1)
-      const newHistory = merged.slice(0, targetIndex);
-      const newCurrent = merged[targetIndex];
-      const newUpcoming = merged.slice(targetIndex + 1);
-      // player.queue.previous is stored in reverse.
-      player.queue.previous = newHistory.slice().reverse();
-      player.queue.current = newCurrent;
-      player.queue.tracks = newUpcoming;
-      await player.play({ clientTrack: newCurrent });
+      // Everything before the target becomes history, everything after it upcoming
+      await playMergedIndex(player, targetIndex);
       logger.debug("Jumped to track number " + args[0]);
       return message.channel.send(`Jumped to track number ${args[0]}.`);
     }
@@ -162,7 +185,7 @@ export default {
     const pageSize = 20;
     const allLines = buildPlaylistLines(player);
     // Find the sequential index (0-based) of the current track.
-    const merged = getMergedPlaylist(player);
+    const merged = getMergedQueue(player);
     const currentIndex = merged.findIndex(
       (track) => track === player.queue.current
     );
@@ -171,27 +194,11 @@ export default {
     if (currentPage >= pages.length) currentPage = pages.length - 1;
     
     // Statt frühzeitigem Return senden wir immer Buttons – falls es nur eine Seite gibt, sind Previous und Next disabled.
-    const prefix = client.config.prefix;
+    const prefix = getGuildConfig(message.guild.id).prefix;
     const embed = buildEmbed(pages[currentPage], currentPage + 1, pages.length, prefix);
-    const row = new ActionRowBuilder().addComponents(
-      new ButtonBuilder()
-        .setCustomId("prevPage")
-        .setLabel("Previous")
-        .setStyle(ButtonStyle.Secondary)
-        .setDisabled(pages.length === 1 || currentPage === 0),
-      new ButtonBuilder()
-        .setCustomId("refreshPage")
-        .setLabel("Refresh")
-        .setStyle(ButtonStyle.Primary),
-      new ButtonBuilder()
-        .setCustomId("nextPage")
-        .setLabel("Next")
-        .setStyle(ButtonStyle.Secondary)
-        .setDisabled(pages.length === 1 || currentPage === pages.length - 1)
-    );
     const playlistMessage = await message.channel.send({
       embeds: [embed],
-      components: [row]
+      components: buildComponents(player, pages, currentPage, pageSize)
     });
     if (!client.activePlaylistMessages) client.activePlaylistMessages = new Map();
     registerPlaylistInteractionHandler(client);
@@ -200,6 +207,7 @@ export default {
       pages,
       currentPage,
       pageSize,
+      selected: new Map(),
       message: playlistMessage
     });
     logger.debug("Playlist command executed successfully.");
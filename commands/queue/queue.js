@@ -2,17 +2,29 @@
 // Displays a merged queue (history, current track, upcoming) in a paginated embed.
 // You can use ".queue 16" to jump to the 16th upcoming track, or ".queue -2" to jump to the history track labeled "-02".
 // In Jump Mode, the target track is immediately played and the merged queue remains in chronological order.
-// In Display Mode, the embed is shown with persistent navigation buttons.
+// In Display Mode, the embed is shown with persistent navigation buttons and a track menu
+// (play now, move to top/bottom, remove) for the tracks on the visible page.
 
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from "discord.js";
 import { formatTrackTitle } from "../../utils/formatTrack.js";
 import logger from "../../utils/logger.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import { formatRequester } from "../../utils/requester.js";
+import { getMergedQueue, playMergedIndex } from "../../utils/queueEditor.js";
+import { QUEUE_MENU_IDS, buildQueueMenuRows, handleQueueMenuInteraction, getSelectedTrack } from "../../utils/queueMenu.js";
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
 
 // Helper: Truncate a string if it exceeds maxLength characters.
 function truncateTitle(title, maxLength = 45) {
   return title.length > maxLength ? title.slice(0, maxLength - 3) + "..." : title;
 }
 
+// Helper: Requester mention appended to a queue line, empty if unknown.
+function requesterSuffix(track) {
+  const requester = formatRequester(track);
+  return requester ? `\u2002${requester}` : "";
+}
+
 // Helper: Build the merged array of display lines.
 function buildQueueLines(player) {
   const lines = [];
@@ -30,7 +42,7 @@ function buildQueueLines(player) {
     const rawTitle = formatTrackTitle(track.info, track.requestedAsUrl);
     const title = truncateTitle(rawTitle, 45);
     // Use \u2002 for indentation.
-    lines.push(`\u2002\`${indexStr}\`\u2002\`${title}\``);
+    lines.push(`\u2002\`${indexStr}\`\u2002\`${title}\`${requesterSuffix(track)}`);
   }
   // Current track (no indentation, bold "Now" label)
   const current = player.queue.current;
@@ -39,7 +51,7 @@ function buildQueueLines(player) {
       formatTrackTitle(current.info, current.requestedAsUrl),
       100
     );
-    lines.push(`\u2009\u200A\u200A**Now**\u2002\`${curTitle}\``);
+    lines.push(`\u2009\u200A\u200A**Now**\u2002\`${curTitle}\`${requesterSuffix(current)}`);
   }
   // Upcoming tracks: positive indices starting at 01.
   const upcoming = player.queue.tracks;
@@ -47,7 +59,7 @@ function buildQueueLines(player) {
     const indexStr = (i + 1).toString().padStart(2, "0");
     const rawTitle = formatTrackTitle(track.info, track.requestedAsUrl);
     const title = truncateTitle(rawTitle, 45);
-    lines.push(`\u2002\`\u2002${indexStr}\`\u2002\`${title}\``);
+    lines.push(`\u2002\`\u2002${indexStr}\`\u2002\`${title}\`${requesterSuffix(track)}`);
   });
   return lines;
 }
@@ -75,23 +87,61 @@ function buildEmbed(lines, pageNumber, totalPages, prefix) {
     .setDescription(lines.join("\n"));
 }
 
-// Helper: Returns the merged queue as an array of track objects (in display order).
-function getMergedQueue(player) {
-  const history = (player.queue.previous || []).slice().reverse();
-  const current = player.queue.current;
-  const upcoming = player.queue.tracks.slice();
-  return [...history, current, ...upcoming];
+// Helper: Queue number of a merged index as shown in the embed ("-02", "Now", "01").
+function queueLabel(player, index) {
+  const offset = index - (player.queue.previous || []).length;
+  if (offset === 0) return "Now";
+  return `${offset < 0 ? "-" : ""}${Math.abs(offset).toString().padStart(2, "0")}`;
+}
+
+// Helper: Navigation row followed by the track menu rows.
+function buildComponents(player, pages, currentPage, pageSize, selected = null) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("prevPage")
+      .setLabel("Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(pages.length === 1 || currentPage === 0),
+    new ButtonBuilder()
+      .setCustomId("refreshPage")
+      .setLabel("Refresh")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId("nextPage")
+      .setLabel("Next")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(pages.length === 1 || currentPage === pages.length - 1)
+  );
+  const menuRows = buildQueueMenuRows(player, {
+    currentPage,
+    pageSize,
+    selected,
+    labelFor: index => queueLabel(player, index)
+  });
+  return [row, ...menuRows];
 }
 
 // Persistent interaction handling: Register a global listener if not already registered.
 function registerQueueInteractionHandler(client) {
   if (!client.activeQueueMessagesHandlerRegistered) {
     client.on("interactionCreate", async (interaction) => {
-      if (!interaction.isButton()) return;
+      if (!interaction.isButton() && !interaction.isStringSelectMenu()) return;
       const state = client.activeQueueMessages.get(interaction.message.id);
       if (!state) return;
       let { pages, currentPage, player, pageSize } = state;
-      if (interaction.customId === "prevPage" && currentPage > 0) {
+      if (QUEUE_MENU_IDS.has(interaction.customId)) {
+        const error = await handleQueueMenuInteraction(interaction, state);
+        if (error) {
+          return interaction.reply({ content: error, ephemeral: true }).catch(() => {});
+        }
+        if (interaction.customId !== "queueSelect") {
+          pages = chunkArray(buildQueueLines(player), pageSize);
+          if (currentPage >= pages.length) currentPage = pages.length - 1;
+          sendOrUpdateNowPlayingUI(player, interaction.channel).catch(err =>
+            logger.error("[queue] Error updating Now Playing UI:", err)
+          );
+        }
+      } else if (interaction.customId === "prevPage" && currentPage > 0) {
         currentPage--;
       } else if (interaction.customId === "nextPage" && currentPage < pages.length - 1) {
         currentPage++;
@@ -107,25 +157,12 @@ function registerQueueInteractionHandler(client) {
       state.currentPage = currentPage;
       state.pages = pages;
       client.activeQueueMessages.set(interaction.message.id, state);
-      const prefix = client.config.prefix;
+      const prefix = getGuildConfig(interaction.guildId).prefix;
       const newEmbed = buildEmbed(pages[currentPage], currentPage + 1, pages.length, prefix);
-      const row = new ActionRowBuilder().addComponents(
-        new ButtonBuilder()
-          .setCustomId("prevPage")
-          .setLabel("Previous")
-          .setStyle(ButtonStyle.Secondary)
-          .setDisabled(pages.length === 1 || currentPage === 0),
-        new ButtonBuilder()
-          .setCustomId("refreshPage")
-          .setLabel("Refresh")
-          .setStyle(ButtonStyle.Primary),
-        new ButtonBuilder()
-          .setCustomId("nextPage")
-          .setLabel("Next")
-          .setStyle(ButtonStyle.Secondary)
-          .setDisabled(pages.length === 1 || currentPage === pages.length - 1)
-      );
-      await interaction.update({ embeds: [newEmbed], components: [row] });
+      await interaction.update({
+        embeds: [newEmbed],
+        components: buildComponents(player, pages, currentPage, pageSize, getSelectedTrack(state, interaction.user.id))
+      });
     });
     client.activeQueueMessagesHandlerRegistered = true;
   }
@@ -135,6 +172,9 @@ export default {
   name: "queue",
   description:
     "Displays the merged queue with pagination; jump to a song by number.",
+  slashOptions: [
+    { name: "position", description: "Track number to jump to (negative for history)", type: "integer" }
+  ],
   async execute(client, message, args) {
     const player = client.lavalink.getPlayer(message.guild.id);
     if (!player || !player.queue.current) {
@@ -158,18 +198,8 @@ export default {
       if (targetIndex < 0 || targetIndex >= merged.length) {
         return message.reply("That track does not exist in the queue.");
       }
-      // Rebuild the queue so that:
-      // newHistory = merged.slice(0, targetIndex)
-      // newCurrent = merged[targetIndex]
-      // newUpcoming = merged.slice(targetIndex + 1)
-      const newHistory = merged.slice(0, targetIndex);
-      const newCurrent = merged[targetIndex];
-      const newUpcoming = merged.slice(targetIndex + 1);
-      // player.queue.previous is stored in reverse.
-      player.queue.previous = newHistory.slice().reverse();
-      player.queue.current = newCurrent;
-      player.queue.tracks = newUpcoming;
-      await player.play({ clientTrack: newCurrent });
+      // Everything before the target becomes history, everything after it upcoming
+      await playMergedIndex(player, targetIndex);
       return message.channel.send(`Jumped to track number ${args[0]}.`);
     }
 
@@ -187,27 +217,11 @@ export default {
     if (currentPage >= pages.length) currentPage = pages.length - 1;
     
     // Statt frühzeitigem Return immer Buttons mitsenden – falls es nur eine Seite gibt, sind Previous und Next deaktiviert.
-    const prefix = client.config.prefix;
+    const prefix = getGuildConfig(message.guild.id).prefix;
     const embed = buildEmbed(pages[currentPage], currentPage + 1, pages.length, prefix);
-    const row = new ActionRowBuilder().addComponents(
-      new ButtonBuilder()
-        .setCustomId("prevPage")
-        .setLabel("Previous")
-        .setStyle(ButtonStyle.Secondary)
-        .setDisabled(pages.length === 1 || currentPage === 0),
-      new ButtonBuilder()
-        .setCustomId("refreshPage")
-        .setLabel("Refresh")
-        .setStyle(ButtonStyle.Primary),
-      new ButtonBuilder()
-        .setCustomId("nextPage")
-        .setLabel("Next")
-        .setStyle(ButtonStyle.Secondary)
-        .setDisabled(pages.length === 1 || currentPage === pages.length - 1)
-    );
     const queueMessage = await message.channel.send({
       embeds: [embed],
-      components: [row]
+      components: buildComponents(player, pages, currentPage, pageSize)
     });
     if (!client.activeQueueMessages) client.activeQueueMessages = new Map();
     registerQueueInteractionHandler(client);
@@ -216,6 +230,7 @@ export default {
       pages,
       currentPage,
       pageSize,
+      selected: new Map(),
       message: queueMessage
     });
   }
@@ -0,0 +1,58 @@
+// commands/remove.js
+// Removes tracks from the upcoming queue by number or range (".remove 3",
+// ".remove 2-5") or all of the caller's own requests (".remove mine").
+// Listeners without the DJ role can only remove tracks they requested.
+
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import { isRequestedBy } from "../../utils/requester.js";
+import { parseRange, removeRange } from "../../utils/queueEditor.js";
+import { isDJ } from "../../utils/permissions.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import logger from "../../utils/logger.js";
+
+export default {
+  name: "remove",
+  aliases: ["rm"],
+  description: "Removes tracks from the queue. Usage: remove <number|from-to|mine>",
+  slashOptions: [
+    { name: "tracks", description: "Track number, range like 2-5, or \"mine\" for your own requests", type: "string", required: true }
+  ],
+  async execute(client, message, args) {
+    const player = client.lavalink.getPlayer(message.guild.id);
+    if (!player || !player.queue.current) {
+      return message.reply("No music is playing in this server.");
+    }
+    const tracks = player.queue.tracks;
+    if (!tracks.length) {
+      return message.reply("There are no upcoming tracks to remove.");
+    }
+
+    let removed;
+    if (args[0]?.toLowerCase() === "mine") {
+      removed = tracks.filter(t => isRequestedBy(t, message.author.id));
+      if (!removed.length) {
+        return message.reply("You have no upcoming tracks in the queue.");
+      }
+      player.queue.tracks = tracks.filter(t => !isRequestedBy(t, message.author.id));
+    } else {
+      const range = parseRange(args.join(""), tracks.length);
+      if (!range) {
+        const prefix = getGuildConfig(message.guild.id).prefix;
+        return message.reply(
+          `Usage: \`${prefix}remove <number|from-to|mine>\` with numbers between 1 and ${tracks.length}.`
+        );
+      }
+      const selection = tracks.slice(range.start, range.end + 1);
+      if (!isDJ(message.member) && selection.some(t => !isRequestedBy(t, message.author.id))) {
+        return message.reply("You can only remove tracks you requested.");
+      }
+      removed = removeRange(tracks, range.start, range.end);
+    }
+
+    await sendOrUpdateNowPlayingUI(player, message.channel);
+    message.channel.send(removed.length === 1
+      ? `Removed **${removed[0].info.title}** from the queue.`
+      : `Removed **${removed.length}** tracks from the queue.`);
+    logger.debug(`[remove] Removed ${removed.length} tracks in Guild="${message.guild.id}"`);
+  }
+};
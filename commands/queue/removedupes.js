@@ -0,0 +1,28 @@
+// commands/removedupes.js
+// Removes duplicate tracks from the upcoming queue, keeping the first occurrence.
+
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import { removeDuplicates } from "../../utils/queueEditor.js";
+import logger from "../../utils/logger.js";
+
+export default {
+  name: "removedupes",
+  aliases: ["dedupe"],
+  description: "Removes duplicate tracks from the queue.",
+  slashOptions: [],
+  async execute(client, message) {
+    const player = client.lavalink.getPlayer(message.guild.id);
+    if (!player || !player.queue.current) {
+      return message.reply("No music is playing in this server.");
+    }
+
+    const removed = removeDuplicates(player.queue.tracks, player.queue.current);
+    if (!removed) {
+      return message.reply("There are no duplicate tracks in the queue.");
+    }
+
+    await sendOrUpdateNowPlayingUI(player, message.channel);
+    message.channel.send(`Removed **${removed}** duplicate track${removed > 1 ? "s" : ""} from the queue.`);
+    logger.debug(`[removedupes] Removed ${removed} duplicates in Guild="${message.guild.id}"`);
+  }
+};
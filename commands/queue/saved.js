@@ -0,0 +1,203 @@
+// commands/saved.js
+// Saved playlists. ".saved save <name> [server]" stores the current queue
+// (history, current track, upcoming) as a personal or server playlist,
+// ".saved load <name>" puts it back into the queue. Personal playlists are
+// looked up before server playlists of the same name.
+
+import { EmbedBuilder } from "discord.js";
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import { getOrCreatePlayer } from "../../utils/playerFactory.js";
+import { getMergedQueue } from "../../utils/queueEditor.js";
+import { isDJ } from "../../utils/permissions.js";
+import { admitTracks } from "../../utils/queuePolicy.js";
+import { getTrackFilters, filterTracks, formatFilterNotice } from "../../utils/trackFilters.js";
+import {
+  listSavedPlaylists,
+  findSavedPlaylist,
+  savePlaylist,
+  appendToPlaylist,
+  deleteSavedPlaylist,
+  renameSavedPlaylist,
+  buildPlaylistTracks
+} from "../../utils/savedPlaylists.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import logger from "../../utils/logger.js";
+
+const ACTIONS = ["list", "save", "load", "addcurrent", "delete", "rename", "share"];
+
+// Helper: Personal playlists only by their owner, server playlists by their creator or a DJ
+function canEdit(member, entry) {
+  if (entry.scope === "user") return entry.ownerKey === member.id;
+  return entry.playlist.ownerId === member.id || isDJ(member);
+}
+
+// Helper: "name (12 tracks)" lines for the list embed
+function formatList(playlists) {
+  if (!playlists.length) return "None";
+  return playlists
+    .map(p => `\`${p.name}\` (${p.tracks.length} track${p.tracks.length === 1 ? "" : "s"})`)
+    .join("\n");
+}
+
+export default {
+  name: "saved",
+  aliases: ["sp"],
+  description: "Saved playlists. Usage: saved list | save <name> [server] | load | addcurrent | delete | share <name> | rename <name> <new>",
+  slashOptions: [
+    {
+      name: "action",
+      description: "What to do",
+      type: "string",
+      required: true,
+      choices: ACTIONS.map(a => ({ name: a, value: a }))
+    },
+    { name: "name", description: "Playlist name", type: "string" },
+    { name: "extra", description: "New name for rename, or \"server\" to save as a server playlist", type: "string" }
+  ],
+  async execute(client, message, args) {
+    const guildId = message.guild.id;
+    const userId = message.author.id;
+    const prefix = getGuildConfig(guildId).prefix;
+    const action = args[0]?.toLowerCase();
+    const name = args[1];
+
+    if (!ACTIONS.includes(action)) {
+      return message.reply(
+        `Usage: \`${prefix}saved list\`, \`${prefix}saved save <name> [server]\`, \`${prefix}saved load <name>\`, ` +
+        `\`${prefix}saved addcurrent <name>\`, \`${prefix}saved delete <name>\`, \`${prefix}saved share <name>\` ` +
+        `or \`${prefix}saved rename <name> <new name>\``
+      );
+    }
+
+    if (action === "list") {
+      const { user, server } = listSavedPlaylists(guildId, userId);
+      const embed = new EmbedBuilder()
+        .setTitle("Saved Playlists")
+        .setColor("Blue")
+        .addFields(
+          { name: "Your playlists", value: formatList(user) },
+          { name: "Server playlists", value: formatList(server) }
+        )
+        .setFooter({ text: `Use "${prefix}saved load <name>" to queue a playlist.` });
+      return message.channel.send({ embeds: [embed] });
+    }
+
+    if (!name) {
+      return message.reply(`Usage: \`${prefix}saved ${action} <name>${action === "rename" ? " <new name>" : ""}\``);
+    }
+
+    try {
+      if (action === "save") {
+        const player = client.lavalink.getPlayer(guildId);
+        if (!player?.queue.current) return message.reply("Nothing is playing, so there is nothing to save.");
+
+        const scope = args[2]?.toLowerCase() === "server" ? "server" : "user";
+        const ownerKey = scope === "user" ? userId : guildId;
+        const existing = findSavedPlaylist(guildId, userId, name, scope);
+        if (existing && !canEdit(message.member, existing)) {
+          return message.reply(`The server playlist **${existing.playlist.name}** belongs to someone else.`);
+        }
+        const saved = await savePlaylist({
+          scope,
+          ownerKey,
+          ownerId: userId,
+          name,
+          tracks: getMergedQueue(player)
+        });
+        return message.channel.send(
+          `Saved **${saved.tracks.length}** tracks as ${scope === "server" ? "server" : "personal"} playlist **${saved.name}**.`
+        );
+      }
+
+      const entry = findSavedPlaylist(guildId, userId, name);
+      if (!entry) {
+        return message.reply(`No saved playlist named **${name}**. See \`${prefix}saved list\`.`);
+      }
+
+      if (action === "load") {
+        return loadPlaylist(client, message, entry.playlist);
+      }
+
+      if (action === "share") {
+        if (entry.scope !== "user") return message.reply(`**${entry.playlist.name}** is already a server playlist.`);
+        if (findSavedPlaylist(guildId, userId, entry.playlist.name, "server")) {
+          return message.reply(`A server playlist named **${entry.playlist.name}** already exists.`);
+        }
+        await savePlaylist({
+          scope: "server",
+          ownerKey: guildId,
+          ownerId: userId,
+          name: entry.playlist.name,
+          tracks: entry.playlist.tracks
+        });
+        return message.channel.send(`Shared **${entry.playlist.name}** with this server.`);
+      }
+
+      if (!canEdit(message.member, entry)) {
+        return message.reply(`You can only change your own playlists${entry.scope === "server" ? " unless you are a DJ" : ""}.`);
+      }
+
+      if (action === "addcurrent") {
+        const current = client.lavalink.getPlayer(guildId)?.queue.current;
+        if (!current) return message.reply("No track is currently playing.");
+        const count = await appendToPlaylist(entry, [current]);
+        return message.channel.send(`Added **${current.info.title}** to **${entry.playlist.name}** (${count} tracks).`);
+      }
+
+      if (action === "delete") {
+        await deleteSavedPlaylist(entry);
+        return message.channel.send(`Deleted playlist **${entry.playlist.name}**.`);
+      }
+
+      if (action === "rename") {
+        const newName = args[2];
+        if (!newName) return message.reply(`Usage: \`${prefix}saved rename <name> <new name>\``);
+        const oldName = entry.playlist.name;
+        await renameSavedPlaylist(entry, newName);
+        return message.channel.send(`Renamed **${oldName}** to **${newName}**.`);
+      }
+    } catch (err) {
+      logger.error(`[saved] Error during "${action}":`, err);
+      return message.reply(err instanceof RangeError ? err.message : "Failed to update saved playlists.");
+    }
+  }
+};
+
+// Queues the tracks of a playlist and starts playback if the player is idle
+async function loadPlaylist(client, message, playlist) {
+  if (!client.lavalinkReady) {
+    return message.reply("Lavalink is not ready. Please wait a moment and try again.");
+  }
+  const userVC = message.member.voice.channel;
+  if (!userVC) {
+    return message.reply("You must join a voice channel first!");
+  }
+  const permissions = userVC.permissionsFor(client.user);
+  if (!permissions.has('Connect') || !permissions.has('Speak')) {
+    return message.reply("I don't have permission to join or speak in that voice channel!");
+  }
+
+  const player = await getOrCreatePlayer(client, message, userVC);
+  if (!player) return message.reply("Failed to create music player. Please try again.");
+
+  const { tracks: built, filtered } = filterTracks(
+    buildPlaylistTracks(client, playlist, message.author),
+    getTrackFilters(message.guild.id)
+  );
+  const filterNotice = formatFilterNotice(filtered);
+  if (!built.length) {
+    return message.reply(`**${playlist.name}** has no playable tracks.${filterNotice ? `\n${filterNotice}` : ""}`);
+  }
+
+  const { tracks, notices } = admitTracks(player, built, message.member);
+  if (!tracks.length) return message.reply(notices.join("\n"));
+  const notice = [filterNotice, ...notices].filter(Boolean).map(line => `\n${line}`).join("");
+
+  player.queue.add(tracks);
+  if (!player.playing && !player.paused) {
+    await player.play();
+  }
+  await sendOrUpdateNowPlayingUI(player, message.channel);
+  logger.debug(`[saved] Loaded "${playlist.name}" (${tracks.length} tracks) in Guild="${message.guild.id}"`);
+  return message.channel.send(`Loaded **${tracks.length}** tracks from **${playlist.name}**.${notice}`);
+}
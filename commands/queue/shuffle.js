@@ -8,6 +8,7 @@ export default {
   name: "shuffle",
   aliases: ["random"],
   description: "Shuffles the current queue randomly.",
+  slashOptions: [],
   async execute(client, message, args) {
     const player = client.lavalink.getPlayer(message.guild.id);
     if (!player) {
@@ -0,0 +1,34 @@
+// commands/swap.js
+// Swaps the positions of two upcoming tracks.
+
+import { sendOrUpdateNowPlayingUI } from "../../utils/nowPlayingManager.js";
+import { parsePosition, swapTracks } from "../../utils/queueEditor.js";
+import { getGuildConfig } from "../../utils/guildSettings.js";
+import logger from "../../utils/logger.js";
+
+export default {
+  name: "swap",
+  description: "Swaps two tracks in the queue. Usage: swap <a> <b>",
+  slashOptions: [
+    { name: "a", description: "First track number", type: "integer", required: true, minValue: 1 },
+    { name: "b", description: "Second track number", type: "integer", required: true, minValue: 1 }
+  ],
+  async execute(client, message, args) {
+    const player = client.lavalink.getPlayer(message.guild.id);
+    if (!player || !player.queue.current) {
+      return message.reply("No music is playing in this server.");
+    }
+    const tracks = player.queue.tracks;
+    const a = parsePosition(args[0], tracks.length);
+    const b = parsePosition(args[1], tracks.length);
+    if (a === null || b === null || a === b) {
+      const prefix = getGuildConfig(message.guild.id).prefix;
+      return message.reply(`Usage: \`${prefix}swap <a> <b>\` with two different numbers between 1 and ${tracks.length}.`);
+    }
+
+    swapTracks(tracks, a, b);
+    await sendOrUpdateNowPlayingUI(player, message.channel);
+    message.channel.send(`Swapped **${tracks[b].info.title}** and **${tracks[a].info.title}**.`);
+    logger.debug(`[swap] Swapped tracks ${a + 1} and ${b + 1} in Guild="${message.guild.id}"`);
+  }
+};
@@ -9,10 +9,31 @@ import { dirname, join } from "path";
 import { sendOrUpdateNowPlayingUI } from "./utils/nowPlayingManager.js";
 import { updateNowPlaying } from "./utils/updateNowPlaying.js";
 import { generateStoppedEmbed } from "./utils/nowPlayingEmbed.js";
+import { getTargetVolume } from "./utils/playerControls.js";
 import logger from "./utils/logger.js";
 import CleanupManager from "./utils/cleanupManager.js";
 import LavalinkReconnectManager from "./utils/reconnectManager.js";
+import SessionPersistenceManager from "./utils/sessionPersistence.js";
 import PerfMonitor from "./utils/perfMonitor.js";
+import { getNodeOptions } from "./utils/lavalinkNodes.js";
+import { getGuildConfig } from "./utils/guildSettings.js";
+import { getLoopMode, recordLoopTrack, restartQueueFromHistory } from "./utils/loopMode.js";
+import { isAutoplayEnabled, playRelatedTrack } from "./utils/autoplay.js";
+import {
+  VOTEABLE_COMMANDS,
+  hasCommandPermission,
+  getPermissionDeniedMessage
+} from "./utils/permissions.js";
+import { resetSkipVotes } from "./utils/voteSkip.js";
+import { compactRequester } from "./utils/requester.js";
+import { scheduleIdleDisconnect, cancelIdleTimers } from "./utils/idleManager.js";
+import { handleListenerChange, cancelEmptyChannelLeave } from "./utils/emptyChannel.js";
+import { isAlwaysOn, rejoinAlwaysOnChannels, scheduleAlwaysOnRejoin } from "./utils/alwaysOn.js";
+import {
+  registerSlashCommands,
+  getSlashArgs,
+  createInteractionMessage
+} from "./utils/slashCommands.js";
 
 // Catch uncaught exceptions so the process doesn't die
 process.on("uncaughtException", (error) => {
@@ -31,35 +52,40 @@ const __dirname = dirname(__filename);
 // Load and validate config
 const cfgPath = join(__dirname, "config", "config.json");
 let config = {};
+let lavalinkNodes = [];
 try {
   const raw = await fs.readFile(cfgPath, "utf-8");
   config = JSON.parse(raw);
 
-  const requiredFields = ["token", "clientId", "lavalinkHost", "lavalinkPort", "lavalinkPassword"];
+  const requiredFields = ["token", "clientId"];
   for (const field of requiredFields) {
     if (!config[field]) {
       throw new Error(`Missing required config field: ${field}`);
     }
   }
+  // lavalinkNodes, or lavalinkHost/lavalinkPort/lavalinkPassword for a single node
+  lavalinkNodes = getNodeOptions(config);
   logger.info("Configuration loaded and validated.");
 } catch (err) {
   logger.error("Failed to load configuration:", err);
   process.exit(1);
 }
 
+// Prefix commands need the privileged MessageContent intent; slash-only setups can drop it
+const prefixCommandsEnabled = config.prefixCommands !== false;
+const intents = [GatewayIntentBits.Guilds, GatewayIntentBits.GuildVoiceStates];
+if (prefixCommandsEnabled) {
+  intents.push(GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent);
+}
+
 // OPTIMIZATION: Enhanced Discord client with performance settings
 const client = new Client({
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildVoiceStates,
-    GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent,
-  ],
+  intents,
   restRequestTimeout: config.lavalinkTimeout || 15_000,
   retryLimit: 3,
   presence: {
     activities: [{
-      name: `${config.prefix}help`,
+      name: prefixCommandsEnabled ? `${config.prefix}help` : "/help",
       type: 2, // LISTENING
     }],
     status: "online",
@@ -72,6 +98,7 @@ global.config = config;
 client.cleanupManager   = new CleanupManager(client);
 client.reconnectManager = new LavalinkReconnectManager(client);
 client.perfMonitor      = new PerfMonitor(client);
+client.sessionPersistence = new SessionPersistenceManager(client);
 client.perfMonitor.startMemoryLogging();
 
 // -------------------- Command Loader --------------------
@@ -120,31 +147,56 @@ try {
   logger.error("Failed to load commands directory:", err);
 }
 
-// -------------------- OPTIMIZED Message Handler --------------------
+// -------------------- Command Execution --------------------
 const cooldowns = new Map();
-client.on("messageCreate", async (msg) => {
-  if (msg.author.bot || !msg.guild) return;
-  if (!msg.content.startsWith(client.config.prefix)) return;
 
-  // OPTIMIZATION: Faster cooldown (2 seconds instead of 10)
+// OPTIMIZATION: Faster cooldown (2 seconds instead of 10)
+function isRateLimited(userId) {
   const now = Date.now();
-  const userTimestamps = cooldowns.get(msg.author.id) || [];
+  const userTimestamps = cooldowns.get(userId) || [];
   const recent = userTimestamps.filter(ts => now - ts < (config.commandCooldown || 2000));
-  if (recent.length >= 3) {
-    return msg.reply("Please slow down! You can only use 3 commands every 2 seconds.")
-      .then(m => setTimeout(() => m.delete().catch(() => {}), 3_000));
-  }
+  if (recent.length >= 3) return true;
   recent.push(now);
-  cooldowns.set(msg.author.id, recent);
+  cooldowns.set(userId, recent);
+  return false;
+}
 
-  const args    = msg.content.slice(client.config.prefix.length).trim().split(/\s+/);
-  const name    = args.shift().toLowerCase();
-  const command = client.commands.get(name)
-                || [...client.commands.values()].find(c => c.aliases?.includes(name));
-  if (!command) return;
+function findCommand(name) {
+  return client.commands.get(name)
+      || [...client.commands.values()].find(c => c.aliases?.includes(name) || c.slashAliases?.includes(name));
+}
+
+// Guilds can bind music commands to one text channel; setconfig stays usable everywhere
+function isOutsideBoundChannel(command, msg) {
+  const boundChannelId = getGuildConfig(msg.guild.id).textChannelId;
+  return !!boundChannelId && msg.channel?.id !== boundChannelId && command.name !== "setconfig";
+}
+
+// Shared execution path for prefix messages and slash command adapters
+async function runCommand(command, name, msg, args) {
+  if (isOutsideBoundChannel(command, msg)) {
+    const boundChannelId = getGuildConfig(msg.guild.id).textChannelId;
+    return msg.reply(`Music commands are bound to <#${boundChannelId}> in this server.`)
+      .then(m => setTimeout(() => m.delete().catch(() => {}), 5_000))
+      .catch(() => {});
+  }
+
+  if (!VOTEABLE_COMMANDS.has(command.name) && !hasCommandPermission(msg.member, command.name)) {
+    return msg.reply(getPermissionDeniedMessage(msg.guild.id, command.name)).catch(() => {});
+  }
 
   logger.debug(`Guild=${msg.guild.id} User=${msg.author.tag} Cmd=${name} Args=[${args.join(",")}]`);
   try {
+    // Long-running commands report their own progress; a timeout reply would
+    // only make users retry while the first run is still queueing tracks.
+    // A command can be long-running only for some arguments.
+    const longRunning = typeof command.longRunning === "function"
+      ? command.longRunning(args)
+      : command.longRunning;
+    if (longRunning) {
+      await command.execute(client, msg, args);
+      return;
+    }
     // OPTIMIZATION: Shorter timeout for faster response
     const race = Promise.race([
       command.execute(client, msg, args),
@@ -158,16 +210,74 @@ client.on("messageCreate", async (msg) => {
                 : "An error occurred while executing that command.";
     msg.reply(reply).catch(() => {});
   }
+}
+
+// -------------------- OPTIMIZED Message Handler --------------------
+client.on("messageCreate", async (msg) => {
+  if (msg.author.bot || !msg.guild) return;
+  const prefix = getGuildConfig(msg.guild.id).prefix;
+  if (!msg.content.startsWith(prefix)) return;
+
+  if (isRateLimited(msg.author.id)) {
+    return msg.reply("Please slow down! You can only use 3 commands every 2 seconds.")
+      .then(m => setTimeout(() => m.delete().catch(() => {}), 3_000));
+  }
+
+  const args    = msg.content.slice(prefix.length).trim().split(/\s+/);
+  const name    = args.shift().toLowerCase();
+  const command = findCommand(name);
+  if (!command) return;
+
+  await runCommand(command, name, msg, args);
+});
+
+// -------------------- Slash Command Handler --------------------
+client.on("interactionCreate", async (interaction) => {
+  if (!interaction.isChatInputCommand() || !interaction.guild) return;
+
+  const name    = interaction.commandName;
+  const command = findCommand(name);
+  if (!command) return;
+
+  if (isRateLimited(interaction.user.id)) {
+    return interaction.reply({
+      content: "Please slow down! You can only use 3 commands every 2 seconds.",
+      ephemeral: true
+    }).catch(() => {});
+  }
+
+  try {
+    await interaction.deferReply();
+  } catch (err) {
+    logger.warn(`Failed to defer slash command ${name}:`, err);
+    return;
+  }
+
+  const args = getSlashArgs(interaction, command);
+  const msg  = createInteractionMessage(
+    interaction,
+    `${getGuildConfig(interaction.guild.id).prefix}${name} ${args.join(" ")}`.trim()
+  );
+  await runCommand(command, name, msg, args);
+
+  // Commands that only post to the channel never answer the interaction itself
+  if (!msg.replied) {
+    interaction.deleteReply().catch(() => {});
+  }
 });
 
 // -------------------- Voice State Logging --------------------
 client.on("voiceStateUpdate", (oldState, newState) => {
-  if (newState.id !== client.user.id) return;
+  // Listeners joining or leaving the bot's channel pause and resume playback
+  if (newState.id !== client.user.id) {
+    handleListenerChange(client, oldState, newState);
+    return;
+  }
   const from = oldState.channelId || "None";
   const to   = newState.channelId || "None";
   logger.debug(`[VOICE] Moved from ${from} to ${to} in guild ${newState.guild.id}`);
 
-  // If kicked out of the channel, destroy the player
+  // If kicked out of the channel, destroy the player; 24/7 guilds get the bot back
   if (from !== "None" && to === "None") {
     const player = client.lavalink?.getPlayer(newState.guild.id);
     if (player) {
@@ -175,21 +285,15 @@ client.on("voiceStateUpdate", (oldState, newState) => {
       player.destroy();
       client.lavalink.players.delete(newState.guild.id);
     }
+    if (isAlwaysOn(newState.guild.id)) {
+      scheduleAlwaysOnRejoin(client, newState.guild.id);
+    }
   }
 });
 
 // -------------------- OPTIMIZED Lavalink Manager --------------------
 client.lavalink = new LavalinkManager({
-  nodes: [{
-    host: config.lavalinkHost,
-    port: config.lavalinkPort,
-    authorization: config.lavalinkPassword,
-    id: "optimized-node",
-    retryAmount: 3,                    // OPTIMIZED: Reduced from 5
-    retryDelay: 5_000,                // OPTIMIZED: Reduced from 10s
-    requestTimeout: 15_000,           // OPTIMIZED: Added timeout
-    secure: false
-  }],
+  nodes: lavalinkNodes,
   // OPTIMIZATION: Faster shard sender
   sendToShard: (guildId, payload) => {
     const guild = client.guilds.cache.get(guildId);
@@ -206,13 +310,13 @@ client.lavalink = new LavalinkManager({
     heartBeatInterval: 45_000         // Longer intervals
   },
   queueOptions: {
-    maxPreviousTracks: 50             // OPTIMIZED: Reduced from 1000
+    maxPreviousTracks: config.maxPreviousTracks || 50 // OPTIMIZED: Reduced from 1000
   },
   playerOptions: {
     defaultSearchPlatform: config.defaultSearchPlatform || "ytsearch",
     volumeDecrementer: 1,
     clientBasedPositionUpdateInterval: config.uiUpdateInterval || 2000,
-    requesterTransformer: r => r,
+    requesterTransformer: compactRequester,
     onDisconnect: {
       autoReconnect: true,
       destroyPlayer: false
@@ -230,6 +334,17 @@ client.on("raw", d => {
   }
 });
 
+// Node.connect() resolves before Lavalink sends its session id; players need it
+async function waitForLavalinkSession(timeout = 10_000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const nodes = [...client.lavalink.nodeManager.nodes.values()];
+    if (nodes.some(node => node.connected && node.sessionId)) return true;
+    await new Promise(r => setTimeout(r, 250));
+  }
+  return false;
+}
+
 client.once("ready", async () => {
   logger.info(`Bot ${client.user.tag} is online.`);
   try {
@@ -242,9 +357,28 @@ client.once("ready", async () => {
     client.cleanupManager.start();
     
     logger.info(`Lavalink initialized successfully in ${initTime}ms`);
+
+    // Resume the sessions saved before the last shutdown or crash
+    if (config.resumeSessions !== false) {
+      if (await waitForLavalinkSession()) {
+        await client.sessionPersistence.restoreSessions();
+      } else {
+        logger.warn("No Lavalink session available, skipping session resume.");
+      }
+      client.sessionPersistence.start();
+    }
+
+    // Guilds in 24/7 mode get the bot back in their channel
+    if (await waitForLavalinkSession()) {
+      await rejoinAlwaysOnChannels(client);
+    }
   } catch (err) {
     logger.error("Lavalink init failed:", err);
   }
+
+  if (config.slashCommands !== false) {
+    await registerSlashCommands(client);
+  }
 });
 
 // -------------------- OPTIMIZED Track & Queue Events --------------------
@@ -262,6 +396,13 @@ client.lavalink.on("trackStart", async (player, track) => {
   
   logger.debug(`Track started in guild ${player.guildId}: ${track.info.title}`);
   
+  // Votes only count for the track they were cast on
+  resetSkipVotes(player);
+  recordLoopTrack(player, track);
+
+  // Something is playing again, so the player is no longer idle
+  cancelIdleTimers(player);
+
   // Reset UI tracking variables
   player._lastUIUpdate = null;
   player._lastEmbedData = null;
@@ -298,8 +439,9 @@ client.lavalink.on("trackStart", async (player, track) => {
   });
   
   // OPTIMIZATION: Set optimal volume
-  if (player.volume !== (global.config.defaultVolume || 50)) {
-    player.setVolume(global.config.defaultVolume || 50, false).catch(() => {});
+  const targetVolume = getTargetVolume(player);
+  if (player.volume !== targetVolume) {
+    player.setVolume(targetVolume, false).catch(() => {});
   }
 });
 
@@ -330,7 +472,7 @@ function resetPlayerUI(player) {
     // Update UI message to stopped state
     if (player.nowPlayingMessage) {
       player.nowPlayingMessage
-        .edit({ embeds: [generateStoppedEmbed()], components: [] })
+        .edit({ embeds: [generateStoppedEmbed(player.guildId)], components: [] })
         .catch(() => {});
       player.nowPlayingMessage = null;
     }
@@ -341,13 +483,45 @@ function resetPlayerUI(player) {
   }
 }
 
-client.lavalink.on("queueEnd", player => {
+client.lavalink.on("queueEnd", async (player, track, payload) => {
+  // Loop mode "queue" plays the history again, autoplay continues with a related
+  // track. Only on a natural end, a stop command also ends the queue.
+  if (payload?.reason === "finished") {
+    if (getLoopMode(player) === "queue") {
+      try {
+        if (await restartQueueFromHistory(player)) return;
+      } catch (err) {
+        logger.error(`Failed to restart looped queue in guild ${player.guildId}:`, err);
+      }
+    } else if (isAutoplayEnabled(player)) {
+      try {
+        if (await playRelatedTrack(player, track, client.user)) return;
+      } catch (err) {
+        logger.error(`Autoplay failed in guild ${player.guildId}:`, err);
+      }
+    }
+  }
+
   const elapsed = Date.now() - (trackStartTimes.get(player.guildId) || 0);
   const wait    = elapsed < 2000 ? 2000 - elapsed : 0;
   setTimeout(() => {
     resetPlayerUI(player);
     trackStartTimes.delete(player.guildId);
   }, wait);
+
+  // Leave the voice channel if nothing is queued within autoDisconnectDelay,
+  // unless the guild keeps the bot around in 24/7 mode
+  if (isAlwaysOn(player.guildId)) return;
+  scheduleIdleDisconnect(player, async () => {
+    const ch = client.channels.cache.get(player.textChannelId);
+    await player.destroy();
+    if (ch) ch.send("Left the voice channel due to inactivity.").catch(() => {});
+  });
+});
+
+client.lavalink.on("playerDestroy", (player) => {
+  cancelIdleTimers(player);
+  cancelEmptyChannelLeave(player);
 });
 
 client.lavalink.on("trackException", (player, track, payload) => {
@@ -382,6 +556,15 @@ async function gracefulShutdown() {
   logger.info("Initiating graceful shutdown...");
   try {
     client.cleanupManager.stop();
+    if (config.resumeSessions !== false) {
+      client.sessionPersistence.stop();
+      // Snapshot before destroying players so the next start can resume them
+      const saved = await client.sessionPersistence.saveSessions().catch(err => {
+        logger.error("Failed to save sessions during shutdown:", err);
+        return 0;
+      });
+      logger.info(`Saved ${saved} session(s) for resume.`);
+    }
     for (const player of client.lavalink.players.values()) {
       await player.destroy().catch(err => 
         logger.error(`Error destroying player for guild ${player.guildId}:`, err)
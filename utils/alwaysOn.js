@@ -0,0 +1,170 @@
+// utils/alwaysOn.js
+// 24/7 mode: a guild can pin the bot to a voice channel. The player then stays
+// connected through queue end and empty channels, and is brought back to the
+// channel on startup, after a Lavalink reconnect and after being disconnected
+// from voice, optionally playing a saved server playlist on loop.
+
+import { getGuildOverrides, updateGuildSettings } from "./guildSettings.js";
+import { getOrCreateGuildPlayer } from "./playerFactory.js";
+import { findSavedPlaylist, buildPlaylistTracks } from "./savedPlaylists.js";
+import { setLoopMode } from "./loopMode.js";
+import { cancelIdleDisconnect } from "./idleManager.js";
+import { getPlaylistLimit } from "./queuePolicy.js";
+import logger from "./logger.js";
+
+// Delays between the attempts to rejoin after the bot was disconnected from voice
+const REJOIN_DELAYS = [5_000, 15_000, 60_000, 300_000];
+
+// guildId -> pending rejoin timeout
+const rejoinTimers = new Map();
+
+/**
+ * Returns the 24/7 settings of a guild.
+ * @param {string} guildId - Discord guild id
+ * @returns {{voiceChannelId: string, textChannelId: string, playlist: string|null}|null}
+ */
+export function getAlwaysOn(guildId) {
+  return getGuildOverrides(guildId).alwaysOn || null;
+}
+
+/**
+ * Returns whether 24/7 mode is enabled for a guild.
+ * @param {string} guildId - Discord guild id
+ * @returns {boolean}
+ */
+export function isAlwaysOn(guildId) {
+  return !!getAlwaysOn(guildId);
+}
+
+/**
+ * Enables 24/7 mode for a guild.
+ * @param {string} guildId - Discord guild id
+ * @param {object} options
+ * @param {string} options.voiceChannelId - Channel to stay in
+ * @param {string} options.textChannelId - Channel for Now Playing messages
+ * @param {string|null} [options.playlist] - Saved server playlist to play on loop
+ * @returns {Promise<object>} - Stored settings
+ */
+export async function enableAlwaysOn(guildId, { voiceChannelId, textChannelId, playlist = null }) {
+  const alwaysOn = { voiceChannelId, textChannelId, playlist };
+  await updateGuildSettings(guildId, { alwaysOn });
+  logger.debug(`[alwaysOn] Enabled in Guild="${guildId}" for channel ${voiceChannelId}`);
+  return alwaysOn;
+}
+
+/**
+ * Disables 24/7 mode for a guild.
+ * @param {string} guildId - Discord guild id
+ */
+export async function disableAlwaysOn(guildId) {
+  clearTimeout(rejoinTimers.get(guildId));
+  rejoinTimers.delete(guildId);
+  await updateGuildSettings(guildId, { alwaysOn: null });
+  logger.debug(`[alwaysOn] Disabled in Guild="${guildId}"`);
+}
+
+// Helper: Queues the configured playlist on loop if the player has nothing to play
+async function startPlaylist(client, player, name) {
+  if (!name || player.queue.current || player.queue.tracks.length) return false;
+
+  const entry = findSavedPlaylist(player.guildId, null, name, "server");
+  if (!entry) {
+    logger.warn(`[alwaysOn] Playlist "${name}" not found in Guild="${player.guildId}"`);
+    return false;
+  }
+  const tracks = buildPlaylistTracks(client, entry.playlist, client.user).slice(0, getPlaylistLimit(player.guildId));
+  if (!tracks.length) return false;
+
+  player.queue.add(tracks);
+  await setLoopMode(player, "queue");
+  await player.play();
+  logger.debug(`[alwaysOn] Playing "${name}" (${tracks.length} tracks) in Guild="${player.guildId}"`);
+  return true;
+}
+
+/**
+ * Joins the designated channel of a guild in 24/7 mode and starts the
+ * configured playlist when idle. A player in another channel of the guild is
+ * moved there; one already in the channel is left alone.
+ * @param {import('discord.js').Client} client - Discord client with the Lavalink manager
+ * @param {string} guildId - Discord guild id
+ * @returns {Promise<object|null>} - The player, or null if the guild is not in 24/7 mode or the channel cannot be joined
+ */
+export async function joinAlwaysOnChannel(client, guildId) {
+  const settings = getAlwaysOn(guildId);
+  const guild = client.guilds.cache.get(guildId);
+  if (!settings || !guild) return null;
+
+  let player = client.lavalink.getPlayer(guildId);
+  if (!player || player.voiceChannelId !== settings.voiceChannelId || !player.connected) {
+    const channel = guild.channels.cache.get(settings.voiceChannelId);
+    if (!channel?.isVoiceBased?.()) {
+      logger.warn(`[alwaysOn] Voice channel ${settings.voiceChannelId} of Guild="${guildId}" no longer exists`);
+      return null;
+    }
+    // Moves a player that is in another channel
+    player = await getOrCreateGuildPlayer(client, {
+      guild,
+      voiceChannel: channel,
+      textChannelId: settings.textChannelId
+    });
+    if (!player) return null;
+  }
+
+  cancelIdleDisconnect(player);
+  await startPlaylist(client, player, settings.playlist);
+  return player;
+}
+
+/**
+ * Rejoins the designated channel after the bot was disconnected from voice,
+ * retrying with growing delays. Gives up when the guild leaves 24/7 mode or
+ * a player is connected again in the meantime.
+ * @param {import('discord.js').Client} client - Discord client with the Lavalink manager
+ * @param {string} guildId - Discord guild id
+ * @param {number} [attempt=0] - Index into the retry delays
+ * @returns {boolean} - Whether a rejoin was scheduled
+ */
+export function scheduleAlwaysOnRejoin(client, guildId, attempt = 0) {
+  if (!isAlwaysOn(guildId) || attempt >= REJOIN_DELAYS.length) return false;
+
+  clearTimeout(rejoinTimers.get(guildId));
+  const timer = setTimeout(async () => {
+    rejoinTimers.delete(guildId);
+    if (!isAlwaysOn(guildId) || client.lavalink.getPlayer(guildId)?.connected) return;
+
+    let player = null;
+    try {
+      if (client.lavalinkReady) player = await joinAlwaysOnChannel(client, guildId);
+    } catch (err) {
+      logger.warn(`[alwaysOn] Rejoin attempt ${attempt + 1} failed in Guild="${guildId}": ${err.message}`);
+    }
+    if (player) {
+      logger.info(`[alwaysOn] Rejoined 24/7 channel in Guild="${guildId}" after a disconnect`);
+    } else {
+      scheduleAlwaysOnRejoin(client, guildId, attempt + 1);
+    }
+  }, REJOIN_DELAYS[attempt]);
+  timer.unref?.();
+  rejoinTimers.set(guildId, timer);
+  return true;
+}
+
+/**
+ * Rejoins the designated channels of all guilds in 24/7 mode.
+ * @param {import('discord.js').Client} client - Discord client with the Lavalink manager
+ * @returns {Promise<number>} - Number of guilds rejoined
+ */
+export async function rejoinAlwaysOnChannels(client) {
+  let joined = 0;
+  for (const guildId of client.guilds.cache.keys()) {
+    if (!isAlwaysOn(guildId)) continue;
+    try {
+      if (await joinAlwaysOnChannel(client, guildId)) joined++;
+    } catch (err) {
+      logger.error(`[alwaysOn] Failed to rejoin 24/7 channel in Guild="${guildId}":`, err);
+    }
+  }
+  if (joined) logger.info(`[alwaysOn] Rejoined ${joined} 24/7 channel(s)`);
+  return joined;
+}
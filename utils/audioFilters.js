@@ -0,0 +1,125 @@
+// utils/audioFilters.js
+// Audio filter presets applied through the lavalink-client filter manager.
+// Filters live on the Lavalink player, so they stay active across tracks
+// until they are reset or playback is stopped.
+
+import { EQList } from "lavalink-client";
+import logger from "./logger.js";
+
+// Named presets; each one starts from a clean filter state
+export const FILTER_PRESETS = {
+  "bassboost-low":     { label: "Bassboost (Low)",     apply: fm => fm.setEQ(EQList.BassboostLow) },
+  "bassboost":         { label: "Bassboost",           apply: fm => fm.setEQ(EQList.BassboostMedium) },
+  "bassboost-high":    { label: "Bassboost (High)",    apply: fm => fm.setEQ(EQList.BassboostHigh) },
+  "bassboost-extreme": { label: "Bassboost (Extreme)", apply: fm => fm.setEQ(EQList.BassboostEarrape) },
+  "nightcore":         { label: "Nightcore",           apply: fm => fm.toggleNightcore() },
+  "vaporwave":         { label: "Vaporwave",           apply: fm => fm.toggleVaporwave() },
+  "8d":                { label: "8D",                  apply: fm => fm.toggleRotation(0.2) },
+  "karaoke":           { label: "Karaoke",             apply: fm => fm.toggleKaraoke() },
+  "tremolo":           { label: "Tremolo",             apply: fm => fm.toggleTremolo() },
+  "lowpass":           { label: "Lowpass",             apply: fm => fm.toggleLowPass() }
+};
+
+// Presets that use the timescale filter, which the speed command overrides
+const TIMESCALE_PRESETS = ["nightcore", "vaporwave"];
+
+/**
+ * Resolves user input like "bassboost high" or "8D" to a preset key.
+ * @param {string[]} args - Command arguments
+ * @returns {string|null} - Preset key or null if unknown
+ */
+export function resolvePresetName(args) {
+  const name = args.join("-").toLowerCase().replace(/^bassboost-medium$/, "bassboost");
+  return FILTER_PRESETS[name] ? name : null;
+}
+
+/**
+ * Returns the display label of the active preset or custom equalizer.
+ * @param {object} player - Lavalink player
+ * @returns {string|null} - Label or null if no preset is active
+ */
+export function getActiveFilterLabel(player) {
+  if (player.activeFilter === "eq") {
+    return player.eqProfile ? `EQ ${player.eqProfile}` : "Custom EQ";
+  }
+  return FILTER_PRESETS[player.activeFilter]?.label || null;
+}
+
+/**
+ * Removes every filter (including equalizer and speed) from a player.
+ * @param {object} player - Lavalink player
+ */
+export async function clearFilters(player) {
+  const fm = player.filterManager;
+  await fm.resetFilters();
+  if (fm.equalizerBands.some(b => b?.gain)) {
+    await fm.clearEQ();
+  }
+  player.activeFilter = null;
+  player.eqProfile = null;
+  logger.debug(`[audioFilters] Filters cleared in guild ${player.guildId}`);
+}
+
+/**
+ * Applies a named preset, replacing any other active filter.
+ * @param {object} player - Lavalink player
+ * @param {string} name - Key of FILTER_PRESETS
+ * @returns {Promise<string>} - Label of the applied preset
+ */
+export async function applyFilterPreset(player, name) {
+  const preset = FILTER_PRESETS[name];
+  if (!preset) {
+    throw new RangeError(`Unknown filter preset: ${name}`);
+  }
+  await clearFilters(player);
+  await preset.apply(player.filterManager);
+  player.activeFilter = name;
+  logger.debug(`[audioFilters] Applied filter "${name}" in guild ${player.guildId}`);
+  return preset.label;
+}
+
+/**
+ * Sets the playback speed with the timescale filter.
+ * Nightcore and vaporwave are replaced since they use the same filter.
+ * @param {object} player - Lavalink player
+ * @param {number} speed - Playback speed, 1 is normal
+ */
+export async function setPlaybackSpeed(player, speed) {
+  await player.filterManager.setSpeed(speed);
+  if (TIMESCALE_PRESETS.includes(player.activeFilter)) {
+    player.activeFilter = null;
+  }
+}
+
+/**
+ * Returns the player of the message's guild if filters can be sent to it,
+ * otherwise replies with the reason and returns null. Filters need a
+ * connected player on a node with a Lavalink session.
+ * @param {object} client - Discord client
+ * @param {object} message - Command message
+ * @param {string} tag - Log tag of the calling command
+ * @returns {Promise<object|null>} - Lavalink player or null
+ */
+export async function getFilterablePlayer(client, message, tag) {
+  const player = client.lavalink.getPlayer(message.guild.id);
+  if (!player) {
+    await message.reply("No music is currently playing on this server.");
+    return null;
+  }
+  if (!player.connected) {
+    await message.reply("Lavalink is not connected.");
+    return null;
+  }
+  // The session ID arrives after the node connected; try to reconnect once if it is missing
+  if (!player.node?.sessionId) {
+    logger.warn(`[${tag}] Guild="${message.guild.id}" - Session ID missing. Reconnecting.`);
+    await player.connect();
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    if (!player.node?.sessionId) {
+      await message.reply("Lavalink session ID is still undefined.");
+      return null;
+    }
+  }
+  logger.debug(`[${tag}] Guild="${message.guild.id}" | Session ID="${player.node.sessionId}"`);
+  return player;
+}
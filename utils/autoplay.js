@@ -0,0 +1,119 @@
+// utils/autoplay.js
+// Autoplay (radio) mode: when the queue runs out, a related track is picked
+// based on the last played track and playback continues until stopped.
+
+import { getGuildConfig } from "./guildSettings.js";
+import logger from "./logger.js";
+
+// How many identifiers of played tracks are considered when skipping repeats
+const HISTORY_LOOKUP = 50;
+
+/**
+ * Returns whether autoplay is enabled for a player.
+ * @param {object} player - Lavalink player
+ * @returns {boolean}
+ */
+export function isAutoplayEnabled(player) {
+  return player.autoplay === true;
+}
+
+/**
+ * Enables or disables autoplay for a player.
+ * @param {object} player - Lavalink player
+ * @param {boolean} enabled - New state
+ * @returns {boolean} - The new state
+ */
+export function setAutoplay(player, enabled) {
+  player.autoplay = !!enabled;
+  logger.debug(`[autoplay] Autoplay ${player.autoplay ? "enabled" : "disabled"} in guild ${player.guildId}`);
+  return player.autoplay;
+}
+
+/**
+ * Builds the lookups used to find related tracks, most specific first.
+ * YouTube tracks get their mix (radio) playlist, everything else falls back
+ * to a search for the author and title on the configured platform.
+ * @param {object} track - Last played Lavalink track
+ * @param {string} platform - Search platform, e.g. "ytmsearch"
+ * @returns {object[]} - Search queries for player.search
+ */
+export function buildRelatedQueries(track, platform) {
+  const { identifier, sourceName, author, title } = track.info;
+  const queries = [];
+
+  if (sourceName === "youtube" && identifier) {
+    const host = platform === "ytmsearch" ? "music.youtube.com" : "www.youtube.com";
+    queries.push({ query: `https://${host}/watch?v=${identifier}&list=RD${identifier}` });
+  }
+  if (author) {
+    queries.push({ query: `${author} ${title}`, source: platform });
+    queries.push({ query: author, source: platform });
+  }
+  return queries;
+}
+
+/**
+ * Picks the first candidate that was not played recently and is a regular track.
+ * @param {object[]} candidates - Tracks from a search result
+ * @param {object} player - Lavalink player
+ * @param {object} lastTrack - Last played track
+ * @returns {object|null} - The chosen track
+ */
+export function pickRelatedTrack(candidates, player, lastTrack) {
+  const recent = [lastTrack, ...(player.queue.previous || []).slice(0, HISTORY_LOOKUP)].filter(Boolean);
+  const played = new Set(recent.map(t => t.info.identifier));
+  const playedTitles = new Set(recent.map(t => t.info.title.toLowerCase()));
+
+  return candidates.find(t =>
+    t?.info &&
+    !t.info.isStream &&
+    t.info.duration >= 30_000 &&
+    !played.has(t.info.identifier) &&
+    !playedTitles.has(t.info.title.toLowerCase())
+  ) || null;
+}
+
+/**
+ * Searches for a track related to the last played one and adds it to the queue.
+ * @param {object} player - Lavalink player
+ * @param {object} lastTrack - The track to find a related one for
+ * @param {object} requester - Requester stored on the autoplayed track
+ * @returns {Promise<object|null>} - The queued track, or null if none was found
+ */
+export async function queueRelatedTrack(player, lastTrack, requester) {
+  if (!lastTrack?.info) return null;
+
+  const platform = getGuildConfig(player.guildId).defaultSearchPlatform || "ytsearch";
+  for (const query of buildRelatedQueries(lastTrack, platform)) {
+    let res;
+    try {
+      res = await player.search(query, requester);
+    } catch (err) {
+      logger.warn(`[autoplay] Lookup "${query.query}" failed in guild ${player.guildId}: ${err.message}`);
+      continue;
+    }
+
+    const next = pickRelatedTrack(res?.tracks || [], player, lastTrack);
+    if (!next) continue;
+
+    await player.queue.add(next);
+    logger.debug(`[autoplay] Queued "${next.info.title}" after "${lastTrack.info.title}" in guild ${player.guildId}`);
+    return next;
+  }
+
+  logger.info(`[autoplay] No related track found for "${lastTrack.info.title}" in guild ${player.guildId}`);
+  return null;
+}
+
+/**
+ * Searches for a track related to the last played one and starts it.
+ * @param {object} player - Lavalink player with an empty queue
+ * @param {object} lastTrack - The track that just finished
+ * @param {object} requester - Requester stored on the autoplayed track
+ * @returns {Promise<boolean>} - True if a track was started
+ */
+export async function playRelatedTrack(player, lastTrack, requester) {
+  if (!await queueRelatedTrack(player, lastTrack, requester)) return false;
+  await player.play();
+  return true;
+}
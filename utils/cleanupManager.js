@@ -3,6 +3,7 @@
 
 import logger from "./logger.js";
 import { resetPlayerUIOptimized } from "./nowPlayingManager.js";
+import { isAlwaysOn } from "./alwaysOn.js";
 
 class CleanupManager {
   constructor(client) {
@@ -80,6 +81,9 @@ class CleanupManager {
         continue;
       }
 
+      // 24/7 guilds keep their player even while it is out of the channel
+      if (isAlwaysOn(guildId)) continue;
+
       // Check if bot is in a voice channel
       const voiceChannel = guild.channels.cache.get(player.voiceChannelId);
       if (!voiceChannel || !voiceChannel.members.has(this.client.user.id)) {
@@ -2,6 +2,9 @@
 // Central emoji management with fallback to text labels
 
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
+import { getGuildConfig } from "./guildSettings.js";
+import { getLoopMode, formatLoopMode } from "./loopMode.js";
+import { isAutoplayEnabled } from "./autoplay.js";
 
 // Text fallback labels (no emojis)
 const textLabels = {
@@ -10,13 +13,17 @@ const textLabels = {
   skip: "▶|",
   shuffle: "Shuffle",
   stop: "⏹",
+  loop: "Loop",
+  autoplay: "Autoplay",
+  volumeDown: "Vol −",
+  volumeUp: "Vol +",
   yt: "YT",
   ytm: "YTM"
 };
 
 /**
  * Gets an emoji object for Discord.js buttons
- * @param {string} emojiName - Name of the emoji (previous, playpause, skip, shuffle, stop, yt, ytm)
+ * @param {string} emojiName - Name of the emoji (previous, playpause, skip, shuffle, stop, loop, autoplay, volumeDown, volumeUp, yt, ytm)
  * @param {object} config - Bot configuration object
  * @returns {object|string} - Discord.js emoji object or text string
  */
@@ -39,10 +46,10 @@ export function getEmoji(emojiName, config = global.config) {
 /**
  * Creates a button row with appropriate emojis/labels
  * @param {object} player - Lavalink player instance
- * @param {object} config - Bot configuration object
+ * @param {object} config - Bot configuration object (defaults to the player's guild config)
  * @returns {ActionRowBuilder} - Discord.js button row
  */
-export function createButtonRowWithEmojis(player, config = global.config) {
+export function createButtonRowWithEmojis(player, config = getGuildConfig(player.guildId)) {
   const prevDisabled = !(player.queue.previous && player.queue.previous.length);
   const skipDisabled = !(player.queue.tracks && player.queue.tracks.length);
   
@@ -118,6 +125,63 @@ export function createButtonRowWithEmojis(player, config = global.config) {
   return new ActionRowBuilder().addComponents(buttons);
 }
 
+/**
+ * Creates the second button row with playback mode toggles (loop, autoplay)
+ * and volume down/up buttons
+ * @param {object} player - Lavalink player instance
+ * @param {object} config - Bot configuration object (defaults to the player's guild config)
+ * @returns {ActionRowBuilder} - Discord.js button row
+ */
+export function createModeRowWithEmojis(player, config = getGuildConfig(player.guildId)) {
+  const loopMode = getLoopMode(player);
+
+  // Loop button, highlighted while a loop mode is active
+  const loopButton = new ButtonBuilder()
+    .setCustomId("loop")
+    .setStyle(loopMode === "off" ? ButtonStyle.Secondary : ButtonStyle.Success);
+
+  const loopEmoji = getEmoji("loop", config);
+  if (typeof loopEmoji === 'object') {
+    loopButton.setEmoji(loopEmoji).setLabel(formatLoopMode(loopMode));
+  } else {
+    loopButton.setLabel(`${loopEmoji}: ${formatLoopMode(loopMode)}`);
+  }
+
+  // Autoplay button, highlighted while autoplay is enabled
+  const autoplayButton = new ButtonBuilder()
+    .setCustomId("autoplay")
+    .setStyle(isAutoplayEnabled(player) ? ButtonStyle.Success : ButtonStyle.Secondary);
+
+  const autoplayEmoji = getEmoji("autoplay", config);
+  if (typeof autoplayEmoji === 'object') {
+    autoplayButton.setEmoji(autoplayEmoji);
+  } else {
+    autoplayButton.setLabel(autoplayEmoji);
+  }
+
+  // Volume buttons step by the configured volumeStep
+  const volumeButtons = ["volumeDown", "volumeUp"].map(name => {
+    const button = new ButtonBuilder().setCustomId(name).setStyle(ButtonStyle.Secondary);
+    const emoji = getEmoji(name, config);
+    return typeof emoji === 'object' ? button.setEmoji(emoji) : button.setLabel(emoji);
+  });
+
+  return new ActionRowBuilder().addComponents([loopButton, autoplayButton, ...volumeButtons]);
+}
+
+/**
+ * Creates all button rows of the now playing message
+ * @param {object} player - Lavalink player instance
+ * @param {object} config - Bot configuration object (defaults to the player's guild config)
+ * @returns {ActionRowBuilder[]} - Discord.js button rows
+ */
+export function createNowPlayingComponents(player, config = getGuildConfig(player.guildId)) {
+  return [
+    createButtonRowWithEmojis(player, config),
+    createModeRowWithEmojis(player, config)
+  ];
+}
+
 /**
  * Gets display emoji for text (used in setconfig, etc.)
  * @param {string} emojiName - Name of the emoji
@@ -0,0 +1,118 @@
+// utils/emptyChannel.js
+// Reacts to listeners leaving or joining the bot's voice channel. When the last
+// human leaves, playback is paused and the bot leaves after a grace period
+// (emptyChannelGracePeriod); if someone rejoins in time, playback resumes.
+// Guilds in 24/7 mode are left alone.
+
+import { getGuildConfig } from "./guildSettings.js";
+import { performStop } from "./playerControls.js";
+import { isAlwaysOn } from "./alwaysOn.js";
+import logger from "./logger.js";
+
+const DEFAULT_GRACE_PERIOD = 2 * 60 * 1000;
+
+/**
+ * Counts the non-bot members in the player's voice channel.
+ * @param {object} player - Lavalink player
+ * @param {import('discord.js').Guild} guild - Guild of the player
+ * @returns {number}
+ */
+export function countListeners(player, guild) {
+  const channel = guild.channels.cache.get(player.voiceChannelId);
+  if (!channel?.members) return 0;
+  return [...channel.members.values()].filter(m => !m.user.bot).length;
+}
+
+/**
+ * Cancels a pending leave, e.g. when the player is destroyed.
+ * @param {object} player - Lavalink player
+ */
+export function cancelEmptyChannelLeave(player) {
+  if (player.emptyChannelTimeout) {
+    clearTimeout(player.emptyChannelTimeout);
+    player.emptyChannelTimeout = null;
+  }
+}
+
+// Helper: Posts a notice in the player's text channel
+function notify(client, player, content) {
+  const channel = client.channels.cache.get(player.textChannelId);
+  if (channel) channel.send(content).catch(() => {});
+}
+
+// Helper: Pauses playback because the channel is empty; resumed by onListenerJoined
+async function pauseForEmptyChannel(player) {
+  player._pausedPosition = player.position;
+  await player.pause();
+  player._emptyChannelPaused = true;
+}
+
+/**
+ * Handles a voiceStateUpdate of a member other than the bot.
+ * @param {import('discord.js').Client} client - Discord client with the Lavalink manager
+ * @param {import('discord.js').VoiceState} oldState - State before the update
+ * @param {import('discord.js').VoiceState} newState - State after the update
+ */
+export async function handleListenerChange(client, oldState, newState) {
+  if (newState.member?.user?.bot) return;
+
+  const guild = newState.guild;
+  const player = client.lavalink?.getPlayer(guild.id);
+  if (!player?.voiceChannelId) return;
+
+  const channelId = player.voiceChannelId;
+  if (oldState.channelId !== channelId && newState.channelId !== channelId) return;
+  if (oldState.channelId === newState.channelId) return; // mute/deafen changes
+
+  const gracePeriod = getGuildConfig(guild.id).emptyChannelGracePeriod ?? DEFAULT_GRACE_PERIOD;
+  if (!gracePeriod || isAlwaysOn(guild.id)) return; // 24/7 mode keeps playing to an empty room
+
+  try {
+    if (countListeners(player, guild) > 0) {
+      await onListenerJoined(client, player);
+    } else if (!player.emptyChannelTimeout) {
+      await onChannelEmpty(client, player, gracePeriod);
+    }
+  } catch (err) {
+    logger.error(`[emptyChannel] Error handling voice update in Guild="${guild.id}":`, err);
+  }
+}
+
+// Someone is back: cancel the leave and resume if we paused
+async function onListenerJoined(client, player) {
+  if (!player.emptyChannelTimeout && !player._emptyChannelPaused) return;
+  cancelEmptyChannelLeave(player);
+
+  if (player._emptyChannelPaused) {
+    player._emptyChannelPaused = false;
+    if (player.paused) {
+      await player.resume();
+      player._pausedPosition = undefined;
+      notify(client, player, "Welcome back! Resuming playback.");
+      logger.debug(`[emptyChannel] Resumed playback in Guild="${player.guildId}"`);
+    }
+  }
+}
+
+// Everybody left: pause if playing and leave after the grace period
+async function onChannelEmpty(client, player, gracePeriod) {
+  const minutes = Math.max(1, Math.round(gracePeriod / 60000));
+  if (player.playing && !player.paused && player.queue.current) {
+    await pauseForEmptyChannel(player);
+    notify(client, player, `Everyone left the voice channel, so playback is paused. I'll leave in ${minutes} minute${minutes === 1 ? "" : "s"} unless someone rejoins.`);
+  }
+  logger.debug(`[emptyChannel] Channel empty in Guild="${player.guildId}", leaving in ${gracePeriod}ms`);
+
+  player.emptyChannelTimeout = setTimeout(async () => {
+    player.emptyChannelTimeout = null;
+    player._emptyChannelPaused = false;
+    try {
+      if (player.queue.current) await performStop(player);
+      await player.destroy();
+      notify(client, player, "Left the voice channel because nobody was listening.");
+      logger.debug(`[emptyChannel] Left empty channel in Guild="${player.guildId}"`);
+    } catch (err) {
+      logger.error(`[emptyChannel] Failed to leave empty channel in Guild="${player.guildId}":`, err);
+    }
+  }, gracePeriod);
+}
@@ -0,0 +1,116 @@
+// utils/equalizer.js
+// Custom 15-band equalizer on top of the lavalink-client filter manager,
+// plus named EQ profiles stored per guild in the guild settings.
+
+import { clearFilters } from "./audioFilters.js";
+import { getGuildOverrides, updateGuildSettings } from "./guildSettings.js";
+import logger from "./logger.js";
+
+// Center frequencies of the 15 Lavalink equalizer bands
+export const EQ_BANDS = [
+  "25Hz", "40Hz", "63Hz", "100Hz", "160Hz", "250Hz", "400Hz", "630Hz",
+  "1kHz", "1.6kHz", "2.5kHz", "4kHz", "6.3kHz", "10kHz", "16kHz"
+];
+export const EQ_STEP = 0.05;
+export const MIN_GAIN = -0.25;
+export const MAX_GAIN = 1.0;
+
+const MAX_PROFILES = 25;
+const PROFILE_NAME = /^[\w-]{1,32}$/;
+
+/**
+ * Reads the current gains of all 15 bands from the player.
+ * @param {object} player - Lavalink player
+ * @returns {number[]} - Gain per band, 0 if a band was never set
+ */
+export function getEqualizerGains(player) {
+  const bands = player.filterManager?.equalizerBands || [];
+  return EQ_BANDS.map((_, i) => bands[i]?.gain || 0);
+}
+
+/**
+ * Returns a copy of the gains with one band changed by delta, clamped to the Lavalink range.
+ * @param {number[]} gains - Current gains
+ * @param {number} band - Band index (0-14)
+ * @param {number} delta - Change in gain
+ * @returns {number[]} - New gains
+ */
+export function nudgeBand(gains, band, delta) {
+  const next = [...gains];
+  const value = Math.round((next[band] + delta) * 100) / 100;
+  next[band] = Math.min(MAX_GAIN, Math.max(MIN_GAIN, value));
+  return next;
+}
+
+/**
+ * Renders the gains as a monospace table with one bar per band.
+ * @param {number[]} gains - Gain per band
+ * @param {number} [selected] - Index of the highlighted band
+ * @returns {string} - Code block for an embed description
+ */
+export function formatEqualizer(gains, selected = -1) {
+  const lines = gains.map((gain, i) => {
+    const steps = Math.round(Math.abs(gain) / EQ_STEP);
+    const bar = gain >= 0 ? "█".repeat(steps) : "░".repeat(steps);
+    const value = `${gain >= 0 ? "+" : ""}${gain.toFixed(2)}`;
+    return `${i === selected ? "▶" : " "}${EQ_BANDS[i].padStart(6)} ${value.padStart(5)} ${bar}`;
+  });
+  return "```\n" + lines.join("\n") + "\n```";
+}
+
+/**
+ * Applies a full set of gains as the active filter, replacing any preset.
+ * @param {object} player - Lavalink player
+ * @param {number[]} gains - Gain per band
+ * @param {string|null} [profile] - Name of the loaded profile, if any
+ */
+export async function applyEqualizer(player, gains, profile = null) {
+  if (player.activeFilter !== "eq") {
+    await clearFilters(player);
+  }
+  await player.filterManager.setEQ(gains.map((gain, band) => ({ band, gain })));
+  player.activeFilter = "eq";
+  player.eqProfile = profile;
+  logger.debug(`[equalizer] Applied ${profile ? `profile "${profile}"` : "custom EQ"} in guild ${player.guildId}`);
+}
+
+/**
+ * Returns the saved EQ profiles of a guild.
+ * @param {string} guildId - Discord guild id
+ * @returns {object} - Profile name -> gains
+ */
+export function getEqProfiles(guildId) {
+  return getGuildOverrides(guildId).eqProfiles || {};
+}
+
+/**
+ * Saves gains under a profile name for a guild.
+ * @param {string} guildId - Discord guild id
+ * @param {string} name - Profile name (letters, digits, - and _)
+ * @param {number[]} gains - Gain per band
+ */
+export async function saveEqProfile(guildId, name, gains) {
+  if (!PROFILE_NAME.test(name)) {
+    throw new RangeError("Profile names may only contain letters, digits, - and _ (max 32 characters).");
+  }
+  const profiles = { ...getEqProfiles(guildId) };
+  if (!profiles[name] && Object.keys(profiles).length >= MAX_PROFILES) {
+    throw new RangeError(`A server can store at most ${MAX_PROFILES} EQ profiles.`);
+  }
+  profiles[name] = gains;
+  await updateGuildSettings(guildId, { eqProfiles: profiles });
+}
+
+/**
+ * Deletes a profile of a guild.
+ * @param {string} guildId - Discord guild id
+ * @param {string} name - Profile name
+ * @returns {Promise<boolean>} - False if the profile did not exist
+ */
+export async function deleteEqProfile(guildId, name) {
+  const profiles = { ...getEqProfiles(guildId) };
+  if (!profiles[name]) return false;
+  delete profiles[name];
+  await updateGuildSettings(guildId, { eqProfiles: Object.keys(profiles).length ? profiles : null });
+  return true;
+}
@@ -0,0 +1,91 @@
+// utils/guildSettings.js
+// Per-guild settings layer. Overrides are persisted to config/guild-settings.json,
+// anything a guild has not overridden falls back to the global config.json values.
+
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { readJsonFile, writeJsonFile } from "./jsonStore.js";
+import logger from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const settingsPath = join(__dirname, "..", "config", "guild-settings.json");
+
+// guildId -> { prefix, defaultVolume, defaultSearchPlatform, textChannelId, emojiIds, ... }
+const guildSettings = await readJsonFile(settingsPath, {});
+
+// Serialize writes so concurrent updates never interleave on disk
+let pendingWrite = Promise.resolve();
+
+/**
+ * Returns the effective configuration for a guild: global config merged with
+ * the guild's overrides. Emoji overrides are merged per emoji name.
+ * @param {string} guildId - Discord guild id
+ * @returns {object} - Effective configuration
+ */
+export function getGuildConfig(guildId) {
+  const base = global.config || {};
+  const overrides = guildId ? guildSettings[guildId] : null;
+  if (!overrides) return base;
+
+  return {
+    ...base,
+    ...overrides,
+    emojiIds: { ...(base.emojiIds || {}), ...(overrides.emojiIds || {}) }
+  };
+}
+
+/**
+ * Returns only the values a guild has explicitly overridden.
+ * @param {string} guildId - Discord guild id
+ * @returns {object} - Copy of the guild overrides (empty if none)
+ */
+export function getGuildOverrides(guildId) {
+  return { ...(guildSettings[guildId] || {}) };
+}
+
+/**
+ * Updates guild overrides and persists them. Keys set to undefined or null
+ * are removed, so the guild falls back to the global value again.
+ * @param {string} guildId - Discord guild id
+ * @param {object} patch - Keys to set or remove
+ * @returns {Promise<object>} - The effective configuration after the update
+ */
+export async function updateGuildSettings(guildId, patch) {
+  const current = { ...(guildSettings[guildId] || {}) };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === undefined || value === null) {
+      delete current[key];
+    } else {
+      current[key] = value;
+    }
+  }
+
+  if (Object.keys(current).length) {
+    guildSettings[guildId] = current;
+  } else {
+    delete guildSettings[guildId];
+  }
+
+  await persist();
+  logger.debug(`[guildSettings] Updated settings for guild ${guildId}: ${Object.keys(patch).join(", ")}`);
+  return getGuildConfig(guildId);
+}
+
+/**
+ * Removes all overrides of a guild.
+ * @param {string} guildId - Discord guild id
+ */
+export async function resetGuildSettings(guildId) {
+  delete guildSettings[guildId];
+  await persist();
+  logger.debug(`[guildSettings] Reset settings for guild ${guildId}`);
+}
+
+// Queues a write of the current state; the returned promise rejects if this write fails
+function persist() {
+  const snapshot = JSON.parse(JSON.stringify(guildSettings));
+  const write = pendingWrite.then(() => writeJsonFile(settingsPath, snapshot));
+  pendingWrite = write.catch(err => logger.error("[guildSettings] Failed to save guild settings:", err));
+  return write;
+}
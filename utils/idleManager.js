@@ -0,0 +1,91 @@
+// utils/idleManager.js
+// Inactivity timers of a player: auto-stop after staying paused for
+// pauseTimeout and auto-leave after the queue ended for autoDisconnectDelay.
+// Timers live on the player and are cancelled as soon as playback continues.
+
+import { getGuildConfig } from "./guildSettings.js";
+import logger from "./logger.js";
+
+const DEFAULT_PAUSE_TIMEOUT = 20 * 60 * 1000;
+const DEFAULT_DISCONNECT_DELAY = 5 * 60 * 1000;
+
+// Helper: Configured delay, where 0 disables the timer
+function getDelay(guildId, key, fallback) {
+  const value = getGuildConfig(guildId)[key];
+  return typeof value === "number" ? value : fallback;
+}
+
+/**
+ * Stops playback once the player has been paused for pauseTimeout.
+ * @param {object} player - Lavalink player
+ * @param {() => Promise<void>} stop - Called when the timeout expires and the player is still paused
+ */
+export function schedulePauseStop(player, stop) {
+  cancelPauseStop(player);
+  const delay = getDelay(player.guildId, "pauseTimeout", DEFAULT_PAUSE_TIMEOUT);
+  if (!delay) return;
+
+  player.pauseTimeout = setTimeout(async () => {
+    player.pauseTimeout = null;
+    if (!player.paused) return;
+    logger.debug(`[idleManager] Auto-stopping after ${delay}ms pause in Guild="${player.guildId}"`);
+    try {
+      await stop();
+    } catch (err) {
+      logger.error(`[idleManager] Auto-stop failed in Guild="${player.guildId}":`, err);
+    }
+  }, delay);
+}
+
+/**
+ * Leaves the voice channel once nothing has played for autoDisconnectDelay.
+ * @param {object} player - Lavalink player
+ * @param {() => Promise<void>} disconnect - Called when the delay expires and nothing is playing
+ */
+export function scheduleIdleDisconnect(player, disconnect) {
+  cancelIdleDisconnect(player);
+  const delay = getDelay(player.guildId, "autoDisconnectDelay", DEFAULT_DISCONNECT_DELAY);
+  if (!delay) return;
+
+  player.idleDisconnectTimeout = setTimeout(async () => {
+    player.idleDisconnectTimeout = null;
+    if (player.queue.current || player.playing) return;
+    logger.debug(`[idleManager] Auto-disconnecting after ${delay}ms idle in Guild="${player.guildId}"`);
+    try {
+      await disconnect();
+    } catch (err) {
+      logger.error(`[idleManager] Auto-disconnect failed in Guild="${player.guildId}":`, err);
+    }
+  }, delay);
+}
+
+/**
+ * Cancels a pending auto-stop.
+ * @param {object} player - Lavalink player
+ */
+export function cancelPauseStop(player) {
+  if (player.pauseTimeout) {
+    clearTimeout(player.pauseTimeout);
+    player.pauseTimeout = null;
+  }
+}
+
+/**
+ * Cancels a pending auto-disconnect.
+ * @param {object} player - Lavalink player
+ */
+export function cancelIdleDisconnect(player) {
+  if (player.idleDisconnectTimeout) {
+    clearTimeout(player.idleDisconnectTimeout);
+    player.idleDisconnectTimeout = null;
+  }
+}
+
+/**
+ * Cancels all inactivity timers, e.g. when a track starts or playback resumes.
+ * @param {object} player - Lavalink player
+ */
+export function cancelIdleTimers(player) {
+  cancelPauseStop(player);
+  cancelIdleDisconnect(player);
+}
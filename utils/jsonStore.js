@@ -0,0 +1,35 @@
+// utils/jsonStore.js
+// Small helpers for JSON files the bot keeps next to config.json (settings, sessions, ...)
+
+import fs from "fs/promises";
+import logger from "./logger.js";
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} filePath - Absolute path of the JSON file
+ * @param {any} fallback - Value returned when the file is missing or invalid
+ * @returns {Promise<any>} - Parsed content or the fallback
+ */
+export async function readJsonFile(filePath, fallback) {
+  try {
+    const raw = await fs.readFile(filePath, "utf-8");
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      logger.error(`[jsonStore] Failed to read ${filePath}:`, err);
+    }
+    return fallback;
+  }
+}
+
+/**
+ * Writes data as pretty-printed JSON. The file is written to a temporary path
+ * first and then renamed, so a crash never leaves a half-written file behind.
+ * @param {string} filePath - Absolute path of the JSON file
+ * @param {any} data - Serializable data
+ */
+export async function writeJsonFile(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
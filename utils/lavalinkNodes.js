@@ -0,0 +1,97 @@
+// utils/lavalinkNodes.js
+// Lavalink node list and load-based node selection. Nodes come from the
+// lavalinkNodes array in config.json, or the single lavalinkHost/lavalinkPort node.
+
+// Options shared by every node
+const NODE_DEFAULTS = {
+  retryAmount: 3,                    // OPTIMIZED: Reduced from 5
+  retryDelay: 5_000,                // OPTIMIZED: Reduced from 10s
+  requestTimeout: 15_000,           // OPTIMIZED: Added timeout
+  secure: false
+};
+
+/**
+ * Builds the LavalinkManager node options from the config. Without a
+ * lavalinkNodes array, lavalinkHost/lavalinkPort/lavalinkPassword form the only node.
+ * @param {object} config - Global config
+ * @returns {object[]} - Node options for the LavalinkManager
+ * @throws {Error} - If a node lacks its host, port or password
+ */
+export function getNodeOptions(config) {
+  const nodes = Array.isArray(config.lavalinkNodes) && config.lavalinkNodes.length
+    ? config.lavalinkNodes
+    : [{ id: "optimized-node", host: config.lavalinkHost, port: config.lavalinkPort }];
+
+  return nodes.map((node, index) => {
+    const id = node.id || `node-${index + 1}`;
+    const authorization = node.password ?? config.lavalinkPassword;
+    if (!node.host || !node.port || !authorization) {
+      throw new Error(`Lavalink node "${id}" needs a host, port and password`);
+    }
+    return {
+      ...NODE_DEFAULTS,
+      id,
+      host: node.host,
+      port: node.port,
+      authorization,
+      secure: !!node.secure
+    };
+  });
+}
+
+/**
+ * Load score of a node, lower is better. Uses the same weighting as Lavalink's
+ * own load balancer: playing players, system CPU and missing audio frames.
+ * @param {object} node - Lavalink node
+ * @returns {number}
+ */
+export function getNodePenalty(node) {
+  const stats = node.stats;
+  if (!stats) return 0;
+
+  const cpuPenalty = Math.pow(1.05, 100 * (stats.cpu?.systemLoad || 0)) * 10 - 10;
+  let framePenalty = 0;
+  if (stats.frameStats) {
+    const deficit = Math.max(0, stats.frameStats.deficit || 0);
+    const nulled = Math.max(0, stats.frameStats.nulled || 0);
+    framePenalty += Math.pow(1.03, 500 * (deficit / 3000)) * 600 - 600;
+    framePenalty += (Math.pow(1.03, 500 * (nulled / 3000)) * 300 - 300) * 2;
+  }
+  return (stats.playingPlayers || 0) + cpuPenalty + framePenalty;
+}
+
+/**
+ * Returns the connected nodes that can take players, least loaded first.
+ * @param {object} lavalink - LavalinkManager
+ * @param {string} [excludeId] - Node to leave out, e.g. the one that failed
+ * @returns {object[]}
+ */
+export function getHealthyNodes(lavalink, excludeId = null) {
+  return [...lavalink.nodeManager.nodes.values()]
+    .filter(node => node.connected && node.sessionId && node.id !== excludeId)
+    .sort((a, b) => getNodePenalty(a) - getNodePenalty(b));
+}
+
+/**
+ * Picks the node for a new or migrating player.
+ * @param {object} lavalink - LavalinkManager
+ * @param {string} [excludeId] - Node to leave out
+ * @returns {object|undefined} - Least loaded healthy node, undefined if none is available
+ */
+export function pickNode(lavalink, excludeId = null) {
+  return getHealthyNodes(lavalink, excludeId)[0];
+}
+
+/**
+ * Counts the players of each node.
+ * @param {object} lavalink - LavalinkManager
+ * @returns {Map<string, number>} - Node id -> number of players
+ */
+export function countPlayersByNode(lavalink) {
+  const counts = new Map();
+  for (const player of lavalink.players.values()) {
+    const id = player.node?.id;
+    if (id) counts.set(id, (counts.get(id) || 0) + 1);
+  }
+  return counts;
+}
@@ -0,0 +1,294 @@
+// utils/linkResolver.js
+// Resolves Spotify, Apple Music and Deezer track, album and playlist links.
+// The metadata of every entry comes from the LavaSrc plugin when the node has
+// the source, otherwise from a resolver registered for the service; each entry
+// is then matched to a YouTube Music track of about the same duration.
+
+import { performReliableSearch, searchInBatches } from "./searchService.js";
+import logger from "./logger.js";
+
+export const SERVICE_NAMES = {
+  spotify: "Spotify",
+  applemusic: "Apple Music",
+  deezer: "Deezer"
+};
+
+// A match may be this far off the original duration (at least MIN_TOLERANCE)
+const DURATION_TOLERANCE = 0.05;
+const MIN_TOLERANCE = 5000;
+
+const LINK_PATTERNS = [
+  {
+    service: "spotify",
+    pattern: /^https?:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?(track|album|playlist)\/([A-Za-z0-9]+)/i,
+    parse: m => ({ type: m[1].toLowerCase(), id: m[2] })
+  },
+  {
+    service: "applemusic",
+    pattern: /^https?:\/\/music\.apple\.com\/([a-z]{2})\/(album|playlist|song)\/(?:[^/?#]+\/)?([^/?#]+)(?:\?(?:[^#]*&)?i=(\d+))?/i,
+    // An album link with ?i= points at one of its songs
+    parse: m => ({
+      type: m[4] || m[2] === "song" ? "track" : m[2].toLowerCase(),
+      id: m[4] || m[3],
+      country: m[1].toLowerCase()
+    })
+  },
+  {
+    service: "deezer",
+    pattern: /^https?:\/\/(?:www\.)?deezer\.com\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?(track|album|playlist)\/(\d+)/i,
+    parse: m => ({ type: m[1].toLowerCase(), id: m[2] })
+  }
+];
+
+// Hosts of the services, to recognize links parseMusicLink does not support
+const SERVICE_HOSTS = {
+  spotify: /(^|\.)spotify\.com$/i,
+  applemusic: /^music\.apple\.com$/i,
+  deezer: /(^|\.)deezer\.com$/i
+};
+
+// service -> async (link) => ({ name, entries: [{ title, author, duration }] })
+const resolvers = new Map();
+
+/**
+ * Recognizes a Spotify, Apple Music or Deezer link.
+ * @param {string} url - Link given to a command
+ * @returns {{service: string, type: "track"|"album"|"playlist", id: string, country?: string, url: string}|null}
+ */
+export function parseMusicLink(url) {
+  for (const { service, pattern, parse } of LINK_PATTERNS) {
+    const match = pattern.exec(url);
+    if (match) return { service, ...parse(match), url };
+  }
+  return null;
+}
+
+/**
+ * Returns the music service a link belongs to, whatever the kind of link.
+ * @param {string} url - Link given to a command
+ * @returns {string|null} - "spotify", "applemusic", "deezer" or null
+ */
+export function getLinkService(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+  return Object.keys(SERVICE_HOSTS).find(service => SERVICE_HOSTS[service].test(host)) || null;
+}
+
+/**
+ * Registers the resolver used for a service when the node has no LavaSrc
+ * source for it. Replaces a previously registered resolver.
+ * @param {string} service - "spotify", "applemusic" or "deezer"
+ * @param {(link: object) => Promise<{name: string, entries: object[]}>} resolver - Returns the entries of a parsed link
+ */
+export function registerLinkResolver(service, resolver) {
+  resolvers.set(service, resolver);
+}
+
+// Helper: Lowercase words without brackets, "feat." parts and punctuation
+function words(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/\(.*?\)|\[.*?\]/g, " ")
+    .replace(/\b(feat|ft)\..*$/, " ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .split(" ")
+    .filter(Boolean);
+}
+
+// Helper: Share of the entry's title words found in the candidate title
+function titleSimilarity(a, b) {
+  const wanted = words(a);
+  if (!wanted.length) return 0;
+  const found = new Set(words(b));
+  return wanted.filter(w => found.has(w)).length / wanted.length;
+}
+
+/**
+ * Picks the candidate that best matches an entry. Candidates whose duration
+ * differs too much are never picked; among the rest title and artist decide.
+ * @param {{title: string, author: string, duration: number}} entry - Track from the link
+ * @param {object[]} candidates - Lavalink tracks
+ * @returns {object|null} - Best candidate, or null if none is close enough
+ */
+export function pickBestMatch(entry, candidates) {
+  const tolerance = Math.max(MIN_TOLERANCE, (entry.duration || 0) * DURATION_TOLERANCE);
+  // "A, B & C" from LavaSrc: any one of the artists on the candidate counts
+  const artists = (entry.author || "")
+    .split(/,|&|\bfeat\.|\bft\./i)
+    .map(artist => words(artist).join(" "))
+    .filter(Boolean);
+  let best = null;
+  let bestScore = -Infinity;
+
+  for (const track of candidates) {
+    if (!track?.info || track.info.isStream) continue;
+    const diff = entry.duration ? Math.abs((track.info.duration || 0) - entry.duration) : 0;
+    if (diff > tolerance) continue;
+
+    const candidateText = words(`${track.info.author} ${track.info.title}`).join(" ");
+    const score = titleSimilarity(entry.title, track.info.title) * 10
+      + (artists.some(artist => candidateText.includes(artist)) ? 5 : 0)
+      - diff / 1000;
+    if (score > bestScore) {
+      best = track;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Helper: Entries from a LavaSrc search result
+function entriesFromLavaSrc(res) {
+  return {
+    name: res.playlist?.name || res.tracks[0]?.info.title || "",
+    entries: res.tracks.map(t => ({ title: t.info.title, author: t.info.author, duration: t.info.duration }))
+  };
+}
+
+// Helper: Reads the entries of a link through LavaSrc or a registered resolver
+async function loadEntries(player, link, requester) {
+  if (player.node?.info?.sourceManagers?.includes(link.service)) {
+    const res = await player.search({ query: link.url }, requester);
+    if (!res?.tracks?.length) return { name: "", entries: [] };
+    return entriesFromLavaSrc(res);
+  }
+
+  const resolver = resolvers.get(link.service);
+  if (!resolver) {
+    throw new RangeError(`${SERVICE_NAMES[link.service]} links need the LavaSrc plugin on the Lavalink server.`);
+  }
+  return resolver(link);
+}
+
+/**
+ * Resolves a music service link to YouTube Music tracks.
+ * @param {object} player - Lavalink player used for searching
+ * @param {object} link - Result of parseMusicLink
+ * @param {object} requester - User the tracks are requested by
+ * @param {object} [options]
+ * @param {(searched: number, total: number) => void} [options.onProgress] - Called after every batch of searches
+ * @returns {Promise<{res: object, unmatched: object[]}>} - A search result for processSearchResults and the entries without a match
+ * @throws {RangeError} - If the service cannot be resolved
+ */
+export async function resolveMusicLink(player, link, requester, { onProgress } = {}) {
+  const { name, entries } = await loadEntries(player, link, requester);
+  const limit = global.config?.maxPlaylistSize || 50;
+  const wanted = entries.slice(0, limit);
+
+  // A few searches at a time; whole playlists still take a while, so the
+  // play command runs link requests outside the command timeout
+  let searched = 0;
+  const results = await searchInBatches(wanted, entry => {
+    const query = [entry.author, entry.title].filter(Boolean).join(" ");
+    return performReliableSearch(player, { query, mode: "ytmsearch", requester });
+  }, {
+    onBatch: batch => {
+      searched += batch.length;
+      onProgress?.(searched, wanted.length);
+    }
+  });
+
+  const tracks = [];
+  const unmatched = [];
+  wanted.forEach((entry, i) => {
+    const match = pickBestMatch(entry, results[i]?.tracks || []);
+    if (match) tracks.push(match);
+    else unmatched.push(entry);
+  });
+  logger.debug(`[linkResolver] ${link.service} ${link.type} "${name}": ${tracks.length}/${wanted.length} matched`);
+
+  return {
+    res: {
+      loadType: link.type === "track" ? "track" : "playlist",
+      playlist: { name: name || SERVICE_NAMES[link.service] },
+      tracks
+    },
+    unmatched
+  };
+}
+
+/**
+ * Formats the entries without a match for a reply.
+ * @param {object[]} unmatched - Entries from resolveMusicLink
+ * @param {number} [max=5] - Entries to list by name
+ * @returns {string}
+ */
+export function formatUnmatched(unmatched, max = 5) {
+  if (!unmatched.length) return "";
+  const listed = unmatched.slice(0, max).map(e => `${e.author ? `${e.author} - ` : ""}${e.title}`);
+  const more = unmatched.length > max ? `, and ${unmatched.length - max} more` : "";
+  return `No match found for ${unmatched.length} track${unmatched.length === 1 ? "" : "s"}: ${listed.join(", ")}${more}`;
+}
+
+// -------------------- Built-in resolvers --------------------
+
+// Helper: GET a JSON API
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  if (!response.ok) throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+  return response.json();
+}
+
+// Deezer's public API needs no credentials
+registerLinkResolver("deezer", async link => {
+  const data = await fetchJson(`https://api.deezer.com/${link.type}/${link.id}`);
+  if (data.error) throw new RangeError(`Deezer: ${data.error.message || "not found"}`);
+
+  const toEntry = t => ({ title: t.title, author: t.artist?.name, duration: (t.duration || 0) * 1000 });
+  if (link.type === "track") return { name: data.title, entries: [toEntry(data)] };
+  return { name: data.title, entries: (data.tracks?.data || []).map(toEntry) };
+});
+
+// Apple Music songs and albums through the iTunes lookup API; playlists need LavaSrc
+registerLinkResolver("applemusic", async link => {
+  if (link.type === "playlist") {
+    throw new RangeError("Apple Music playlists need the LavaSrc plugin on the Lavalink server.");
+  }
+  const data = await fetchJson(
+    `https://itunes.apple.com/lookup?id=${encodeURIComponent(link.id)}&entity=song&country=${link.country || "us"}`
+  );
+  const songs = (data.results || []).filter(r => r.wrapperType === "track");
+  const collection = (data.results || []).find(r => r.wrapperType === "collection");
+  return {
+    name: collection?.collectionName || songs[0]?.trackName || "",
+    entries: songs.map(s => ({ title: s.trackName, author: s.artistName, duration: s.trackTimeMillis || 0 }))
+  };
+});
+
+// Spotify's Web API with the client credentials from config.json
+let spotifyToken = null;
+
+async function getSpotifyToken() {
+  if (spotifyToken && spotifyToken.expiresAt > Date.now()) return spotifyToken.value;
+
+  const { spotifyClientId, spotifyClientSecret } = global.config || {};
+  if (!spotifyClientId || !spotifyClientSecret) {
+    throw new RangeError("Spotify links need the LavaSrc plugin on the Lavalink server, or spotifyClientId and spotifyClientSecret in config.json.");
+  }
+  const data = await fetchJson("https://accounts.spotify.com/api/token", {
+    method: "POST",
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${spotifyClientId}:${spotifyClientSecret}`).toString("base64")}`,
+      "Content-Type": "application/x-www-form-urlencoded"
+    },
+    body: "grant_type=client_credentials"
+  });
+  spotifyToken = { value: data.access_token, expiresAt: Date.now() + (data.expires_in - 60) * 1000 };
+  return spotifyToken.value;
+}
+
+registerLinkResolver("spotify", async link => {
+  const headers = { Authorization: `Bearer ${await getSpotifyToken()}` };
+  const data = await fetchJson(`https://api.spotify.com/v1/${link.type}s/${link.id}`, { headers });
+
+  // Only the main artist: YouTube Music channels rarely list every featured artist
+  const toEntry = t => ({ title: t.name, author: t.artists?.[0]?.name, duration: t.duration_ms || 0 });
+  if (link.type === "track") return { name: data.name, entries: [toEntry(data)] };
+  const items = data.tracks?.items || [];
+  const tracks = link.type === "playlist" ? items.map(i => i.track).filter(Boolean) : items;
+  return { name: data.name, entries: tracks.map(toEntry) };
+});
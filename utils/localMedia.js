@@ -0,0 +1,123 @@
+// utils/localMedia.js
+// Audio files that do not come from a search: uploads played through
+// Lavalink's HTTP source, and files in the admin-configured localMediaDir
+// played through its local source. The directory must be readable by the
+// bot and by Lavalink under the same path.
+
+import fs from "fs/promises";
+import { join, resolve, relative, basename, extname, sep } from "path";
+import logger from "./logger.js";
+
+export const AUDIO_EXTENSIONS = ["mp3", "ogg", "flac", "wav"];
+
+// Upper bound for a directory scan, so a wrong localMediaDir cannot stall the bot
+const MAX_FILES = 5000;
+
+/**
+ * Returns whether a file name has a supported audio extension.
+ * @param {string} name - File name or path
+ * @returns {boolean}
+ */
+export function isAudioFile(name) {
+  return AUDIO_EXTENSIONS.includes(extname(name || "").slice(1).toLowerCase());
+}
+
+/**
+ * Returns the first audio attachment of a message.
+ * @param {object} message - Message (or slash adapter) with attachments
+ * @returns {object|null} - Discord attachment
+ */
+export function getAudioAttachment(message) {
+  return message.attachments?.find(attachment => isAudioFile(attachment.name)) || null;
+}
+
+// Helper: HTTP and local files carry no title, so use the file name instead
+function nameTracks(res, fileName) {
+  const title = basename(fileName, extname(fileName));
+  for (const track of res?.tracks || []) {
+    if (!track.info.title || track.info.title === "Unknown title") track.info.title = title;
+  }
+  return res;
+}
+
+/**
+ * Loads an uploaded audio file. Attachment URLs expire, so they are never cached.
+ * @param {object} player - Lavalink player
+ * @param {object} attachment - Discord attachment
+ * @param {object} requester - User the track is requested by
+ * @returns {Promise<object>} - Lavalink search result
+ */
+export async function loadAttachmentTrack(player, attachment, requester) {
+  const res = await player.search({ query: attachment.url }, requester);
+  return nameTracks(res, attachment.name);
+}
+
+/**
+ * Returns the configured local media directory.
+ * @returns {string|null} - Absolute path, null if none is configured
+ */
+export function getLocalMediaDir() {
+  const dir = global.config?.localMediaDir;
+  return dir ? resolve(dir) : null;
+}
+
+/**
+ * Lists the audio files below a directory.
+ * @param {string} dir - Absolute directory path
+ * @returns {Promise<string[]>} - Paths relative to dir, sorted
+ */
+export async function listLocalFiles(dir) {
+  const files = [];
+  const pending = [dir];
+  while (pending.length && files.length < MAX_FILES) {
+    const current = pending.pop();
+    let entries;
+    try {
+      entries = await fs.readdir(current, { withFileTypes: true });
+    } catch (err) {
+      logger.warn(`[localMedia] Cannot read ${current}: ${err.message}`);
+      continue;
+    }
+    for (const entry of entries) {
+      const path = join(current, entry.name);
+      if (entry.isDirectory()) pending.push(path);
+      else if (entry.isFile() && isAudioFile(entry.name)) files.push(relative(dir, path));
+    }
+  }
+  return files.slice(0, MAX_FILES).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Searches the local media directory by file name. Every word of the query
+ * has to appear in the file's path; an empty query lists all files.
+ * @param {string} query - Search words
+ * @param {number} [limit=10] - Max results
+ * @returns {Promise<{name: string, path: string}[]>} - Relative name and absolute path
+ * @throws {RangeError} - If no localMediaDir is configured
+ */
+export async function searchLocalFiles(query, limit = 10) {
+  const dir = getLocalMediaDir();
+  if (!dir) throw new RangeError("No local media directory is configured. Set localMediaDir in config.json.");
+
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const files = await listLocalFiles(dir);
+  return files
+    .filter(name => {
+      const haystack = name.toLowerCase().split(sep).join(" ");
+      return words.every(word => haystack.includes(word));
+    })
+    .slice(0, limit)
+    .map(name => ({ name, path: join(dir, name) }));
+}
+
+/**
+ * Loads a local file through Lavalink's local source.
+ * @param {object} player - Lavalink player
+ * @param {{name: string, path: string}} file - Result of searchLocalFiles
+ * @param {object} requester - User the track is requested by
+ * @returns {Promise<object>} - Lavalink search result
+ */
+export async function loadLocalTrack(player, file, requester) {
+  const res = await player.search({ query: file.path, source: "local" }, requester);
+  return nameTracks(res, file.name);
+}
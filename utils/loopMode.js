@@ -0,0 +1,101 @@
+// utils/loopMode.js
+// Loop modes for a player: "off", "track" (repeat the current track) and
+// "queue" (start over with the played tracks once the queue ends).
+// Queue loop keeps its own list of the looped tracks, because the player's
+// history is capped at maxPreviousTracks.
+
+import logger from "./logger.js";
+
+export const LOOP_MODES = ["off", "track", "queue"];
+
+// Minimum time between two queue restarts, protects against looping a queue that only fails
+const MIN_RESTART_INTERVAL = 5_000;
+
+/**
+ * Returns the loop mode of a player.
+ * @param {object} player - Lavalink player
+ * @returns {"off"|"track"|"queue"} - Current loop mode
+ */
+export function getLoopMode(player) {
+  return player.loopMode || "off";
+}
+
+/**
+ * Sets the loop mode. Track repeat is handled by Lavalink's repeat mode,
+ * queue repeat by restartQueueFromHistory on queue end.
+ * @param {object} player - Lavalink player
+ * @param {"off"|"track"|"queue"} mode - New loop mode
+ * @returns {Promise<string>} - The mode that was set
+ */
+export async function setLoopMode(player, mode) {
+  if (!LOOP_MODES.includes(mode)) {
+    throw new RangeError(`Invalid loop mode: ${mode}`);
+  }
+  player.loopMode = mode;
+  // Seed with what has played so far; later tracks are added by recordLoopTrack
+  player.loopTracks = mode === "queue"
+    ? [...(player.queue.previous || []).slice().reverse(), player.queue.current].filter(Boolean)
+    : [];
+  await player.setRepeatMode(mode === "track" ? "track" : "off");
+  logger.debug(`[loopMode] Loop mode set to ${mode} in guild ${player.guildId}`);
+  return mode;
+}
+
+/**
+ * Switches to the next loop mode: off → track → queue → off.
+ * @param {object} player - Lavalink player
+ * @returns {Promise<string>} - The new mode
+ */
+export async function cycleLoopMode(player) {
+  const index = LOOP_MODES.indexOf(getLoopMode(player));
+  return setLoopMode(player, LOOP_MODES[(index + 1) % LOOP_MODES.length]);
+}
+
+/**
+ * Returns a display label for a loop mode, e.g. "Track".
+ * @param {string} mode - Loop mode
+ * @returns {string} - Capitalized label
+ */
+export function formatLoopMode(mode) {
+  return mode.charAt(0).toUpperCase() + mode.slice(1);
+}
+
+/**
+ * Remembers a started track for queue loop. Called on every track start.
+ * @param {object} player - Lavalink player
+ * @param {object} track - Track that started
+ */
+export function recordLoopTrack(player, track) {
+  if (getLoopMode(player) !== "queue" || !track) return;
+  player.loopTracks ??= [];
+  if (player.loopTracks[player.loopTracks.length - 1] !== track) player.loopTracks.push(track);
+}
+
+/**
+ * Re-feeds the looped tracks into the queue and starts playing it again.
+ * Only used when the loop mode is "queue" and the queue has ended.
+ * @param {object} player - Lavalink player
+ * @returns {Promise<boolean>} - True if playback was restarted
+ */
+export async function restartQueueFromHistory(player) {
+  // player.queue.previous is stored newest first
+  const history = player.loopTracks?.length
+    ? player.loopTracks
+    : (player.queue.previous || []).slice().reverse();
+  if (!history.length) return false;
+
+  const now = Date.now();
+  if (player._lastLoopRestart && now - player._lastLoopRestart < MIN_RESTART_INTERVAL) {
+    logger.warn(`[loopMode] Queue ended again right after a restart in guild ${player.guildId}, not looping`);
+    return false;
+  }
+  player._lastLoopRestart = now;
+
+  player.queue.tracks = history.slice();
+  player.queue.previous = [];
+  // The tracks are recorded again as they start
+  player.loopTracks = [];
+  await player.play();
+  logger.debug(`[loopMode] Restarted queue with ${player.queue.tracks.length + 1} tracks in guild ${player.guildId}`);
+  return true;
+}
@@ -6,6 +6,12 @@ import fs from "fs/promises";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { formatTrackTitle } from "./formatTrack.js";
+import { getGuildConfig } from "./guildSettings.js";
+import { getLoopMode, formatLoopMode } from "./loopMode.js";
+import { isAutoplayEnabled } from "./autoplay.js";
+import { getActiveFilterLabel } from "./audioFilters.js";
+import { getSkipVoteTally } from "./voteSkip.js";
+import { formatRequester } from "./requester.js";
 import logger from "./logger.js";
 
 // Determine the path to the config file
@@ -84,8 +90,12 @@ export function generateNowPlayingEmbed(player) {
   const currentTime = formatTime(currentPosition);
   const totalTime = formatTime(track.info.duration);
 
-  // Build a progress line with current time, progress bar, and total time
-  const progressLine = `\`${currentTime}\`  ${buildProgressBar(currentPosition, track.info.duration, 18)}  \`${totalTime}\``;
+  // Build a progress line with current time, progress bar, and total time;
+  // streams have no end, so they show how long they have been playing instead
+  const progressLine = track.info.isStream
+    ? `🔴 **LIVE**  \`${currentTime}\``
+    : `\`${currentTime}\`  ${buildProgressBar(currentPosition, track.info.duration, 18)}  \`${totalTime}\``;
+  const requester = formatRequester(track);
 
   const displayCount = 10;
   const upcomingCount = player.queue.tracks.length;
@@ -110,14 +120,21 @@ export function generateNowPlayingEmbed(player) {
 
   // Determine the current status of the player
   const status = player.paused ? "Paused" : player.playing ? "Playing" : "Stopped";
-  const prefix = global.config.prefix || ".";
-  const footerText = `${status}  •  Use ${prefix}search <song> for multiple results, ${prefix}play <song> to play directly.`;
+  const loopMode = getLoopMode(player);
+  const loopText = loopMode !== "off" ? `  •  Loop: ${formatLoopMode(loopMode)}` : "";
+  const autoplayText = isAutoplayEnabled(player) ? "  •  Autoplay" : "";
+  const filterLabel = getActiveFilterLabel(player);
+  const filterText = filterLabel ? `  •  Filter: ${filterLabel}` : "";
+  const tally = getSkipVoteTally(player);
+  const voteText = tally ? `  •  Skip votes: ${tally.votes}/${tally.required}` : "";
+  const prefix = getGuildConfig(player.guildId).prefix || ".";
+  const footerText = `${status}${loopText}${autoplayText}${filterText}${voteText}  •  Use ${prefix}search <song> for multiple results, ${prefix}play <song> to play directly.`;
 
   // Build and return the embed
   const embed = new EmbedBuilder()
     .setColor("Green")
     .setTitle(formatTrackTitle(track.info, track.requestedAsUrl || false))
-    .setDescription(progressLine)
+    .setDescription(requester ? `${progressLine}\nRequested by ${requester}` : progressLine)
     .addFields({ name: "Queue", value: queueValue })
     .setFooter({ text: footerText });
 
@@ -130,10 +147,11 @@ export function generateNowPlayingEmbed(player) {
 /**
  * Generates an embed indicating that playback has stopped.
  *
+ * @param {string} [guildId] - Guild whose prefix is shown in the footer.
  * @returns {EmbedBuilder} - The embed for stopped playback.
  */
-export function generateStoppedEmbed() {
-  const prefix = global.config.prefix || ".";
+export function generateStoppedEmbed(guildId) {
+  const prefix = getGuildConfig(guildId).prefix || ".";
   return new EmbedBuilder()
     .setTitle("Playback Stopped")
     .setColor("Red")
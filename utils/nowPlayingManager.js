@@ -14,12 +14,22 @@ import { updateNowPlaying } from "./updateNowPlaying.js";
 import {
   togglePlayPause,
   performSkip,
-  performStop
+  performStop,
+  stepVolume
 } from "./playerControls.js";
+import { cycleLoopMode } from "./loopMode.js";
+import { isAutoplayEnabled, setAutoplay } from "./autoplay.js";
+import {
+  BUTTON_COMMANDS,
+  VOTEABLE_COMMANDS,
+  hasCommandPermission,
+  getPermissionDeniedMessage
+} from "./permissions.js";
+import { needsSkipVote, registerSkipVote } from "./voteSkip.js";
 import logger from "./logger.js";
 import { isDeepStrictEqual as isEqual } from "node:util";
 import { safeEdit, safeDelete } from "./safeDiscord.js";
-import { createButtonRowWithEmojis } from "./emojiUtils.js";
+import { createNowPlayingComponents } from "./emojiUtils.js";
 
 // OPTIMIZATION: Faster UI update intervals
 const MIN_UI_UPDATE_INTERVAL = 2_000;     // 2s instead of 3s for regular updates
@@ -55,7 +65,7 @@ async function ensureNowPlayingMessage(player, channel) {
   try {
     player.nowPlayingMessage = await channel.send({
       embeds:     [embed],
-      components: [createButtonRowWithEmojis(player)]
+      components: createNowPlayingComponents(player)
     });
 
     registerCollectorOptimized(player, channel);
@@ -82,6 +92,16 @@ function registerCollectorOptimized(player, channel) {
 
   collector.on("collect", async interaction => {
     if (!interaction.isButton()) return;
+
+    // Buttons follow the permission of the matching command
+    const commandName = BUTTON_COMMANDS[interaction.customId];
+    if (commandName && !VOTEABLE_COMMANDS.has(commandName) && !hasCommandPermission(interaction.member, commandName)) {
+      await interaction.reply({
+        content: getPermissionDeniedMessage(interaction.guildId, commandName),
+        ephemeral: true
+      }).catch(() => {});
+      return;
+    }
     
     // OPTIMIZATION: Button cooldown to prevent spam
     const userId = interaction.user.id;
@@ -134,6 +154,19 @@ function registerCollectorOptimized(player, channel) {
         case "shuffle":
           await handleShuffleButton(player, interaction);
           break;
+
+        case "loop":
+          await handleLoopButton(player, interaction);
+          break;
+
+        case "autoplay":
+          handleAutoplayButton(player, interaction);
+          break;
+
+        case "volumeDown":
+        case "volumeUp":
+          await handleVolumeButton(player, interaction);
+          break;
       }
     } catch (error) {
       logger.error(`[collector] Error handling ${interaction.customId}:`, error);
@@ -202,7 +235,19 @@ async function handlePlayPauseButton(player, interaction) {
 
 async function handleSkipButton(player, interaction) {
   try {
-    await performSkip(player);
+    if (needsSkipVote(interaction.member)) {
+      const vote = registerSkipVote(player, interaction.member);
+      if (!vote.ok || !vote.passed) {
+        await interaction.followUp({
+          content: vote.ok ? `Skip vote registered (${vote.votes}/${vote.required}).` : vote.reason,
+          ephemeral: true
+        }).catch(() => {});
+        if (vote.ok) sendOrUpdateNowPlayingUI(player, interaction.channel, true);
+        return;
+      }
+    }
+
+    await performSkip(player, interaction.client.user);
     
     // OPTIMIZATION: Slightly delayed UI update for skip (wait for track change)
     setTimeout(() => {
@@ -231,13 +276,39 @@ async function handleShuffleButton(player, interaction) {
   }
 }
 
+async function handleLoopButton(player, interaction) {
+  try {
+    await cycleLoopMode(player);
+
+    // Immediate UI update so the button shows the new mode
+    setTimeout(() => {
+      sendOrUpdateNowPlayingUI(player, interaction.channel, true);
+    }, IMMEDIATE_UPDATE_INTERVAL);
+  } catch (error) {
+    logger.error("[handleLoopButton] Error:", error);
+  }
+}
+
+function handleAutoplayButton(player, interaction) {
+  setAutoplay(player, !isAutoplayEnabled(player));
+
+  setTimeout(() => {
+    sendOrUpdateNowPlayingUI(player, interaction.channel, true);
+  }, IMMEDIATE_UPDATE_INTERVAL);
+}
+
+async function handleVolumeButton(player, interaction) {
+  const volume = await stepVolume(player, interaction.customId === "volumeUp" ? 1 : -1);
+  await interaction.followUp({ content: `Volume set to **${volume}%**.`, ephemeral: true }).catch(() => {});
+}
+
 // OPTIMIZATION: Restore UI with faster response
 async function restoreOriginalUI(player, channel) {
   try {
-    const emb = generateNowPlayingEmbed(player) || generateStoppedEmbed();
-    const row = createButtonRowWithEmojis(player);
+    const emb = generateNowPlayingEmbed(player) || generateStoppedEmbed(player.guildId);
+    const rows = createNowPlayingComponents(player);
     await ensureNowPlayingMessage(player, channel);
-    await safeEdit(player.nowPlayingMessage, { embeds: [emb], components: [row] });
+    await safeEdit(player.nowPlayingMessage, { embeds: [emb], components: rows });
   } catch (error) {
     logger.error("[restoreOriginalUI] Error:", error);
   }
@@ -294,7 +365,7 @@ export async function sendOrUpdateNowPlayingUI(player, channel, fastUpdate = fal
   try {
     await safeEdit(
       msg,
-      { embeds: [embed], components: [createButtonRowWithEmojis(player)] }
+      { embeds: [embed], components: createNowPlayingComponents(player) }
     );
   } catch (err) {
     if (err.code === 10008) {
@@ -364,7 +435,7 @@ export function resetPlayerUIOptimized(player) {
     // Update UI to stopped state
     if (player.nowPlayingMessage) {
       safeEdit(player.nowPlayingMessage, {
-        embeds: [generateStoppedEmbed()],
+        embeds: [generateStoppedEmbed(player.guildId)],
         components: []
       }).catch(() => {});
       player.nowPlayingMessage = null;
@@ -394,7 +465,8 @@ function cleanupUIResources() {
 }
 
 // OPTIMIZATION: Periodic cleanup for memory management
-setInterval(cleanupUIResources, 60000); // Every minute
+// unref: the timer alone must not keep the process (or a test run) alive
+setInterval(cleanupUIResources, 60000).unref(); // Every minute
 
 // Cleanup on shutdown
 process.on('exit', cleanupUIResources);
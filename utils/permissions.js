@@ -0,0 +1,111 @@
+// utils/permissions.js
+// DJ role and per-command permission levels. Commands and Now Playing buttons
+// go through the same checks so a button never allows more than its command.
+
+import { PermissionsBitField } from "discord.js";
+import { getGuildConfig, getGuildOverrides } from "./guildSettings.js";
+
+export const PERMISSION_LEVELS = ["everyone", "dj", "admin"];
+
+// Commands that are restricted unless config.json or the server says otherwise
+export const DEFAULT_COMMAND_PERMISSIONS = {
+  clear: "dj",
+  disconnect: "dj",
+  stop: "dj",
+  volume: "dj",
+  speed: "dj",
+  filter: "dj",
+  eq: "dj",
+  move: "dj",
+  swap: "dj",
+  removedupes: "dj",
+  "247": "admin",
+  nodes: "admin"
+};
+
+// Commands whose denial falls back to a vote instead of an error (see voteSkip.js)
+export const VOTEABLE_COMMANDS = new Set(["skip"]);
+
+// Now Playing button custom ids and the command whose permission they share
+export const BUTTON_COMMANDS = {
+  previous: "previous",
+  playpause: "pause",
+  skip: "skip",
+  shuffle: "shuffle",
+  stop: "stop",
+  confirmStop: "stop",
+  cancelStop: "stop",
+  loop: "loop",
+  autoplay: "autoplay",
+  volumeDown: "volume",
+  volumeUp: "volume"
+};
+
+/**
+ * Returns the effective permission map of a guild: built-in defaults,
+ * then config.json's commandPermissions, then the server's overrides.
+ * @param {string} guildId - Discord guild id
+ * @returns {object} - Command name -> permission level
+ */
+export function getCommandPermissions(guildId) {
+  return {
+    ...DEFAULT_COMMAND_PERMISSIONS,
+    ...(global.config?.commandPermissions || {}),
+    ...(getGuildOverrides(guildId).commandPermissions || {})
+  };
+}
+
+/**
+ * Returns the permission level required for a command.
+ * @param {string} guildId - Discord guild id
+ * @param {string} commandName - Command name (not an alias)
+ * @returns {"everyone"|"dj"|"admin"}
+ */
+export function getRequiredLevel(guildId, commandName) {
+  return getCommandPermissions(guildId)[commandName] || "everyone";
+}
+
+/**
+ * Returns whether a member counts as DJ. Members with Manage Server always do;
+ * without a configured DJ role everybody does.
+ * @param {import('discord.js').GuildMember} member - Guild member
+ * @param {object} [config] - Effective guild config
+ * @returns {boolean}
+ */
+export function isDJ(member, config = getGuildConfig(member.guild.id)) {
+  if (member.permissions?.has(PermissionsBitField.Flags.ManageGuild)) return true;
+  if (!config.djRoleId) return true;
+  return member.roles?.cache?.has(config.djRoleId) || false;
+}
+
+/**
+ * Checks whether a member may use a command (or the button mapped to it).
+ * @param {import('discord.js').GuildMember} member - Guild member
+ * @param {string} commandName - Command name (not an alias)
+ * @returns {boolean}
+ */
+export function hasCommandPermission(member, commandName) {
+  const guildId = member.guild.id;
+  const level = getRequiredLevel(guildId, commandName);
+  if (level === "admin") {
+    return member.permissions?.has(PermissionsBitField.Flags.ManageGuild) || false;
+  }
+  if (level === "dj") {
+    return isDJ(member, getGuildConfig(guildId));
+  }
+  return true;
+}
+
+/**
+ * Builds the reply for a member who lacks the permission for a command.
+ * @param {string} guildId - Discord guild id
+ * @param {string} commandName - Command name (not an alias)
+ * @returns {string} - Message text
+ */
+export function getPermissionDeniedMessage(guildId, commandName) {
+  if (getRequiredLevel(guildId, commandName) === "admin") {
+    return "You need the Manage Server permission to use this.";
+  }
+  const { djRoleId } = getGuildConfig(guildId);
+  return `You need the DJ role${djRoleId ? ` (<@&${djRoleId}>)` : ""} to use this.`;
+}
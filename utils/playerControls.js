@@ -8,6 +8,22 @@
 import { generateStoppedEmbed } from "./nowPlayingEmbed.js";
 import logger from "./logger.js";
 import { safeEdit } from "./safeDiscord.js";  // ← NEW
+import { getGuildConfig } from "./guildSettings.js";
+import { getLoopMode, setLoopMode } from "./loopMode.js";
+import { setAutoplay, isAutoplayEnabled, queueRelatedTrack } from "./autoplay.js";
+import { clearFilters } from "./audioFilters.js";
+import { schedulePauseStop, cancelPauseStop } from "./idleManager.js";
+
+/**
+ * Returns the volume a player should use: the volume explicitly chosen with
+ * the volume command, or the guild's default volume.
+ *
+ * @param {Object} player - The Lavalink player instance.
+ * @returns {number} - Target volume (0-100).
+ */
+export function getTargetVolume(player) {
+  return player.customVolume ?? (getGuildConfig(player.guildId).defaultVolume || 50);
+}
 
 /**
  * Toggles the playback state between play and pause.
@@ -20,39 +36,54 @@ export async function togglePlayPause(player) {
   );
 
   if (player.paused) {
-    // If paused, clear any existing timeout and resume playback
-    if (player.pauseTimeout) {
-      clearTimeout(player.pauseTimeout);
-      player.pauseTimeout = null;
-    }
+    // If paused, clear any pending auto-stop and resume playback
+    cancelPauseStop(player);
     await player.resume();
     player._pausedPosition = undefined;        // reset stored position
   } else {
     // Store current position before pausing
     player._pausedPosition = player.position;
     await player.pause();
-    player.pauseTimeout = setTimeout(async () => {
-      if (player.paused) {
-        logger.debug(
-          `[playerControls] Auto-stopping playback after 20 minutes pause in Guild="${player.guildId}"`
-        );
-        await performStop(player);
-      }
-    }, 20 * 60 * 1000);
+    // Auto-stop if nobody resumes within pauseTimeout
+    schedulePauseStop(player, () => performStop(player));
   }
 }
 
 /**
- * Skips the current track.
+ * Changes the volume by the configured volumeStep.
+ *
+ * @param {Object} player - The Lavalink player instance.
+ * @param {number} direction - 1 to turn the volume up, -1 to turn it down.
+ * @returns {Promise<number>} - The new volume (0-100).
+ */
+export async function stepVolume(player, direction) {
+  const step = getGuildConfig(player.guildId).volumeStep || 5;
+  const volume = Math.min(100, Math.max(0, getTargetVolume(player) + direction * step));
+  await player.setVolume(volume, false);
+  player.customVolume = volume; // Keep this volume for the following tracks
+  logger.debug(`[playerControls] Volume stepped to ${volume} in Guild="${player.guildId}"`);
+  return volume;
+}
+
+/**
+ * Skips the current track. With autoplay enabled, skipping the last track
+ * queues a related one first instead of doing nothing.
  *
  * @param {Object} player - The Lavalink player instance.
+ * @param {Object} [requester] - Requester of an autoplayed track, defaults to the current track's.
+ * @returns {Promise<boolean>} - Whether a track was skipped.
  */
-export async function performSkip(player) {
+export async function performSkip(player, requester) {
   logger.debug(
     `[playerControls] Skipping track for Guild="${player.guildId}"`
   );
-  if (!player.queue.tracks || player.queue.tracks.length === 0) return;
+  if (!player.queue.tracks?.length) {
+    if (!isAutoplayEnabled(player)) return false;
+    const current = player.queue.current;
+    if (!await queueRelatedTrack(player, current, requester || current?.requester)) return false;
+  }
   await player.skip();
+  return true;
 }
 
 /**
@@ -65,6 +96,9 @@ export async function performStop(player) {
     `[playerControls] Stopping playback for Guild="${player.guildId}"`
   );
 
+  // A stopped player has nothing left to auto-stop
+  cancelPauseStop(player);
+
   // Stop playback (optionally clearing the current track)
   await player.stopPlaying(true, false);
 
@@ -74,6 +108,18 @@ export async function performStop(player) {
   player.queue.previous = [];
   player.playing = false;
   player.paused = false;
+  player.customVolume = undefined;
+  if (getLoopMode(player) !== "off") {
+    await setLoopMode(player, "off");
+  }
+  if (player.autoplay) {
+    setAutoplay(player, false);
+  }
+  if (player.activeFilter) {
+    await clearFilters(player).catch(err =>
+      logger.warn(`[playerControls] Failed to reset filters in Guild="${player.guildId}": ${err.message}`)
+    );
+  }
 
   // Stop any UI collectors or intervals
   if (player.nowPlayingCollector) {
@@ -91,11 +137,11 @@ export async function performStop(player) {
     player.nowPlayingInterval = null;
   }
 
-  await player.setVolume(global.config.defaultVolume || 50, false);
+  await player.setVolume(getGuildConfig(player.guildId).defaultVolume || 50, false);
 
   // Update the UI to show the "stopped" state
   if (player.nowPlayingMessage) {
-    const stoppedEmbed = generateStoppedEmbed();
+    const stoppedEmbed = generateStoppedEmbed(player.guildId);
     try {
       // --- only change: use safeEdit instead of raw message.edit -------------
       await safeEdit(player.nowPlayingMessage, {
@@ -0,0 +1,128 @@
+// utils/playerFactory.js
+// Creates or reuses the Lavalink player of a guild and connects it to the
+// caller's voice channel. Used by every command that starts playback.
+
+import { getGuildConfig } from "./guildSettings.js";
+import { getTargetVolume } from "./playerControls.js";
+import { pickNode } from "./lavalinkNodes.js";
+import logger from "./logger.js";
+
+// Enhanced player creation with performance optimizations - VOICE CHANNEL FIX
+export async function getOrCreatePlayer(client, message, userVC) {
+  return getOrCreateGuildPlayer(client, {
+    guild: message.guild,
+    voiceChannel: userVC,
+    textChannelId: message.channel.id
+  });
+}
+
+/**
+ * Creates or reuses the player of a guild without a command message, e.g. for
+ * 24/7 mode. Moves an existing player to the given voice channel.
+ * @param {import('discord.js').Client} client - Discord client with the Lavalink manager
+ * @param {object} target
+ * @param {import('discord.js').Guild} target.guild - Guild of the player
+ * @param {import('discord.js').VoiceBasedChannel} target.voiceChannel - Channel to connect to
+ * @param {string} target.textChannelId - Channel for Now Playing messages
+ * @returns {Promise<object|null>} - The connected player, or null on failure
+ */
+export async function getOrCreateGuildPlayer(client, { guild, voiceChannel, textChannelId }) {
+  try {
+    let player = client.lavalink.getPlayer(guild.id);
+    
+    // FIXED: Better voice channel switching logic
+    if (player && player.voiceChannelId !== voiceChannel.id) {
+      logger.debug(`[getOrCreatePlayer] Voice channel switch: ${player.voiceChannelId} → ${voiceChannel.id}`);
+      
+      // If player is idle, destroy and recreate (safer than switching)
+      if (!player.playing && !player.paused) {
+        await player.destroy();
+        client.lavalink.players.delete(guild.id);
+        await new Promise(r => setTimeout(r, 800)); // LONGER WAIT for cleanup
+        player = null;
+      } else {
+        // If playing, try to switch voice channel
+        try {
+          player.voiceChannelId = voiceChannel.id;
+          await player.connect();
+        } catch (switchError) {
+          logger.warn(`[getOrCreatePlayer] Voice switch failed, recreating player:`, switchError);
+          await player.destroy();
+          client.lavalink.players.delete(guild.id);
+          await new Promise(r => setTimeout(r, 800));
+          player = null;
+        }
+      }
+    }
+
+    // Create new player if needed
+    if (!player) {
+      player = await client.lavalink.createPlayer({
+        guildId: guild.id,
+        voiceChannelId: voiceChannel.id,
+        node: pickNode(client.lavalink)?.id, // least loaded healthy node
+        textChannelId: textChannelId,
+        selfDeaf: true,
+        volume: getGuildConfig(guild.id).defaultVolume || 50,
+        // Additional performance options
+        instaUpdateFiltersFix: true,
+        applyVolumeAsFilter: false
+      });
+      
+      // FIXED: Better connection with retry
+      let connectTimer;
+      const connectTimeout = new Promise((_, reject) => {
+        connectTimer = setTimeout(() => reject(new Error('Connection timeout')), client.config.connectionTimeout || 7000);
+      });
+      
+      try {
+        await Promise.race([player.connect(), connectTimeout]);
+        logger.debug(`[getOrCreatePlayer] Successfully connected to ${voiceChannel.id}`);
+      } catch (connectError) {
+        logger.error(`[getOrCreatePlayer] Connection failed, retrying once:`, connectError);
+        // ONE RETRY
+        await new Promise(r => setTimeout(r, 1000));
+        await player.connect();
+      } finally {
+        clearTimeout(connectTimer);
+      }
+    } else if (!player.connected) {
+      // Reconnect if disconnected
+      await player.connect();
+    }
+
+    // Ensure volume is set optimally
+    const targetVolume = getTargetVolume(player);
+    if (player.volume == null || player.volume !== targetVolume) {
+      await player.setVolume(targetVolume, false);
+    }
+
+    // FIXED: Always update textChannelId to current channel
+    player.textChannelId = textChannelId;
+
+    return player;
+  } catch (error) {
+    logger.error("[getOrCreatePlayer] Error:", error);
+    return null;
+  }
+}
+
+// Pre-warm player for faster start
+export async function preWarmPlayer(player) {
+  try {
+    // Set optimal volume early
+    const targetVolume = getTargetVolume(player);
+    if (player.volume !== targetVolume) {
+      await player.setVolume(targetVolume, false);
+    }
+    
+    // Ensure connection is stable
+    if (!player.connected) {
+      await player.connect();
+    }
+    
+    logger.debug(`[preWarmPlayer] Player pre-warmed for guild ${player.guildId}`);
+  } catch (error) {
+    logger.warn("[preWarmPlayer] Failed to pre-warm player:", error);
+  }
+}
@@ -0,0 +1,153 @@
+// utils/queueEditor.js
+// Editing helpers for the upcoming tracks (player.queue.tracks). Positions are
+// 1-based like the numbers shown by the queue command; the helpers convert to
+// array indices and edit the array in place.
+
+/**
+ * Parses a 1-based queue position.
+ * @param {string|number} value - User input
+ * @param {number} length - Number of upcoming tracks
+ * @returns {number|null} - 0-based index or null if out of range
+ */
+export function parsePosition(value, length) {
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 1 || num > length) return null;
+  return num - 1;
+}
+
+/**
+ * Parses "n" or "a-b" into an inclusive 0-based index range.
+ * @param {string} value - User input
+ * @param {number} length - Number of upcoming tracks
+ * @returns {{start: number, end: number}|null} - Range or null if invalid
+ */
+export function parseRange(value, length) {
+  const match = String(value).trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+  if (!match) return null;
+  let start = parsePosition(match[1], length);
+  let end = match[2] !== undefined ? parsePosition(match[2], length) : start;
+  if (start === null || end === null) return null;
+  if (start > end) [start, end] = [end, start];
+  return { start, end };
+}
+
+/**
+ * Removes an inclusive index range.
+ * @param {object[]} tracks - Upcoming tracks
+ * @param {number} start - First index
+ * @param {number} end - Last index
+ * @returns {object[]} - Removed tracks
+ */
+export function removeRange(tracks, start, end) {
+  return tracks.splice(start, end - start + 1);
+}
+
+/**
+ * Moves a track to another index.
+ * @param {object[]} tracks - Upcoming tracks
+ * @param {number} from - Current index
+ * @param {number} to - Target index
+ * @returns {object} - The moved track
+ */
+export function moveTrack(tracks, from, to) {
+  const [track] = tracks.splice(from, 1);
+  tracks.splice(to, 0, track);
+  return track;
+}
+
+/**
+ * Swaps two tracks.
+ * @param {object[]} tracks - Upcoming tracks
+ * @param {number} a - First index
+ * @param {number} b - Second index
+ */
+export function swapTracks(tracks, a, b) {
+  [tracks[a], tracks[b]] = [tracks[b], tracks[a]];
+}
+
+/**
+ * Removes tracks that appear earlier in the queue or are currently playing.
+ * Tracks are compared by source and identifier.
+ * @param {object[]} tracks - Upcoming tracks
+ * @param {object} [current] - Currently playing track
+ * @returns {number} - Number of removed tracks
+ */
+export function removeDuplicates(tracks, current = null) {
+  const key = t => `${t.info.sourceName}:${t.info.identifier}`;
+  const seen = new Set(current?.info ? [key(current)] : []);
+  const unique = tracks.filter(t => {
+    const k = key(t);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+  const removed = tracks.length - unique.length;
+  tracks.splice(0, tracks.length, ...unique);
+  return removed;
+}
+
+/**
+ * Returns history (oldest first), current track and upcoming tracks as one list,
+ * in the order the queue and playlist views display them.
+ * @param {object} player - Lavalink player
+ * @returns {object[]} - Merged track list
+ */
+export function getMergedQueue(player) {
+  const history = (player.queue.previous || []).slice().reverse();
+  const current = player.queue.current;
+  const upcoming = player.queue.tracks.slice();
+  return [...history, current, ...upcoming];
+}
+
+/**
+ * Plays the track at a merged index. Everything before it becomes history and
+ * everything after it upcoming, so the merged order stays the same.
+ * @param {object} player - Lavalink player
+ * @param {number} index - Index in getMergedQueue(player)
+ * @returns {Promise<object>} - The track that is now playing
+ */
+export async function playMergedIndex(player, index) {
+  const merged = getMergedQueue(player);
+  const track = merged[index];
+  // player.queue.previous is stored in reverse.
+  player.queue.previous = merged.slice(0, index).reverse();
+  player.queue.current = track;
+  player.queue.tracks = merged.slice(index + 1);
+  await player.play({ clientTrack: track });
+  return track;
+}
+
+/**
+ * Moves a track from the history or the upcoming tracks to the start or end
+ * of the upcoming tracks. The current track cannot be moved.
+ * @param {object} player - Lavalink player
+ * @param {object} track - Track object from the queue
+ * @param {"top"|"bottom"} position - Target position
+ * @returns {boolean} - False if the track is not in the history or upcoming tracks
+ */
+export function moveToUpcoming(player, track, position) {
+  if (!removeFromQueue(player, track)) return false;
+  if (position === "top") {
+    player.queue.tracks.unshift(track);
+  } else {
+    player.queue.tracks.push(track);
+  }
+  return true;
+}
+
+/**
+ * Removes a track from the history or the upcoming tracks.
+ * @param {object} player - Lavalink player
+ * @param {object} track - Track object from the queue
+ * @returns {boolean} - False if the track is not in the history or upcoming tracks
+ */
+export function removeFromQueue(player, track) {
+  for (const list of [player.queue.tracks, player.queue.previous || []]) {
+    const index = list.indexOf(track);
+    if (index !== -1) {
+      list.splice(index, 1);
+      return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,150 @@
+// utils/queueMenu.js
+// Track select menu and action buttons shared by the queue and playlist embeds.
+// The menu lists the tracks of the visible page; the buttons act on the
+// selected track. Every user has their own selection, kept as a track object so
+// it stays valid when the queue changes between selecting and clicking.
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from "discord.js";
+import { formatTrackTitle } from "./formatTrack.js";
+import { getMergedQueue, playMergedIndex, moveToUpcoming, removeFromQueue } from "./queueEditor.js";
+import { hasCommandPermission, getPermissionDeniedMessage, isDJ } from "./permissions.js";
+import { isRequestedBy } from "./requester.js";
+
+export const QUEUE_MENU_IDS = new Set([
+  "queueSelect",
+  "queuePlayNow",
+  "queueMoveTop",
+  "queueMoveBottom",
+  "queueRemove"
+]);
+
+// Discord limits select option labels to 100 characters
+const MAX_LABEL_LENGTH = 100;
+
+/**
+ * Builds the select menu row and the action button row for a page.
+ * @param {object} player - Lavalink player
+ * @param {object} options
+ * @param {number} options.currentPage - 0-based page number
+ * @param {number} options.pageSize - Tracks per page
+ * @param {object|null} options.selected - Selected track object
+ * @param {(index: number) => string} options.labelFor - Display number of a merged index
+ * @returns {ActionRowBuilder[]} - Select row and button row
+ */
+export function buildQueueMenuRows(player, { currentPage, pageSize, selected, labelFor }) {
+  const merged = getMergedQueue(player);
+  const start = currentPage * pageSize;
+  const options = merged.slice(start, start + pageSize).map((track, i) => {
+    const index = start + i;
+    const label = `${labelFor(index)}  ${formatTrackTitle(track.info, track.requestedAsUrl)}`;
+    return {
+      label: label.length > MAX_LABEL_LENGTH ? label.slice(0, MAX_LABEL_LENGTH - 3) + "..." : label,
+      value: String(index),
+      default: track === selected
+    };
+  });
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId("queueSelect")
+    .setPlaceholder("Select a track to edit")
+    .addOptions(options);
+
+  const isCurrent = selected === player.queue.current;
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("queuePlayNow")
+      .setLabel("Play now")
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(!selected || isCurrent),
+    new ButtonBuilder()
+      .setCustomId("queueMoveTop")
+      .setLabel("Move to top")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(!selected || isCurrent),
+    new ButtonBuilder()
+      .setCustomId("queueMoveBottom")
+      .setLabel("Move to bottom")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(!selected || isCurrent),
+    new ButtonBuilder()
+      .setCustomId("queueRemove")
+      .setLabel("Remove")
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(!selected || isCurrent)
+  );
+
+  return [new ActionRowBuilder().addComponents(menu), buttons];
+}
+
+/**
+ * Returns the track a user selected in a queue menu message.
+ * @param {object} state - Message state with the selections
+ * @param {string} userId - Discord user id
+ * @returns {object|null} - Selected track object
+ */
+export function getSelectedTrack(state, userId) {
+  return state.selected?.get(userId) || null;
+}
+
+/**
+ * Handles a select or button interaction of the queue menu and updates the
+ * user's selection in state.selected. Does not reply; the caller re-renders
+ * the message.
+ * @param {import('discord.js').Interaction} interaction - Component interaction
+ * @param {object} state - Message state with player and selected tracks by user id
+ * @returns {Promise<string|null>} - Error text for an ephemeral reply, or null on success
+ */
+export async function handleQueueMenuInteraction(interaction, state) {
+  const { player } = state;
+  const userId = interaction.user.id;
+  state.selected ??= new Map();
+
+  if (interaction.customId === "queueSelect") {
+    const selected = getMergedQueue(player)[Number(interaction.values[0])];
+    if (selected) state.selected.set(userId, selected);
+    else state.selected.delete(userId);
+    return null;
+  }
+
+  const track = getSelectedTrack(state, userId);
+  if (!track) {
+    return "Select a track first.";
+  }
+  const index = getMergedQueue(player).indexOf(track);
+  if (index === -1) {
+    state.selected.delete(userId);
+    return "That track is no longer in the queue.";
+  }
+  if (track === player.queue.current) {
+    return "That track is already playing.";
+  }
+
+  const member = interaction.member;
+  const command = {
+    queuePlayNow: "queue",
+    queueMoveTop: "move",
+    queueMoveBottom: "move",
+    queueRemove: "remove"
+  }[interaction.customId];
+  if (!hasCommandPermission(member, command)) {
+    return getPermissionDeniedMessage(interaction.guildId, command);
+  }
+
+  switch (interaction.customId) {
+    case "queuePlayNow":
+      await playMergedIndex(player, index);
+      break;
+    case "queueMoveTop":
+    case "queueMoveBottom":
+      moveToUpcoming(player, track, interaction.customId === "queueMoveTop" ? "top" : "bottom");
+      break;
+    case "queueRemove":
+      if (!isDJ(member) && !isRequestedBy(track, member.id)) {
+        return "You can only remove tracks you requested.";
+      }
+      removeFromQueue(player, track);
+      break;
+  }
+  state.selected.delete(userId);
+  return null;
+}
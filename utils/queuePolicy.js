@@ -0,0 +1,111 @@
+// utils/queuePolicy.js
+// Queue admission policy shared by every command that adds tracks. Decides
+// how many of the found tracks may be queued (total queue size, tracks per
+// playlist, per-user quota, maximum track duration) and limits concurrent
+// searches per guild.
+
+import { PermissionsBitField } from "discord.js";
+import { getGuildConfig } from "./guildSettings.js";
+import { isRequestedBy } from "./requester.js";
+import logger from "./logger.js";
+
+// guildId -> number of searches currently running
+const runningSearches = new Map();
+
+// Helper: "m:ss" for notices
+function formatMinutes(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, "0")}`;
+}
+
+// Helper: Server managers and holders of the configured DJ role are exempt from the quota
+function isQuotaExempt(member, config) {
+  if (!member) return false;
+  if (member.permissions?.has(PermissionsBitField.Flags.ManageGuild)) return true;
+  return !!(config.djRoleId && member.roles?.cache?.has(config.djRoleId));
+}
+
+/**
+ * Returns how many tracks one playlist may add to the queue (maxPlaylistSize).
+ * @param {string} guildId - Discord guild id
+ * @returns {number}
+ */
+export function getPlaylistLimit(guildId) {
+  return getGuildConfig(guildId).maxPlaylistSize || 50;
+}
+
+/**
+ * Filters tracks through the guild's queue limits before they are added.
+ * Tracks are admitted in order; the result lists what was dropped and why.
+ * @param {object} player - Lavalink player
+ * @param {object[]} tracks - Candidate tracks
+ * @param {import('discord.js').GuildMember} member - Member adding the tracks
+ * @returns {{tracks: object[], tooLong: number, overQuota: number, queueFull: number, playlistFull: number, notices: string[]}}
+ */
+export function admitTracks(player, tracks, member) {
+  const config = getGuildConfig(player.guildId);
+  const { maxQueueSize, maxTracksPerUser, maxTrackDuration } = config;
+  const result = { tracks: [], tooLong: 0, overQuota: 0, queueFull: 0, playlistFull: 0, notices: [] };
+  const playlistLimit = getPlaylistLimit(player.guildId);
+
+  let queueRoom = maxQueueSize ? Math.max(0, maxQueueSize - player.queue.tracks.length) : Infinity;
+  let userRoom = Infinity;
+  if (maxTracksPerUser && !isQuotaExempt(member, config)) {
+    const queued = player.queue.tracks.filter(t => isRequestedBy(t, member.id)).length;
+    userRoom = Math.max(0, maxTracksPerUser - queued);
+  }
+
+  for (const track of tracks) {
+    if (maxTrackDuration && !track.info?.isStream && track.info?.duration > maxTrackDuration) {
+      result.tooLong++;
+    } else if (userRoom <= 0) {
+      result.overQuota++;
+    } else if (queueRoom <= 0) {
+      result.queueFull++;
+    } else if (result.tracks.length >= playlistLimit) {
+      result.playlistFull++;
+    } else {
+      result.tracks.push(track);
+      userRoom--;
+      queueRoom--;
+    }
+  }
+
+  if (result.tooLong) {
+    result.notices.push(`${result.tooLong} track${result.tooLong === 1 ? " is" : "s are"} longer than ${formatMinutes(maxTrackDuration)} and ${result.tooLong === 1 ? "was" : "were"} skipped.`);
+  }
+  if (result.overQuota) {
+    result.notices.push(`${result.overQuota} track${result.overQuota === 1 ? " was" : "s were"} skipped because you can have at most ${maxTracksPerUser} tracks in the queue.`);
+  }
+  if (result.queueFull) {
+    result.notices.push(`${result.queueFull} track${result.queueFull === 1 ? " was" : "s were"} skipped because the queue is full (${maxQueueSize} tracks).`);
+  }
+  if (result.playlistFull) {
+    result.notices.push(`${result.playlistFull} track${result.playlistFull === 1 ? " was" : "s were"} skipped because at most ${playlistLimit} tracks can be loaded at once.`);
+  }
+  if (result.notices.length) {
+    logger.debug(`[queuePolicy] Guild ${player.guildId}: admitted ${result.tracks.length}/${tracks.length} tracks`);
+  }
+  return result;
+}
+
+/**
+ * Reserves one of the guild's concurrent search slots (maxConcurrentSearches).
+ * @param {string} guildId - Discord guild id
+ * @returns {(() => void)|null} - Function releasing the slot, or null if all slots are taken
+ */
+export function acquireSearchSlot(guildId) {
+  const limit = getGuildConfig(guildId).maxConcurrentSearches;
+  const running = runningSearches.get(guildId) || 0;
+  if (limit && running >= limit) return null;
+
+  runningSearches.set(guildId, running + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const remaining = (runningSearches.get(guildId) || 1) - 1;
+    if (remaining > 0) runningSearches.set(guildId, remaining);
+    else runningSearches.delete(guildId);
+  };
+}
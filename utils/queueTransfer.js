@@ -0,0 +1,81 @@
+// utils/queueTransfer.js
+// File formats for moving a queue out of and back into the bot: a JSON export
+// with full track data and an M3U list of URLs that other players understand.
+// Imports accept both, plus plain text files with one URL or search per line.
+
+import { getMergedQueue } from "./queueEditor.js";
+
+export const EXPORT_VERSION = 1;
+export const IMPORT_EXTENSIONS = ["json", "m3u", "m3u8", "txt"];
+
+/**
+ * Builds the JSON export of a player's merged queue.
+ * @param {object} player - Lavalink player
+ * @returns {object} - JSON-safe export
+ */
+export function buildQueueExport(player) {
+  const current = player.queue.current;
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    tracks: getMergedQueue(player).filter(Boolean).map(track => ({
+      title: track.info.title,
+      author: track.info.author,
+      uri: track.info.uri,
+      duration: track.info.isStream ? null : track.info.duration,
+      sourceName: track.info.sourceName,
+      current: track === current || undefined
+    }))
+  };
+}
+
+/**
+ * Renders tracks as an extended M3U playlist.
+ * @param {object[]} tracks - Tracks of a queue export
+ * @returns {string} - M3U file content
+ */
+export function buildM3u(tracks) {
+  const lines = ["#EXTM3U"];
+  for (const track of tracks) {
+    if (!track.uri) continue;
+    const seconds = track.duration ? Math.round(track.duration / 1000) : -1;
+    lines.push(`#EXTINF:${seconds},${track.author ? `${track.author} - ` : ""}${track.title}`, track.uri);
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Parses an import file into search queries in queue order. JSON exports use
+ * the track URL, or "author title" when there is none; M3U and text files use
+ * every non-empty line that is not a comment.
+ * @param {string} fileName - Attachment name, used to detect the format
+ * @param {string} content - File content
+ * @returns {string[]} - Queries for Lavalink
+ * @throws {RangeError} - If the format is unknown or the file is not a valid export
+ */
+export function parseQueueImport(fileName, content) {
+  const extension = fileName.split(".").pop().toLowerCase();
+  if (!IMPORT_EXTENSIONS.includes(extension)) {
+    throw new RangeError(`Unsupported file type. Use one of: ${IMPORT_EXTENSIONS.map(e => `.${e}`).join(", ")}`);
+  }
+
+  if (extension === "json") {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch {
+      throw new RangeError("That file is not valid JSON.");
+    }
+    if (!Array.isArray(data?.tracks)) {
+      throw new RangeError("That JSON file is not a queue export.");
+    }
+    return data.tracks
+      .map(t => t?.uri || [t?.author, t?.title].filter(Boolean).join(" "))
+      .filter(Boolean);
+  }
+
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("#"));
+}
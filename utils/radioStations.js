@@ -0,0 +1,79 @@
+// utils/radioStations.js
+// Named internet radio stations for the radio command. The list comes from
+// radioStations in config.json until a server edits it; from then on the
+// server keeps its own copy in the guild settings.
+
+import { getGuildConfig, updateGuildSettings } from "./guildSettings.js";
+import logger from "./logger.js";
+
+const MAX_STATIONS = 25;
+
+// Subcommands of the radio command, a station with these names could not be played
+const RESERVED_NAMES = ["add", "remove"];
+
+/**
+ * Returns the stations of a guild.
+ * @param {string} guildId - Discord guild id
+ * @returns {object} - Station name -> stream URL
+ */
+export function getRadioStations(guildId) {
+  return { ...(getGuildConfig(guildId).radioStations || {}) };
+}
+
+/**
+ * Looks up a station by name, ignoring case.
+ * @param {string} guildId - Discord guild id
+ * @param {string} name - Station name
+ * @returns {{name: string, url: string}|null}
+ */
+export function findRadioStation(guildId, name) {
+  const stations = getRadioStations(guildId);
+  const key = Object.keys(stations).find(n => n.toLowerCase() === name.toLowerCase());
+  return key ? { name: key, url: stations[key] } : null;
+}
+
+/**
+ * Adds a station or replaces the URL of an existing one.
+ * @param {string} guildId - Discord guild id
+ * @param {string} name - Station name
+ * @param {string} url - Stream URL
+ * @returns {Promise<{name: string, url: string}>} - The stored station
+ * @throws {RangeError} - If the name is reserved, the URL is not http(s) or the list is full
+ */
+export async function addRadioStation(guildId, name, url) {
+  if (RESERVED_NAMES.includes(name.toLowerCase())) {
+    throw new RangeError(`**${name}** cannot be used as a station name.`);
+  }
+  if (!/^https?:\/\/\S+$/i.test(url)) {
+    throw new RangeError("The station URL must start with http:// or https://.");
+  }
+  const stations = getRadioStations(guildId);
+  const existing = findRadioStation(guildId, name);
+  if (existing) delete stations[existing.name];
+  if (Object.keys(stations).length >= MAX_STATIONS) {
+    throw new RangeError(`A server can have at most ${MAX_STATIONS} stations.`);
+  }
+
+  stations[name] = url;
+  await updateGuildSettings(guildId, { radioStations: stations });
+  logger.debug(`[radioStations] Saved station "${name}" in Guild="${guildId}"`);
+  return { name, url };
+}
+
+/**
+ * Removes a station.
+ * @param {string} guildId - Discord guild id
+ * @param {string} name - Station name
+ * @returns {Promise<boolean>} - Whether the station existed
+ */
+export async function removeRadioStation(guildId, name) {
+  const existing = findRadioStation(guildId, name);
+  if (!existing) return false;
+
+  const stations = getRadioStations(guildId);
+  delete stations[existing.name];
+  // An empty object (not null) so the config.json stations do not come back
+  await updateGuildSettings(guildId, { radioStations: stations });
+  logger.debug(`[radioStations] Removed station "${existing.name}" in Guild="${guildId}"`);
+  return true;
+}
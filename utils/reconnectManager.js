@@ -6,6 +6,10 @@ import { performStop } from "./playerControls.js";
 import { generateStoppedEmbed } from "./nowPlayingEmbed.js";
 import { safeEdit } from "./safeDiscord.js";
 import { getVoiceConnection } from "@discordjs/voice";
+import { rejoinAlwaysOnChannels } from "./alwaysOn.js";
+import { snapshotPlayer, restorePlayerSession } from "./sessionPersistence.js";
+import { sendOrUpdateNowPlayingUI } from "./nowPlayingManager.js";
+import { pickNode } from "./lavalinkNodes.js";
 
 class LavalinkReconnectManager {
   constructor(client) {
@@ -14,9 +18,12 @@ class LavalinkReconnectManager {
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 5000;
     this.lastHealthCheck = Date.now();
-    this.isCleaningUp = false;
+    this.cleaningUpNodes = new Set(); // Ids of the nodes whose failure is being handled
     this.healthCheckInterval = null;
     this.quickHealthCheckInterval = null;
+    this.restoreAfterReconnect = false;
+    this.pendingSessions = new Map();
+    this.pendingSessionsAt = 0;
   }
 
   initialize() {
@@ -60,7 +67,11 @@ class LavalinkReconnectManager {
       logger.info(`[LavalinkReconnect] Node ${node.id} reconnected successfully`);
       this.reconnectAttempts.delete(node.id);
       this.lastHealthCheck = Date.now();
-      // Don't restore player states - let users manually restart music
+      // Resume what was playing before the node went down
+      if (this.restoreAfterReconnect) {
+        this.restoreAfterReconnect = false;
+        this._restoreAfterReconnect(node);
+      }
     });
 
     // Start health monitoring
@@ -73,34 +84,74 @@ class LavalinkReconnectManager {
    * Main function: Handles Lavalink failures intelligently based on bot status
    */
   async _handleLavalinkDown(node, reason) {
-    if (this.isCleaningUp) {
-      logger.debug(`[LavalinkReconnect] Cleanup already in progress, skipping duplicate`);
+    // One cleanup per node, a second node can fail while the first is handled
+    if (this.cleaningUpNodes.has(node.id)) {
+      logger.debug(`[LavalinkReconnect] Cleanup of ${node.id} already in progress, skipping duplicate`);
       return;
     }
 
-    this.isCleaningUp = true;
+    this.cleaningUpNodes.add(node.id);
     logger.warn(`[LavalinkReconnect] Lavalink down detected: ${reason}`);
 
     try {
-      await this._intelligentCleanup(reason);
+      // Players that found another node keep playing, only the rest is torn down
+      await this._migratePlayers(node);
+      this._snapshotPlayers(node);
+      await this._intelligentCleanup(reason, node);
+      this.restoreAfterReconnect = true;
       this._scheduleReconnect(node);
     } catch (error) {
       logger.error(`[LavalinkReconnect] Error during intelligent cleanup:`, error);
     } finally {
       // Reset cleanup flag after a short delay
       setTimeout(() => {
-        this.isCleaningUp = false;
+        this.cleaningUpNodes.delete(node.id);
       }, 2000);
     }
   }
 
+  /**
+   * Move the players of a failed node to the least loaded healthy node
+   */
+  async _migratePlayers(node) {
+    const affected = this._playersOf(node);
+    let moved = 0;
+
+    for (const [guildId, player] of affected) {
+      const target = pickNode(this.client.lavalink, node.id);
+      if (!target) break;
+      try {
+        await player.changeNode(target);
+        // The closed node marked its players as stopped
+        if (player.queue.current) player.playing = !player.paused;
+        moved++;
+        logger.info(`[LavalinkReconnect] Moved player of guild ${guildId} from ${node.id} to ${target.id}`);
+      } catch (error) {
+        logger.warn(`[LavalinkReconnect] Could not move player of guild ${guildId} to ${target.id}:`, error.message);
+      }
+    }
+
+    if (affected.length) {
+      logger.info(`[LavalinkReconnect] Moved ${moved}/${affected.length} player(s) off ${node.id}`);
+    }
+    return moved;
+  }
+
+  /**
+   * Players that run on the given node (all players without a node)
+   */
+  _playersOf(node) {
+    return Array.from(this.client.lavalink.players.entries())
+      .filter(([, player]) => !node || !player.node || player.node.id === node.id);
+  }
+
   /**
    * Intelligent cleanup logic based on bot status
    */
-  async _intelligentCleanup(reason) {
+  async _intelligentCleanup(reason, node = null) {
     logger.info(`[LavalinkReconnect] Starting intelligent cleanup: ${reason}`);
     
-    const players = Array.from(this.client.lavalink.players.entries());
+    const players = this._playersOf(node);
     logger.info(`[LavalinkReconnect] Analyzing ${players.length} players`);
 
     for (const [guildId, player] of players) {
@@ -157,7 +208,7 @@ class LavalinkReconnectManager {
       // 1. Set UI to stopped status
       if (player.nowPlayingMessage) {
         await safeEdit(player.nowPlayingMessage, {
-          embeds: [generateStoppedEmbed()],
+          embeds: [generateStoppedEmbed(player.guildId)],
           components: []
         });
         logger.debug(`[LavalinkReconnect] Updated UI to stopped for guild ${guildId}`);
@@ -302,7 +353,7 @@ class LavalinkReconnectManager {
       
       if (player.nowPlayingMessage) {
         await safeEdit(player.nowPlayingMessage, {
-          embeds: [generateStoppedEmbed()],
+          embeds: [generateStoppedEmbed(player.guildId)],
           components: []
         });
         player.nowPlayingMessage = null;
@@ -351,6 +402,95 @@ class LavalinkReconnectManager {
     }, delay);
   }
 
+  /**
+   * Remember what every guild was playing, so it can resume after the reconnect
+   */
+  _snapshotPlayers(node = null) {
+    let saved = 0;
+    for (const [guildId, player] of this._playersOf(node)) {
+      try {
+        const snapshot = snapshotPlayer(player);
+        if (!snapshot) continue;
+        this.pendingSessions.set(guildId, snapshot);
+        saved++;
+      } catch (error) {
+        logger.warn(`[LavalinkReconnect] Could not snapshot player for guild ${guildId}:`, error.message);
+      }
+    }
+    if (!saved) return;
+    this.pendingSessionsAt ||= Date.now();
+    logger.info(`[LavalinkReconnect] Saved ${saved} session(s) for resuming after reconnect`);
+  }
+
+  /**
+   * Wait until the node has a session id, players cannot be created without one
+   */
+  async _waitForSession(node, timeout = 10000) {
+    // nodeConnect fires before Lavalink sends the session id
+    const deadline = Date.now() + timeout;
+    while (!node.sessionId && Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, 250));
+    }
+    return !!node.sessionId;
+  }
+
+  /**
+   * After a reconnect: resume the saved sessions, then rejoin 24/7 channels
+   */
+  async _restoreAfterReconnect(node) {
+    try {
+      if (!(await this._waitForSession(node))) {
+        logger.warn(`[LavalinkReconnect] No session on ${node.id}, resuming on the next reconnect`);
+        this.restoreAfterReconnect = true;
+        return;
+      }
+      await this._restoreSessions();
+      await rejoinAlwaysOnChannels(this.client);
+    } catch (error) {
+      logger.error(`[LavalinkReconnect] Failed to restore players after reconnect:`, error);
+    }
+  }
+
+  /**
+   * Recreate the players saved by _snapshotPlayers and resume at the saved position
+   */
+  async _restoreSessions() {
+    const sessions = [...this.pendingSessions.values()];
+    const savedAt = this.pendingSessionsAt;
+    this.pendingSessions.clear();
+    this.pendingSessionsAt = 0;
+    if (!sessions.length) return 0;
+
+    const config = this.client.config || {};
+    const maxAge = config.sessionMaxAge || 6 * 60 * 60 * 1000;
+    if (config.resumeSessions === false || Date.now() - savedAt > maxAge) {
+      logger.info(`[LavalinkReconnect] Not resuming ${sessions.length} session(s)`);
+      return 0;
+    }
+
+    let restored = 0;
+    for (const snapshot of sessions) {
+      // Somebody started new music in the meantime
+      if (this.client.lavalink.getPlayer(snapshot.guildId)?.queue.current) continue;
+
+      try {
+        const player = await restorePlayerSession(this.client, snapshot);
+        if (!player) continue;
+        restored++;
+
+        const channel = this.client.channels.cache.get(player.textChannelId);
+        if (channel) {
+          await sendOrUpdateNowPlayingUI(player, channel);
+          channel.send("Reconnected to the music server, resuming playback.").catch(() => {});
+        }
+      } catch (error) {
+        logger.error(`[LavalinkReconnect] Failed to resume session in guild ${snapshot.guildId}:`, error);
+      }
+    }
+    logger.info(`[LavalinkReconnect] Resumed ${restored}/${sessions.length} session(s) after reconnect`);
+    return restored;
+  }
+
   /**
    * Start health monitoring to catch missed disconnect events
    */
@@ -0,0 +1,37 @@
+// utils/requester.js
+// Compact requester data stored on every track (used as the Lavalink
+// requesterTransformer), plus helpers to display and match requesters.
+
+/**
+ * Reduces a Discord user, guild member or stored requester to {id, username}.
+ * @param {object} requester - User, GuildMember or compact requester
+ * @returns {{id: string, username: string}|null}
+ */
+export function compactRequester(requester) {
+  if (!requester?.id) return null;
+  const user = requester.user || requester; // GuildMember -> User
+  return {
+    id: user.id,
+    username: user.globalName || user.username || user.displayName || "Unknown"
+  };
+}
+
+/**
+ * Returns a mention of the user who requested a track.
+ * @param {object} track - Lavalink track
+ * @returns {string|null} - Mention like "<@123>" or null if unknown
+ */
+export function formatRequester(track) {
+  const id = track?.requester?.id;
+  return id ? `<@${id}>` : null;
+}
+
+/**
+ * Checks whether a track was requested by a user.
+ * @param {object} track - Lavalink track
+ * @param {string} userId - Discord user id
+ * @returns {boolean}
+ */
+export function isRequestedBy(track, userId) {
+  return track?.requester?.id === userId;
+}
@@ -0,0 +1,183 @@
+// utils/savedPlaylists.js
+// Named playlists stored in config/saved-playlists.json. Personal playlists
+// belong to a user and work in every server; server playlists are shared by a
+// guild. Tracks are stored with their Lavalink encoded string, so loading a
+// playlist rebuilds the tracks without searching again.
+
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { readJsonFile, writeJsonFile } from "./jsonStore.js";
+import { serializeTrack, deserializeTrack } from "./sessionPersistence.js";
+import { compactRequester } from "./requester.js";
+import logger from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const storePath = join(__dirname, "..", "config", "saved-playlists.json");
+
+export const PLAYLIST_SCOPES = ["user", "server"];
+export const MAX_PLAYLISTS = 25;
+const NAME_PATTERN = /^[\w-]{1,32}$/;
+
+// { users: { userId: { name: playlist } }, guilds: { guildId: { name: playlist } } }
+const store = await readJsonFile(storePath, {});
+store.users ??= {};
+store.guilds ??= {};
+
+// Serialize writes so concurrent updates never interleave on disk
+let pendingWrite = Promise.resolve();
+
+// Helper: Playlists of one scope, keyed by name
+function bucket(scope, ownerKey, create = false) {
+  const root = scope === "user" ? store.users : store.guilds;
+  if (!root[ownerKey] && create) root[ownerKey] = {};
+  return root[ownerKey] || {};
+}
+
+// Helper: Case-insensitive lookup of the stored name
+function findName(playlists, name) {
+  const lower = name.toLowerCase();
+  return Object.keys(playlists).find(n => n.toLowerCase() === lower) || null;
+}
+
+/**
+ * Throws a RangeError if a playlist name is not usable.
+ * @param {string} name - Playlist name
+ */
+export function validatePlaylistName(name) {
+  if (!NAME_PATTERN.test(name || "")) {
+    throw new RangeError("Playlist names may only contain letters, numbers, - and _ (max 32 characters).");
+  }
+}
+
+/**
+ * Lists the playlists visible to a user in a guild.
+ * @param {string} guildId - Discord guild id
+ * @param {string} userId - Discord user id
+ * @returns {{user: object[], server: object[]}}
+ */
+export function listSavedPlaylists(guildId, userId) {
+  return {
+    user: Object.values(bucket("user", userId)),
+    server: Object.values(bucket("server", guildId))
+  };
+}
+
+/**
+ * Finds a playlist by name. The user's own playlists take precedence over the
+ * server's.
+ * @param {string} guildId - Discord guild id
+ * @param {string} userId - Discord user id
+ * @param {string} name - Playlist name (case-insensitive)
+ * @param {"user"|"server"} [scope] - Only search this scope
+ * @returns {{scope: string, ownerKey: string, playlist: object}|null}
+ */
+export function findSavedPlaylist(guildId, userId, name, scope = null) {
+  for (const s of scope ? [scope] : PLAYLIST_SCOPES) {
+    const ownerKey = s === "user" ? userId : guildId;
+    const stored = findName(bucket(s, ownerKey), name);
+    if (stored) return { scope: s, ownerKey, playlist: bucket(s, ownerKey)[stored] };
+  }
+  return null;
+}
+
+/**
+ * Creates or replaces a playlist.
+ * @param {object} options
+ * @param {"user"|"server"} options.scope - Where to store it
+ * @param {string} options.ownerKey - User id for personal, guild id for server playlists
+ * @param {string} options.ownerId - Id of the user creating it
+ * @param {string} options.name - Playlist name
+ * @param {object[]} options.tracks - Lavalink tracks
+ * @returns {Promise<object>} - Stored playlist
+ */
+export async function savePlaylist({ scope, ownerKey, ownerId, name, tracks }) {
+  validatePlaylistName(name);
+  const playlists = bucket(scope, ownerKey, true);
+  const existing = findName(playlists, name);
+  if (!existing && Object.keys(playlists).length >= MAX_PLAYLISTS) {
+    throw new RangeError(`You can keep at most ${MAX_PLAYLISTS} playlists here. Delete one first.`);
+  }
+  const previous = existing ? playlists[existing] : null;
+  if (existing) delete playlists[existing];
+
+  const now = Date.now();
+  playlists[name] = {
+    name,
+    ownerId: previous?.ownerId ?? ownerId,
+    createdAt: previous?.createdAt ?? now,
+    updatedAt: now,
+    tracks: tracks.filter(t => t?.encoded).map(serializeTrack)
+  };
+  await persist();
+  logger.debug(`[savedPlaylists] Saved ${scope} playlist "${name}" (${playlists[name].tracks.length} tracks)`);
+  return playlists[name];
+}
+
+/**
+ * Appends tracks to an existing playlist.
+ * @param {{scope: string, ownerKey: string, playlist: object}} entry - Result of findSavedPlaylist
+ * @param {object[]} tracks - Lavalink tracks
+ * @returns {Promise<number>} - New track count
+ */
+export async function appendToPlaylist(entry, tracks) {
+  entry.playlist.tracks.push(...tracks.filter(t => t?.encoded).map(serializeTrack));
+  entry.playlist.updatedAt = Date.now();
+  await persist();
+  return entry.playlist.tracks.length;
+}
+
+/**
+ * Deletes a playlist.
+ * @param {{scope: string, ownerKey: string, playlist: object}} entry - Result of findSavedPlaylist
+ */
+export async function deleteSavedPlaylist(entry) {
+  const playlists = bucket(entry.scope, entry.ownerKey);
+  delete playlists[entry.playlist.name];
+  if (!Object.keys(playlists).length) {
+    delete (entry.scope === "user" ? store.users : store.guilds)[entry.ownerKey];
+  }
+  await persist();
+}
+
+/**
+ * Renames a playlist within its scope.
+ * @param {{scope: string, ownerKey: string, playlist: object}} entry - Result of findSavedPlaylist
+ * @param {string} newName - New name
+ */
+export async function renameSavedPlaylist(entry, newName) {
+  validatePlaylistName(newName);
+  const playlists = bucket(entry.scope, entry.ownerKey);
+  const clash = findName(playlists, newName);
+  if (clash && clash !== entry.playlist.name) {
+    throw new RangeError(`A playlist named **${clash}** already exists.`);
+  }
+  delete playlists[entry.playlist.name];
+  entry.playlist.name = newName;
+  entry.playlist.updatedAt = Date.now();
+  playlists[newName] = entry.playlist;
+  await persist();
+}
+
+/**
+ * Rebuilds the tracks of a playlist for the queue. Tracks that can no longer
+ * be decoded are skipped.
+ * @param {object} client - Discord client with the Lavalink manager
+ * @param {object} playlist - Stored playlist
+ * @param {object} requester - User loading the playlist
+ * @returns {object[]} - Lavalink tracks
+ */
+export function buildPlaylistTracks(client, playlist, requester) {
+  const compact = compactRequester(requester);
+  return playlist.tracks
+    .map(data => deserializeTrack(client, { ...data, requester: compact }))
+    .filter(Boolean);
+}
+
+// Queues a write of the current state; the returned promise rejects if this write fails
+function persist() {
+  const snapshot = JSON.parse(JSON.stringify(store));
+  const write = pendingWrite.then(() => writeJsonFile(storePath, snapshot));
+  pendingWrite = write.catch(err => logger.error("[savedPlaylists] Failed to save playlists:", err));
+  return write;
+}
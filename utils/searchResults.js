@@ -0,0 +1,84 @@
+// utils/searchResults.js
+// Filtering of Lavalink search results before they are queued: playability
+// checks and quality ranking shared by play, import and playlist loading.
+// Which tracks are playable is decided by the guild's rules in trackFilters.js.
+
+import { getTrackFilters, getFilterReason, filterTracks, formatFilterNotice } from "./trackFilters.js";
+
+/**
+ * Filters a Lavalink search result down to the tracks that should be queued.
+ * Playlists are filtered, sorted by quality and capped; other results yield
+ * their first playable track.
+ * @param {object} res - Lavalink search result
+ * @param {object} [options]
+ * @param {boolean} [options.sort=true] - Sort playlist tracks by quality (imports keep their order)
+ * @param {number} [options.limit] - Max playlist tracks, defaults to maxPlaylistSize
+ * @param {string} [options.guildId] - Guild whose filter rules apply, global rules if omitted
+ * @returns {Promise<{tracks: object[], confirmation: string, notice: string}>} - notice lists the filtered tracks and why
+ */
+export async function processSearchResults(res, { sort = true, limit, guildId } = {}) {
+  if (!res?.tracks?.length) return { tracks: [], confirmation: "", notice: "" };
+
+  const rules = getTrackFilters(guildId);
+  let tracks = [];
+  let confirmation = "";
+  let notice = "";
+
+  if (res.loadType === "playlist" && res.playlist) {
+    // Filter and sort by quality for playlists
+    const { tracks: playable, filtered } = filterTracks(res.tracks, rules);
+    if (sort) playable.sort((a, b) => getTrackQualityScore(b) - getTrackQualityScore(a));
+    const validTracks = playable.slice(0, limit ?? (global.config.maxPlaylistSize || 50)); // Limit for performance
+    
+    tracks = validTracks;
+    notice = formatFilterNotice(filtered);
+    confirmation = `Added **${validTracks.length}** tracks from **${res.playlist.name}** to the queue.`;
+    
+    if (notice) confirmation += `\n${notice}`;
+    if (validTracks.length < playable.length) {
+      confirmation += `\n${playable.length - validTracks.length} tracks were over the playlist limit and skipped.`;
+    }
+  } else {
+    const track = res.tracks[0];
+    const reason = getFilterReason(track, rules);
+    if (reason) {
+      notice = formatFilterNotice([{ track, reason }]);
+    } else {
+      tracks = [track];
+      confirmation = `Added **${track.info.title}** to the queue.`;
+    }
+  }
+
+  return { tracks, confirmation, notice };
+}
+
+/**
+ * Checks whether a track passes the filter rules.
+ * @param {object} track - Lavalink track
+ * @param {object} [rules] - Rules from getTrackFilters, the defaults if omitted
+ * @returns {boolean}
+ */
+export function isTrackPlayable(track, rules) {
+  return getFilterReason(track, rules) === null;
+}
+
+// Rate track quality for sorting
+export function getTrackQualityScore(track) {
+  let score = 0;
+  
+  // Prefer higher quality sources
+  if (track.info.sourceName === "youtube") score += 10;
+  if (track.info.sourceName === "soundcloud") score += 5;
+  
+  // Prefer tracks with artwork
+  if (track.info.artworkUrl) score += 2;
+  
+  // Prefer tracks with reasonable duration
+  const duration = track.info.duration;
+  if (duration >= 30000 && duration <= 600000) score += 5; // 30s - 10min
+  
+  // Prefer tracks with complete metadata
+  if (track.info.author && track.info.author !== "Unknown") score += 3;
+  
+  return score;
+}
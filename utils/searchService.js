@@ -0,0 +1,181 @@
+// utils/searchService.js
+// Track search shared by every command that looks up music: search mode
+// detection, one retry policy and one LRU result cache (cacheTTL/maxCacheSize).
+// Players come from playerFactory.js, result filtering from searchResults.js.
+
+import { getGuildConfig } from "./guildSettings.js";
+import logger from "./logger.js";
+
+const DEFAULT_CACHE_TTL = 300; // seconds
+const DEFAULT_CACHE_SIZE = 500;
+const SEARCH_BATCH_SIZE = 5;
+
+// Command aliases that always search one platform
+const FORCED_MODES = {
+  playm: "ytmsearch",
+  searchm: "ytmsearch",
+  playyt: "ytsearch",
+  searchyt: "ytsearch"
+};
+
+/**
+ * Least-recently-used cache whose entries expire after a time-to-live.
+ * Limits are read on every access so config changes apply immediately.
+ */
+export class SearchCache {
+  /**
+   * @param {() => {ttl: number, maxSize: number}} getLimits - TTL in milliseconds and max entries
+   */
+  constructor(getLimits) {
+    this.getLimits = getLimits;
+    this.entries = new Map(); // insertion order = least to most recently used
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (Date.now() - entry.timestamp > this.getLimits().ttl) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, timestamp: Date.now() });
+    const { maxSize } = this.getLimits();
+    while (this.entries.size > maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export const searchCache = new SearchCache(() => ({
+  ttl: (global.config?.cacheTTL ?? DEFAULT_CACHE_TTL) * 1000,
+  maxSize: global.config?.maxCacheSize ?? DEFAULT_CACHE_SIZE
+}));
+
+// Helper: Caching can be switched off with cacheEnabled or cacheSearchResults
+function isCacheEnabled() {
+  return global.config?.cacheEnabled !== false && global.config?.cacheSearchResults !== false;
+}
+
+/**
+ * Decides which platform a query is searched on. URLs are resolved directly,
+ * aliases like playm/playyt force a platform, everything else uses the
+ * server's default and may fall back to the other platform.
+ * @param {object} message - Message (or slash adapter) that invoked the command
+ * @param {string} query - Search term or URL
+ * @returns {{mode: string, forceMode: boolean, isUrl: boolean}}
+ */
+export function resolveSearchMode(message, query) {
+  const guildConfig = getGuildConfig(message.guild.id);
+  const invoked = message.content
+    .slice(guildConfig.prefix.length)
+    .split(" ")[0]
+    .toLowerCase();
+
+  if (/^https?:\/\//.test(query)) {
+    return { mode: "ytsearch", forceMode: true, isUrl: true };
+  }
+  if (FORCED_MODES[invoked]) {
+    return { mode: FORCED_MODES[invoked], forceMode: true, isUrl: false };
+  }
+  return { mode: guildConfig.defaultSearchPlatform || "ytsearch", forceMode: false, isUrl: false };
+}
+
+// Helper: Cached results are shared, so every caller gets fresh track objects
+// with its own requester (queue edits and quotas go by object and requester)
+function copyForRequester(player, res, requester) {
+  const utils = player.LavalinkManager.utils;
+  return { ...res, tracks: res.tracks.map(track => utils.buildTrack(track, requester)) };
+}
+
+/**
+ * Searches through the player's node. Results are cached per platform and
+ * query; if the search fails and the platform was not forced, it is retried
+ * once on the other YouTube platform.
+ * @param {object} player - Lavalink player
+ * @param {object} options
+ * @param {string} options.query - Search term or URL
+ * @param {string} options.mode - Platform from resolveSearchMode
+ * @param {boolean} [options.forceMode=false] - Never fall back to another platform
+ * @param {object} options.requester - User the tracks are requested by
+ * @returns {Promise<object>} - Lavalink search result
+ * @throws {Error} - If the search (and its fallback) fails
+ */
+export async function performReliableSearch(player, { query, mode, forceMode = false, requester }) {
+  const cacheKey = `${mode}:${query}`;
+  if (isCacheEnabled()) {
+    const cached = searchCache.get(cacheKey);
+    if (cached) {
+      logger.debug(`[searchService] Using cached result for ${cacheKey}`);
+      return copyForRequester(player, cached, requester);
+    }
+  }
+
+  const search = platform => {
+    const finalQuery = /^https?:\/\//.test(query) ? query : `${platform}:${query}`;
+    return player.search({ query: finalQuery, source: platform }, requester);
+  };
+
+  let res;
+  try {
+    res = await search(mode);
+    logger.debug(`[searchService] Search successful with ${mode}: ${res?.tracks?.length || 0} tracks`);
+  } catch (searchError) {
+    logger.error(`[searchService] Search error with ${mode}:`, searchError);
+    if (forceMode) {
+      logger.warn(`[searchService] Forced mode ${mode} failed, not trying alternatives`);
+      throw searchError;
+    }
+
+    const altMode = mode === "ytsearch" ? "ytmsearch" : "ytsearch";
+    logger.info(`[searchService] Trying fallback search with ${altMode}`);
+    res = await search(altMode);
+    logger.info(`[searchService] Fallback successful with ${altMode}: ${res?.tracks?.length || 0} tracks`);
+  }
+
+  if (res?.tracks?.length && isCacheEnabled()) {
+    searchCache.set(cacheKey, res);
+  }
+  return res;
+}
+
+/**
+ * Runs many searches a few at a time instead of one after another, so long
+ * lists finish in a fraction of the time without flooding the node.
+ * @param {any[]} items - Entries to search, e.g. queries
+ * @param {(item: any) => Promise<any>} search - Searches one entry
+ * @param {object} [options]
+ * @param {number} [options.batchSize=5] - Searches running at the same time
+ * @param {(results: any[]) => void} [options.onBatch] - Receives each batch's results in order
+ * @param {() => boolean} [options.shouldStop] - Checked before every batch, stops early when true
+ * @returns {Promise<any[]>} - Results in the order of items, null for failed searches
+ */
+export async function searchInBatches(items, search, { batchSize = SEARCH_BATCH_SIZE, onBatch, shouldStop } = {}) {
+  const results = [];
+  for (let i = 0; i < items.length; i += batchSize) {
+    if (shouldStop?.()) break;
+    const batch = await Promise.all(items.slice(i, i + batchSize).map(item =>
+      search(item).catch(err => {
+        logger.warn(`[searchService] Batch search failed: ${err.message}`);
+        return null;
+      })
+    ));
+    results.push(...batch);
+    onBatch?.(batch);
+  }
+  return results;
+}
@@ -0,0 +1,232 @@
+// utils/sessionPersistence.js
+// Snapshots every guild's playback session (queue, history, current track, position,
+// volume, loop/autoplay mode, filter, voice/text channel) to config/sessions.json and resumes them after a restart.
+
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { readJsonFile, writeJsonFile } from "./jsonStore.js";
+import { getTargetVolume } from "./playerControls.js";
+import { pickNode } from "./lavalinkNodes.js";
+import { compactRequester } from "./requester.js";
+import { getLoopMode, setLoopMode } from "./loopMode.js";
+import { isAutoplayEnabled, setAutoplay } from "./autoplay.js";
+import { applyFilterPreset } from "./audioFilters.js";
+import { getEqualizerGains, applyEqualizer } from "./equalizer.js";
+import logger from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const sessionsPath = join(__dirname, "..", "config", "sessions.json");
+
+/**
+ * Reduces a Lavalink track to the data needed to rebuild it without a new search.
+ * @param {object} track - Lavalink track
+ * @returns {object} - JSON-safe track data
+ */
+export function serializeTrack(track) {
+  return {
+    encoded: track.encoded,
+    info: track.info,
+    pluginInfo: track.pluginInfo || {},
+    requester: compactRequester(track.requester),
+    requestedAsUrl: track.requestedAsUrl || false
+  };
+}
+
+/**
+ * Rebuilds a Lavalink track from serialized data.
+ * @param {object} client - Discord client with the Lavalink manager
+ * @param {object} data - Output of serializeTrack
+ * @returns {object|null} - Lavalink track or null if the data is invalid
+ */
+export function deserializeTrack(client, data) {
+  try {
+    const track = client.lavalink.utils.buildTrack(
+      { encoded: data.encoded, info: data.info, pluginInfo: data.pluginInfo },
+      data.requester || undefined
+    );
+    if (data.requestedAsUrl) track.requestedAsUrl = true;
+    return track;
+  } catch (err) {
+    logger.warn(`[SessionPersistence] Skipping invalid track "${data?.info?.title}": ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Captures the playback state of a player.
+ * @param {object} player - Lavalink player
+ * @returns {object|null} - Snapshot, or null if nothing is playing
+ */
+export function snapshotPlayer(player) {
+  const current = player.queue.current;
+  if (!current?.encoded || !player.voiceChannelId) return null;
+
+  const position = (player.paused && player._pausedPosition !== undefined)
+    ? player._pausedPosition
+    : player.position;
+
+  return {
+    guildId: player.guildId,
+    voiceChannelId: player.voiceChannelId,
+    textChannelId: player.textChannelId,
+    volume: player.customVolume ?? null,
+    position: Math.max(0, Math.floor(position || 0)),
+    paused: !!player.paused,
+    loopMode: getLoopMode(player),
+    autoplay: isAutoplayEnabled(player),
+    filter: player.activeFilter || null,
+    eq: player.activeFilter === "eq" ? { gains: getEqualizerGains(player), profile: player.eqProfile || null } : null,
+    current: serializeTrack(current),
+    tracks: player.queue.tracks.map(serializeTrack),
+    previous: (player.queue.previous || []).map(serializeTrack),
+    // The history is capped, queue loop keeps the full list of looped tracks
+    loopTracks: getLoopMode(player) === "queue" ? (player.loopTracks || []).map(serializeTrack) : null
+  };
+}
+
+/**
+ * Recreates a player from a snapshot: rejoins the voice channel, restores the
+ * queue and history and resumes the current track at the saved position.
+ * @param {object} client - Discord client with the Lavalink manager
+ * @param {object} snapshot - Output of snapshotPlayer
+ * @returns {Promise<object|null>} - The resumed player, or null if it could not be restored
+ */
+export async function restorePlayerSession(client, snapshot) {
+  const guild = client.guilds.cache.get(snapshot.guildId);
+  const voiceChannel = guild?.channels.cache.get(snapshot.voiceChannelId);
+  if (!voiceChannel) {
+    logger.info(`[SessionPersistence] Voice channel for guild ${snapshot.guildId} is gone, not resuming`);
+    return null;
+  }
+
+  const current = deserializeTrack(client, snapshot.current);
+  if (!current) return null;
+
+  let player = client.lavalink.getPlayer(snapshot.guildId);
+  if (!player) {
+    player = await client.lavalink.createPlayer({
+      guildId: snapshot.guildId,
+      voiceChannelId: snapshot.voiceChannelId,
+      node: pickNode(client.lavalink)?.id, // least loaded healthy node
+      textChannelId: snapshot.textChannelId,
+      selfDeaf: true,
+      instaUpdateFiltersFix: true,
+      applyVolumeAsFilter: false
+    });
+  }
+  player.textChannelId = snapshot.textChannelId;
+  if (!player.connected) await player.connect();
+
+  player.customVolume = snapshot.volume ?? undefined;
+  if (snapshot.autoplay) {
+    setAutoplay(player, true);
+  }
+  player.queue.previous = snapshot.previous.map(t => deserializeTrack(client, t)).filter(Boolean);
+  player.queue.tracks = snapshot.tracks.map(t => deserializeTrack(client, t)).filter(Boolean);
+
+  const position = Math.min(snapshot.position, Math.max(0, (current.info.duration || 0) - 1000));
+  await player.play({
+    clientTrack: current,
+    position: current.info.isSeekable === false ? 0 : position,
+    paused: snapshot.paused,
+    volume: getTargetVolume(player)
+  });
+  if (snapshot.paused) {
+    player._pausedPosition = position;
+  }
+  // After the queue is back, so queue loop starts from the restored history
+  if (snapshot.loopMode && snapshot.loopMode !== "off") {
+    await setLoopMode(player, snapshot.loopMode);
+  }
+  if (snapshot.loopTracks?.length) {
+    const loopTracks = snapshot.loopTracks.map(t => deserializeTrack(client, t)).filter(Boolean);
+    // The current track was recorded when it started; keep the playing object so it is not recorded twice
+    if (loopTracks[loopTracks.length - 1]?.encoded === current.encoded) loopTracks[loopTracks.length - 1] = current;
+    player.loopTracks = loopTracks;
+  }
+  if (snapshot.filter) {
+    const restoreFilter = snapshot.filter === "eq" && snapshot.eq
+      ? applyEqualizer(player, snapshot.eq.gains, snapshot.eq.profile)
+      : applyFilterPreset(player, snapshot.filter);
+    await restoreFilter.catch(err =>
+      logger.warn(`[SessionPersistence] Could not restore filter in guild ${snapshot.guildId}: ${err.message}`)
+    );
+  }
+
+  logger.info(`[SessionPersistence] Resumed session in guild ${snapshot.guildId} at ${Math.floor(position / 1000)}s`);
+  return player;
+}
+
+class SessionPersistenceManager {
+  constructor(client) {
+    this.client = client;
+    this.interval = null;
+  }
+
+  start() {
+    const every = this.client.config.sessionSaveInterval || 30_000;
+    if (this.interval) clearInterval(this.interval);
+    this.interval = setInterval(() => {
+      this.saveSessions().catch(err =>
+        logger.error("[SessionPersistence] Periodic snapshot failed:", err)
+      );
+    }, every);
+    logger.info(`[SessionPersistence] Snapshotting sessions every ${every}ms`);
+  }
+
+  /**
+   * Writes a snapshot of all active players to disk.
+   * @returns {Promise<number>} - Number of sessions saved
+   */
+  async saveSessions() {
+    const sessions = [];
+    for (const player of this.client.lavalink.players.values()) {
+      const snapshot = snapshotPlayer(player);
+      if (snapshot) sessions.push(snapshot);
+    }
+    // Sessions waiting for a Lavalink reconnect survive a restart in between
+    for (const snapshot of this.client.reconnectManager?.pendingSessions?.values() || []) {
+      if (!sessions.some(s => s.guildId === snapshot.guildId)) sessions.push(snapshot);
+    }
+    await writeJsonFile(sessionsPath, { savedAt: Date.now(), sessions });
+    logger.debug(`[SessionPersistence] Saved ${sessions.length} session(s)`);
+    return sessions.length;
+  }
+
+  /**
+   * Resumes all sessions from the last snapshot. Snapshots older than
+   * config.sessionMaxAge (default 6 hours) are ignored.
+   * @returns {Promise<number>} - Number of sessions resumed
+   */
+  async restoreSessions() {
+    const data = await readJsonFile(sessionsPath, null);
+    if (!data?.sessions?.length) return 0;
+
+    const maxAge = this.client.config.sessionMaxAge || 6 * 60 * 60 * 1000;
+    if (Date.now() - data.savedAt > maxAge) {
+      logger.info("[SessionPersistence] Saved sessions are too old, not resuming");
+      return 0;
+    }
+
+    let restored = 0;
+    for (const snapshot of data.sessions) {
+      try {
+        if (await restorePlayerSession(this.client, snapshot)) restored++;
+      } catch (err) {
+        logger.error(`[SessionPersistence] Failed to resume session in guild ${snapshot.guildId}:`, err);
+      }
+    }
+    logger.info(`[SessionPersistence] Resumed ${restored}/${data.sessions.length} session(s)`);
+    return restored;
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+export default SessionPersistenceManager;
@@ -0,0 +1,147 @@
+// utils/slashCommands.js
+// Slash command support: builds registration data from command modules and
+// adapts chat-input interactions into the message-like shape commands expect.
+
+import { ApplicationCommandOptionType, Collection } from "discord.js";
+import logger from "./logger.js";
+
+// Maps the option type names used in command modules to Discord option types
+const optionTypes = {
+  string: ApplicationCommandOptionType.String,
+  integer: ApplicationCommandOptionType.Integer,
+  number: ApplicationCommandOptionType.Number,
+  boolean: ApplicationCommandOptionType.Boolean,
+  user: ApplicationCommandOptionType.User,
+  channel: ApplicationCommandOptionType.Channel,
+  role: ApplicationCommandOptionType.Role,
+  attachment: ApplicationCommandOptionType.Attachment
+};
+
+/**
+ * Truncates a description to Discord's 100 character limit.
+ * @param {string} text - The description text
+ * @returns {string} - Text that fits into a slash command description
+ */
+function truncateDescription(text) {
+  const value = text || "No description.";
+  return value.length > 100 ? value.slice(0, 97) + "..." : value;
+}
+
+/**
+ * Builds the slash command registration payloads for one command module.
+ * A command opts in by declaring `slashOptions` (may be empty); every name
+ * listed in `slashAliases` is registered as an additional slash command.
+ * @param {object} command - Command module (name, description, slashOptions, slashAliases)
+ * @returns {object[]} - Application command payloads, empty if the command did not opt in
+ */
+export function buildSlashCommandData(command) {
+  if (!Array.isArray(command.slashOptions)) return [];
+
+  const options = command.slashOptions.map(opt => {
+    const data = {
+      type: optionTypes[opt.type || "string"],
+      name: opt.name,
+      description: truncateDescription(opt.description),
+      required: !!opt.required
+    };
+    if (opt.choices) data.choices = opt.choices;
+    if (opt.minValue !== undefined) data.min_value = opt.minValue;
+    if (opt.maxValue !== undefined) data.max_value = opt.maxValue;
+    return data;
+  });
+
+  const names = [command.name, ...(command.slashAliases || [])];
+  return names.map(name => ({
+    name,
+    description: truncateDescription(command.description),
+    dm_permission: false,
+    options
+  }));
+}
+
+/**
+ * Registers all opted-in commands with Discord, either globally or for the
+ * guild ids listed in config.slashGuildIds (guild commands update instantly).
+ * @param {import('discord.js').Client} client - The Discord client
+ */
+export async function registerSlashCommands(client) {
+  const data = [...client.commands.values()].flatMap(buildSlashCommandData);
+  const guildIds = client.config.slashGuildIds || [];
+
+  try {
+    if (guildIds.length) {
+      for (const guildId of guildIds) {
+        await client.application.commands.set(data, guildId);
+      }
+      logger.info(`Registered ${data.length} slash commands in ${guildIds.length} guild(s).`);
+    } else {
+      await client.application.commands.set(data);
+      logger.info(`Registered ${data.length} global slash commands.`);
+    }
+  } catch (err) {
+    logger.error("Failed to register slash commands:", err);
+  }
+}
+
+/**
+ * Converts the options of a chat-input interaction into a prefix-style args array,
+ * in the order the command declared them. Mentionable types are rendered as
+ * mentions so commands can parse them the same way as typed messages.
+ * Attachments are not args; createInteractionMessage exposes them instead.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {object} command - The resolved command module
+ * @returns {string[]} - Whitespace separated arguments
+ */
+export function getSlashArgs(interaction, command) {
+  const args = [];
+  for (const opt of command.slashOptions || []) {
+    if (opt.type === "attachment") continue;
+    const option = interaction.options.get(opt.name);
+    if (!option || option.value === undefined || option.value === null) continue;
+
+    let value = String(option.value);
+    if (opt.type === "user") value = `<@${value}>`;
+    else if (opt.type === "role") value = `<@&${value}>`;
+    else if (opt.type === "channel") value = `<#${value}>`;
+
+    args.push(...value.trim().split(/\s+/).filter(Boolean));
+  }
+  return args;
+}
+
+/**
+ * Wraps a deferred chat-input interaction in an object that behaves like a
+ * prefix command message, so command modules run unchanged. The first reply
+ * edits the deferred response; later replies become follow-ups.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {string} content - Synthetic message content (prefix, invoked name and args)
+ * @returns {object} - Message-like adapter
+ */
+export function createInteractionMessage(interaction, content) {
+  let replied = false;
+
+  return {
+    id: interaction.id,
+    interaction,
+    content,
+    guild: interaction.guild,
+    member: interaction.member,
+    author: interaction.user,
+    channel: interaction.channel,
+    createdTimestamp: interaction.createdTimestamp,
+    attachments: new Collection(
+      (interaction.options?.data || []).filter(o => o.attachment).map(o => [o.attachment.id, o.attachment])
+    ),
+    get replied() {
+      return replied;
+    },
+    async reply(payload) {
+      const options = typeof payload === "string" ? { content: payload } : payload;
+      if (!replied) {
+        replied = true;
+        return interaction.editReply(options);
+      }
+      return interaction.followUp(options);
+    }
+  };
+}
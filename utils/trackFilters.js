@@ -0,0 +1,187 @@
+// utils/trackFilters.js
+// Per-guild rules for which tracks may be queued: streams, duration range,
+// blocked keywords and channels, explicit content and allowed sources.
+// Rules come from the defaults below, then trackFilters in config.json, then
+// the guild's own trackFilters (changed with "setconfig filters").
+
+import { getGuildConfig } from "./guildSettings.js";
+
+export const DEFAULT_TRACK_FILTERS = {
+  allowStreams: true,     // livestreams and internet radio
+  minDuration: 3000,      // ms, 0 = no minimum
+  maxDuration: 7200000,   // ms, 0 = no maximum
+  blockedKeywords: [],    // matched case-insensitively in titles
+  blockedAuthors: [],     // channel/artist names, case-insensitive
+  allowExplicit: true,
+  allowedSources: []      // Lavalink source names, empty = every source
+};
+
+// Settings accepted by applyTrackFilterSetting
+export const TRACK_FILTER_SETTINGS = ["streams", "minduration", "maxduration", "keyword", "author", "explicit", "sources", "reset"];
+
+// Helper: "m:ss" or "h:mm:ss" for reasons and the overview
+function formatLength(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Returns the effective filter rules of a guild.
+ * @param {string} [guildId] - Discord guild id, omitted for the global rules
+ * @returns {object} - Rules in the shape of DEFAULT_TRACK_FILTERS
+ */
+export function getTrackFilters(guildId) {
+  return {
+    ...DEFAULT_TRACK_FILTERS,
+    ...(global.config?.trackFilters || {}),
+    ...(getGuildConfig(guildId).trackFilters || {})
+  };
+}
+
+// Helper: Sources mark explicit tracks differently; titles like "Song (Explicit)" count too
+function isExplicit(track) {
+  return track.info.explicit === true ||
+    track.pluginInfo?.isExplicit === true ||
+    /\bexplicit\b/i.test(track.info.title || "");
+}
+
+/**
+ * Checks a track against filter rules.
+ * @param {object} track - Lavalink track
+ * @param {object} [rules=DEFAULT_TRACK_FILTERS] - Rules from getTrackFilters
+ * @returns {string|null} - Why the track is filtered, null if it may be queued
+ */
+export function getFilterReason(track, rules = DEFAULT_TRACK_FILTERS) {
+  if (!track || !track.info) return "unavailable";
+  const info = track.info;
+
+  if (info.isStream === true) {
+    if (!rules.allowStreams) return "livestream";
+  } else {
+    if (rules.minDuration && info.duration < rules.minDuration) return `shorter than ${formatLength(rules.minDuration)}`;
+    if (rules.maxDuration && info.duration > rules.maxDuration) return `longer than ${formatLength(rules.maxDuration)}`;
+  }
+
+  if (rules.allowedSources?.length && !rules.allowedSources.includes(info.sourceName)) {
+    return `source ${info.sourceName || "unknown"} not allowed`;
+  }
+
+  const title = (info.title || "").toLowerCase();
+  const keyword = rules.blockedKeywords?.find(k => title.includes(k.toLowerCase()));
+  if (keyword) return `blocked keyword "${keyword}"`;
+
+  const author = (info.author || "").toLowerCase();
+  const blockedAuthor = rules.blockedAuthors?.find(a => a.toLowerCase() === author);
+  if (blockedAuthor) return `blocked channel "${blockedAuthor}"`;
+
+  if (!rules.allowExplicit && isExplicit(track)) return "explicit";
+  return null;
+}
+
+/**
+ * Splits tracks into those passing the rules and those filtered out.
+ * @param {object[]} tracks - Lavalink tracks
+ * @param {object} rules - Rules from getTrackFilters
+ * @returns {{tracks: object[], filtered: {track: object, reason: string}[]}}
+ */
+export function filterTracks(tracks, rules) {
+  const result = { tracks: [], filtered: [] };
+  for (const track of tracks) {
+    const reason = getFilterReason(track, rules);
+    if (reason) result.filtered.push({ track, reason });
+    else result.tracks.push(track);
+  }
+  return result;
+}
+
+/**
+ * Formats the filtered tracks for a reply.
+ * @param {{track: object, reason: string}[]} filtered - From filterTracks
+ * @param {number} [max=3] - Tracks to list by name
+ * @returns {string} - Empty if nothing was filtered
+ */
+export function formatFilterNotice(filtered, max = 3) {
+  if (!filtered.length) return "";
+  const listed = filtered
+    .slice(0, max)
+    .map(({ track, reason }) => `**${track?.info?.title || "Unknown"}** (${reason})`);
+  const more = filtered.length > max ? `, and ${filtered.length - max} more` : "";
+  return `Filtered ${filtered.length} track${filtered.length === 1 ? "" : "s"}: ${listed.join(", ")}${more}`;
+}
+
+/**
+ * Describes filter rules for the configuration overview.
+ * @param {object} rules - Rules from getTrackFilters
+ * @returns {string}
+ */
+export function describeTrackFilters(rules) {
+  return [
+    `Streams: ${rules.allowStreams ? "allowed" : "blocked"}`,
+    `Duration: ${rules.minDuration ? formatLength(rules.minDuration) : "any"} to ${rules.maxDuration ? formatLength(rules.maxDuration) : "any"}`,
+    `Blocked keywords: ${rules.blockedKeywords.length ? rules.blockedKeywords.join(", ") : "None"}`,
+    `Blocked channels: ${rules.blockedAuthors.length ? rules.blockedAuthors.join(", ") : "None"}`,
+    `Explicit: ${rules.allowExplicit ? "allowed" : "blocked"}`,
+    `Sources: ${rules.allowedSources.length ? rules.allowedSources.join(", ") : "all"}`
+  ].join("\n");
+}
+
+// Helper: Adds or removes an entry of a list rule
+function editList(list, action, value) {
+  if (!["add", "remove"].includes(action) || !value) return null;
+  const rest = list.filter(item => item.toLowerCase() !== value.toLowerCase());
+  return action === "add" ? [...rest, value] : rest;
+}
+
+/**
+ * Applies one "setconfig filters" setting to a guild's filter overrides.
+ * @param {object} overrides - The guild's current trackFilters overrides
+ * @param {string} setting - One of TRACK_FILTER_SETTINGS
+ * @param {string[]} args - Values after the setting name
+ * @param {object} rules - Effective rules, used as the base for list edits
+ * @returns {object|null} - New overrides, null to reset them
+ * @throws {RangeError} - If the value is invalid; the message is the expected arguments
+ */
+export function applyTrackFilterSetting(overrides, setting, args, rules) {
+  const value = args[0]?.toLowerCase();
+  const toggle = () => {
+    if (value !== "on" && value !== "off") throw new RangeError("<on|off>");
+    return value === "on";
+  };
+  const seconds = () => {
+    const parsed = Number(value);
+    if (!value || !Number.isInteger(parsed) || parsed < 0) {
+      throw new RangeError("<seconds> (0 = no limit)");
+    }
+    return parsed * 1000;
+  };
+
+  switch (setting) {
+    case "streams":
+      return { ...overrides, allowStreams: toggle() };
+    case "explicit":
+      return { ...overrides, allowExplicit: toggle() };
+    case "minduration":
+      return { ...overrides, minDuration: seconds() };
+    case "maxduration":
+      return { ...overrides, maxDuration: seconds() };
+    case "keyword":
+    case "author": {
+      const key = setting === "keyword" ? "blockedKeywords" : "blockedAuthors";
+      const list = editList(rules[key], value, args.slice(1).join(" ").trim());
+      if (!list) throw new RangeError(`<add|remove> <${setting === "keyword" ? "word" : "channel name"}>`);
+      return { ...overrides, [key]: list };
+    }
+    case "sources": {
+      if (!value) throw new RangeError("<youtube,soundcloud,...|all>");
+      const sources = value === "all" ? [] : value.split(",").map(s => s.trim()).filter(Boolean);
+      return { ...overrides, allowedSources: sources };
+    }
+    case "reset":
+      return null;
+    default:
+      throw new RangeError(`<${TRACK_FILTER_SETTINGS.join("|")}>`);
+  }
+}
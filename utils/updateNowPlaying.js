@@ -8,7 +8,7 @@ import {
 } from "./nowPlayingEmbed.js";
 import { safeEdit } from "./safeDiscord.js";
 import logger from "./logger.js";
-import { createButtonRowWithEmojis } from "./emojiUtils.js";
+import { createNowPlayingComponents } from "./emojiUtils.js";
 
 export function updateNowPlaying(player) {
   if (!player.nowPlayingMessage) return;
@@ -18,7 +18,7 @@ export function updateNowPlaying(player) {
     // During stop confirmation: Only update embed, keep confirmation buttons
     const embed = player.queue.current
       ? generateNowPlayingEmbed(player)
-      : generateStoppedEmbed();
+      : generateStoppedEmbed(player.guildId);
       
     safeEdit(player.nowPlayingMessage, { embeds: [embed] })
       .catch(err => logger.error(`[updateNowPlaying] embed-only failed in guild ${player.guildId}:`, err));
@@ -28,9 +28,9 @@ export function updateNowPlaying(player) {
   // Normal operation: Update both embed and components
   const embed = player.queue.current
     ? generateNowPlayingEmbed(player)
-    : generateStoppedEmbed();
+    : generateStoppedEmbed(player.guildId);
 
-  const components = player.queue.current ? [createButtonRowWithEmojis(player)] : [];
+  const components = player.queue.current ? createNowPlayingComponents(player) : [];
 
   safeEdit(player.nowPlayingMessage, { 
     embeds: [embed],
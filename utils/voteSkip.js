@@ -0,0 +1,81 @@
+// utils/voteSkip.js
+// Vote-skip for listeners without skip rights. A track is skipped once a
+// configurable fraction of the non-bot listeners in the voice channel voted.
+// Votes belong to the current track and are reset on trackStart.
+
+import { PermissionsBitField } from "discord.js";
+import { getGuildConfig } from "./guildSettings.js";
+import { hasCommandPermission } from "./permissions.js";
+import logger from "./logger.js";
+
+/**
+ * Returns whether a member has to vote instead of skipping directly: either
+ * skip is restricted and the member lacks the permission, or vote-skip is
+ * enabled for the server and the member is neither DJ nor server manager.
+ * @param {import('discord.js').GuildMember} member - Guild member
+ * @returns {boolean}
+ */
+export function needsSkipVote(member) {
+  if (!hasCommandPermission(member, "skip")) return true;
+
+  const config = getGuildConfig(member.guild.id);
+  if (!config.voteSkip) return false;
+  if (member.permissions?.has(PermissionsBitField.Flags.ManageGuild)) return false;
+  return !(config.djRoleId && member.roles?.cache?.has(config.djRoleId));
+}
+
+/**
+ * Returns the ids of the non-bot members in the player's voice channel.
+ * @param {object} player - Lavalink player
+ * @param {import('discord.js').Guild} guild - Guild of the player
+ * @returns {string[]}
+ */
+export function getListenerIds(player, guild) {
+  const channel = guild.channels.cache.get(player.voiceChannelId);
+  if (!channel?.members) return [];
+  return [...channel.members.values()].filter(m => !m.user.bot).map(m => m.id);
+}
+
+/**
+ * Registers a skip vote for the current track.
+ * @param {object} player - Lavalink player
+ * @param {import('discord.js').GuildMember} member - Voting member
+ * @returns {{ok: boolean, reason?: string, votes?: number, required?: number, passed?: boolean}}
+ */
+export function registerSkipVote(player, member) {
+  if (member.voice?.channelId !== player.voiceChannelId) {
+    return { ok: false, reason: "You need to be in the voice channel to vote." };
+  }
+
+  const listeners = getListenerIds(player, member.guild);
+  const ratio = getGuildConfig(member.guild.id).voteSkipRatio || 0.5;
+  const required = Math.max(1, Math.ceil(listeners.length * ratio));
+
+  if (!player.skipVotes) player.skipVotes = new Set();
+  player.skipVotes.add(member.id);
+
+  // Only count voters that are still listening
+  const votes = [...player.skipVotes].filter(id => listeners.includes(id)).length;
+  player.skipVoteTally = { votes, required };
+  logger.debug(`[voteSkip] ${votes}/${required} votes in guild ${player.guildId}`);
+
+  return { ok: true, votes, required, passed: votes >= required };
+}
+
+/**
+ * Returns the vote tally of the current track for display.
+ * @param {object} player - Lavalink player
+ * @returns {{votes: number, required: number}|null} - Null if nobody voted
+ */
+export function getSkipVoteTally(player) {
+  return player.skipVoteTally || null;
+}
+
+/**
+ * Clears all votes, called when a new track starts.
+ * @param {object} player - Lavalink player
+ */
+export function resetSkipVotes(player) {
+  player.skipVotes = null;
+  player.skipVoteTally = null;
+}